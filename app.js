@@ -2,23 +2,36 @@
  * Cycling Power Optimizer
  * 
  * Client-side application that calculates optimal power output for a cycling route
- * based on terrain, wind conditions, and rider FTP.
+ * based on terrain, wind conditions, and rider FTP. The parsing, physics and
+ * pacing modules live in core.js; this file wires them to the page.
  */
 
+import {
+    CONSTANTS,
+    GPXParser,
+    Laps,
+    ElevationCleaner,
+    DEMTile,
+    CourseImporter,
+    WindField,
+    ForecastImporter,
+    PowerDuration,
+    PowerOptimizer,
+    PlanSimplifier,
+    RideAnalyzer,
+    FieldTest,
+    PlanExporter,
+    Triathlon,
+    Sections,
+    Nutrition,
+    Scenarios,
+    Profiles
+} from './core.js';
+
 // ============================================
-// Constants & Configuration
+// Display Configuration
 // ============================================
 
-const CONSTANTS = {
-    GRAVITY: 9.81,              // m/s²
-    AIR_DENSITY: 1.225,         // kg/m³ at sea level
-    EARTH_RADIUS: 6371000,      // meters
-    DRIVETRAIN_LOSS: 0.03,      // 3% drivetrain efficiency loss
-    MIN_POWER: 50,              // Minimum power (coasting/recovery)
-    MAX_POWER_FACTOR: 1.20,     // Maximum 120% of FTP for sustained efforts
-    SEGMENT_LENGTH: 100,        // Target segment length in meters for smoothing
-};
-
 // Power zone colors for map visualization
 const POWER_ZONES = {
     recovery: { max: 0.75, color: '#3b82f6' },
@@ -28,17 +41,61 @@ const POWER_ZONES = {
     vo2max: { max: Infinity, color: '#ef4444' }
 };
 
+// Line colors for compared scenarios, in the order they are ticked
+const SCENARIO_COLORS = ['#22c55e', '#ec4899', '#eab308', '#14b8a6', '#818cf8', '#f43f5e'];
+
+// Aero setup presets: CdA (m²) at each yaw angle in YAW_ANGLES
+// Deep rims and TT frames "sail" at moderate yaw, so their axial drag drops off 0°
+const YAW_ANGLES = [0, 5, 10, 15, 20];
+
+const AERO_SETUPS = {
+    road: { name: 'Road', cda: [0.320, 0.322, 0.328, 0.335, 0.345] },
+    aeroRoad: { name: 'Aero road', cda: [0.280, 0.276, 0.272, 0.274, 0.280] },
+    tt: { name: 'TT', cda: [0.230, 0.222, 0.215, 0.214, 0.218] }
+};
+
 // ============================================
 // State Management
 // ============================================
 
 const state = {
     route: null,
+    routeName: 'Route',
+    cleanedRoute: null,
     segments: [],
+    lapEnds: [],
+    waypoints: [],
+    demTiles: [],
     optimizedPower: [],
+    planParams: null,
+    planMetrics: null,
+    blocks: null,
+    rideSamples: null,
+    analysis: null,
+    fieldTest: null,
+    fieldEstimate: null,
+    jobs: {},
+    profiles: Profiles.empty(),
+    scenarios: [],
+    comparison: null,
+    liveTimer: null,
     map: null,
     chart: null,
-    routeLayer: null
+    fieldChart: null,
+    tornadoChart: null,
+    triChart: null,
+    triathlon: null,
+    fuelling: null,
+    sections: [],
+    selectedSection: null,
+    gapChart: null,
+    analysisChart: null,
+    routeLayer: null,
+    waypointLayer: null,
+    blockLayer: null,
+    lossLayer: null,
+    feedLayer: null,
+    sectionLayer: null
 };
 
 // ============================================
@@ -50,6 +107,17 @@ const elements = {
     fileUpload: document.getElementById('fileUpload'),
     calculateBtn: document.getElementById('calculateBtn'),
     loadingOverlay: document.getElementById('loadingOverlay'),
+    loadingText: document.getElementById('loadingText'),
+    loadingProgress: document.getElementById('loadingProgress'),
+    cancelBtn: document.getElementById('cancelBtn'),
+
+    // Elevation cleaning
+    spikeThreshold: document.getElementById('spikeThreshold'),
+    elevationSmoothing: document.getElementById('elevationSmoothing'),
+    smoothingWindow: document.getElementById('smoothingWindow'),
+    maxGradientClamp: document.getElementById('maxGradientClamp'),
+    demInput: document.getElementById('demInput'),
+    demStatus: document.getElementById('demStatus'),
 
     // Route info
     totalDistance: document.getElementById('totalDistance'),
@@ -62,9 +130,28 @@ const elements = {
     bikeWeight: document.getElementById('bikeWeight'),
     windSpeed: document.getElementById('windSpeed'),
     windDirection: document.getElementById('windDirection'),
+    startTime: document.getElementById('startTime'),
+    windTimeline: document.getElementById('windTimeline'),
+    raceDate: document.getElementById('raceDate'),
+    utcOffset: document.getElementById('utcOffset'),
+    forecastInput: document.getElementById('forecastInput'),
+    forecastStatus: document.getElementById('forecastStatus'),
+    temperature: document.getElementById('temperature'),
+    pressure: document.getElementById('pressure'),
+    humidity: document.getElementById('humidity'),
     cda: document.getElementById('cda'),
+    aeroSetup: document.getElementById('aeroSetup'),
+    yawTable: document.getElementById('yawTable'),
     crr: document.getElementById('crr'),
+    drivetrainLoss: document.getElementById('drivetrainLoss'),
     wprime: document.getElementById('wprime'),
+    cp: document.getElementById('cp'),
+    wbalModel: document.getElementById('wbalModel'),
+    pacingConstraint: document.getElementById('pacingConstraint'),
+    speedModel: document.getElementById('speedModel'),
+    leanAngle: document.getElementById('leanAngle'),
+    wprimeFloor: document.getElementById('wprimeFloor'),
+    ftpDecay: document.getElementById('ftpDecay'),
 
     // Ride mode
     rideModeOptions: document.getElementById('rideModeOptions'),
@@ -75,6 +162,14 @@ const elements = {
     autoRecommendBtn: document.getElementById('autoRecommendBtn'),
     recommendedInfo: document.getElementById('recommendedInfo'),
     recommendedValue: document.getElementById('recommendedValue'),
+    recommendedBasis: document.getElementById('recommendedBasis'),
+
+    // Power-duration curve
+    powerCurve: document.getElementById('powerCurve'),
+    powerModel: document.getElementById('powerModel'),
+    powerCurveInput: document.getElementById('powerCurveInput'),
+    applyPowerModelBtn: document.getElementById('applyPowerModelBtn'),
+    powerCurveStatus: document.getElementById('powerCurveStatus'),
 
     // Wind display
     compassArrow: document.getElementById('compassArrow'),
@@ -88,8 +183,111 @@ const elements = {
     intensityFactor: document.getElementById('intensityFactor'),
     tss: document.getElementById('tss'),
     avgSpeed: document.getElementById('avgSpeed'),
+    airDensity: document.getElementById('airDensity'),
     wprimeGauge: document.getElementById('wprimeGauge'),
     wprimePercent: document.getElementById('wprimePercent'),
+    exportButtons: document.querySelectorAll('.export-btn'),
+
+    // Pacing blocks
+    blockCount: document.getElementById('blockCount'),
+    blockMinLength: document.getElementById('blockMinLength'),
+    blockPenalty: document.getElementById('blockPenalty'),
+    blocksTable: document.getElementById('blocksTable'),
+    printBlocksBtn: document.getElementById('printBlocksBtn'),
+
+    // Ride analysis
+    rideInput: document.getElementById('rideInput'),
+    rideStatus: document.getElementById('rideStatus'),
+    analysisMetrics: document.getElementById('analysisMetrics'),
+    analysisLosses: document.getElementById('analysisLosses'),
+    analysisChartContainer: document.getElementById('analysisChartContainer'),
+
+    // Field test
+    fieldInput: document.getElementById('fieldInput'),
+    fieldStatus: document.getElementById('fieldStatus'),
+    fieldLaps: document.getElementById('fieldLaps'),
+    fieldTemperature: document.getElementById('fieldTemperature'),
+    fieldPressure: document.getElementById('fieldPressure'),
+    excludeBraking: document.getElementById('excludeBraking'),
+    estimateBtn: document.getElementById('estimateBtn'),
+    fieldCda: document.getElementById('fieldCda'),
+    fieldCrr: document.getElementById('fieldCrr'),
+    fieldRmse: document.getElementById('fieldRmse'),
+    applyFieldBtn: document.getElementById('applyFieldBtn'),
+
+    // Fuelling
+    fuelEfficiency: document.getElementById('fuelEfficiency'),
+    fuelCarbs: document.getElementById('fuelCarbs'),
+    fuelFluid: document.getElementById('fuelFluid'),
+    fuelSodium: document.getElementById('fuelSodium'),
+    fuelSchedule: document.getElementById('fuelSchedule'),
+    fuelIntervalGroup: document.getElementById('fuelIntervalGroup'),
+    fuelInterval: document.getElementById('fuelInterval'),
+    fuelStationsGroup: document.getElementById('fuelStationsGroup'),
+    fuelStations: document.getElementById('fuelStations'),
+    fuelStatus: document.getElementById('fuelStatus'),
+    fuelKcal: document.getElementById('fuelKcal'),
+    fuelBurned: document.getElementById('fuelBurned'),
+    fuelSweat: document.getElementById('fuelSweat'),
+    fuelDeficit: document.getElementById('fuelDeficit'),
+    fuelTable: document.getElementById('fuelTable'),
+    lapCount: document.getElementById('lapCount'),
+    outAndBack: document.getElementById('outAndBack'),
+    lapSplits: document.getElementById('lapSplits'),
+    lapTable: document.getElementById('lapTable'),
+    sectionNames: document.getElementById('sectionNames'),
+    sectionStatus: document.getElementById('sectionStatus'),
+    sectionsTable: document.getElementById('sectionsTable'),
+
+    // Scenarios
+    scenarioName: document.getElementById('scenarioName'),
+    saveScenarioBtn: document.getElementById('saveScenarioBtn'),
+    clearScenariosBtn: document.getElementById('clearScenariosBtn'),
+    scenarioStatus: document.getElementById('scenarioStatus'),
+    scenarioList: document.getElementById('scenarioList'),
+    comparisonHead: document.getElementById('comparisonHead'),
+    comparisonTable: document.getElementById('comparisonTable'),
+
+    // Saved profiles
+    riderProfile: document.getElementById('riderProfile'),
+    saveRiderBtn: document.getElementById('saveRiderBtn'),
+    deleteRiderBtn: document.getElementById('deleteRiderBtn'),
+    equipmentProfile: document.getElementById('equipmentProfile'),
+    saveEquipmentBtn: document.getElementById('saveEquipmentBtn'),
+    deleteEquipmentBtn: document.getElementById('deleteEquipmentBtn'),
+    profileInput: document.getElementById('profileInput'),
+    exportProfilesBtn: document.getElementById('exportProfilesBtn'),
+
+    // Uncertainty
+    mcWindSpeed: document.getElementById('mcWindSpeed'),
+    mcWindDirection: document.getElementById('mcWindDirection'),
+    mcCda: document.getElementById('mcCda'),
+    mcCrr: document.getElementById('mcCrr'),
+    mcFtp: document.getElementById('mcFtp'),
+    mcElevation: document.getElementById('mcElevation'),
+    mcRuns: document.getElementById('mcRuns'),
+    mcThreshold: document.getElementById('mcThreshold'),
+    mcRunBtn: document.getElementById('mcRunBtn'),
+    mcStatus: document.getElementById('mcStatus'),
+    mcP10: document.getElementById('mcP10'),
+    mcP50: document.getElementById('mcP50'),
+    mcP90: document.getElementById('mcP90'),
+    mcRisk: document.getElementById('mcRisk'),
+
+    // Triathlon
+    triathlonCard: document.getElementById('triathlonCard'),
+    triSwimTime: document.getElementById('triSwimTime'),
+    triTransitionTime: document.getElementById('triTransitionTime'),
+    triRunDistance: document.getElementById('triRunDistance'),
+    triRunPace: document.getElementById('triRunPace'),
+    triDurability: document.getElementById('triDurability'),
+    triApplyBtn: document.getElementById('triApplyBtn'),
+    triRunBtn: document.getElementById('triRunBtn'),
+    triStatus: document.getElementById('triStatus'),
+    triFinish: document.getElementById('triFinish'),
+    triBest: document.getElementById('triBest'),
+    triBike: document.getElementById('triBike'),
+    triRun: document.getElementById('triRun'),
 
     // Info modal
     infoBtn: document.getElementById('infoBtn'),
@@ -98,11 +296,12 @@ const elements = {
 };
 
 // Ride mode intensity modifiers (applied to base intensity recommendation)
+// Triathlon modes also carry the swim (min) and run (km) the finish-time model starts from
 const RIDE_MODES = {
     race: { modifier: 0, name: 'Race', description: 'Maximum sustainable effort' },
     touring: { modifier: -12, name: 'Touring', description: 'Save legs for tomorrow' },
-    tri703: { modifier: -6, name: '70.3', description: 'Save for 21km run' },
-    triFull: { modifier: -10, name: 'Ironman', description: 'Save for 42km run' }
+    tri703: { modifier: -6, name: '70.3', description: 'Save for 21km run', triathlon: { swim: 35, run: 21.1 } },
+    triFull: { modifier: -10, name: 'Ironman', description: 'Save for 42km run', triathlon: { swim: 75, run: 42.2 } }
 };
 
 let currentRideMode = 'race';
@@ -116,403 +315,6 @@ function closeInfoModal() {
     elements.infoModal.classList.remove('visible');
 }
 
-// ============================================
-// GPX Parser Module
-// ============================================
-
-const GPXParser = {
-    /**
-     * Parse GPX file content and extract track points
-     */
-    parse(gpxContent) {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(gpxContent, 'text/xml');
-
-        const trackPoints = xmlDoc.querySelectorAll('trkpt');
-        const points = [];
-
-        trackPoints.forEach(pt => {
-            points.push({
-                lat: parseFloat(pt.getAttribute('lat')),
-                lon: parseFloat(pt.getAttribute('lon')),
-                ele: parseFloat(pt.querySelector('ele')?.textContent) || 0
-            });
-        });
-
-        return points;
-    },
-
-    /**
-     * Calculate distance between two points using Haversine formula
-     */
-    haversineDistance(lat1, lon1, lat2, lon2) {
-        const toRad = deg => deg * Math.PI / 180;
-
-        const dLat = toRad(lat2 - lat1);
-        const dLon = toRad(lon2 - lon1);
-
-        const a = Math.sin(dLat / 2) ** 2 +
-            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-            Math.sin(dLon / 2) ** 2;
-
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-        return CONSTANTS.EARTH_RADIUS * c;
-    },
-
-    /**
-     * Calculate bearing between two points
-     */
-    calculateBearing(lat1, lon1, lat2, lon2) {
-        const toRad = deg => deg * Math.PI / 180;
-        const toDeg = rad => rad * 180 / Math.PI;
-
-        const dLon = toRad(lon2 - lon1);
-        const y = Math.sin(dLon) * Math.cos(toRad(lat2));
-        const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
-            Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
-
-        let bearing = toDeg(Math.atan2(y, x));
-        return (bearing + 360) % 360;
-    },
-
-    /**
-     * Process raw points into route segments
-     */
-    processRoute(points) {
-        const segments = [];
-        let cumulativeDistance = 0;
-
-        for (let i = 1; i < points.length; i++) {
-            const p1 = points[i - 1];
-            const p2 = points[i];
-
-            const distance = this.haversineDistance(p1.lat, p1.lon, p2.lat, p2.lon);
-
-            // Skip very short segments
-            if (distance < 1) continue;
-
-            const elevationChange = p2.ele - p1.ele;
-            const gradient = distance > 0 ? (elevationChange / distance) : 0;
-            const bearing = this.calculateBearing(p1.lat, p1.lon, p2.lat, p2.lon);
-
-            cumulativeDistance += distance;
-
-            segments.push({
-                startLat: p1.lat,
-                startLon: p1.lon,
-                endLat: p2.lat,
-                endLon: p2.lon,
-                distance: distance,
-                cumulativeDistance: cumulativeDistance,
-                elevation: p2.ele,
-                gradient: gradient,
-                bearing: bearing
-            });
-        }
-
-        return segments;
-    },
-
-    /**
-     * Smooth segments by combining short ones
-     */
-    smoothSegments(segments, targetLength = CONSTANTS.SEGMENT_LENGTH) {
-        const smoothed = [];
-        let accumulated = {
-            distance: 0,
-            elevationStart: segments[0]?.elevation || 0,
-            elevationSum: 0,
-            bearingX: 0,
-            bearingY: 0,
-            startLat: segments[0]?.startLat,
-            startLon: segments[0]?.startLon,
-            endLat: 0,
-            endLon: 0,
-            cumulativeDistance: 0
-        };
-
-        segments.forEach((seg, i) => {
-            accumulated.distance += seg.distance;
-            accumulated.elevationSum += seg.elevation * seg.distance;
-            accumulated.bearingX += Math.cos(seg.bearing * Math.PI / 180) * seg.distance;
-            accumulated.bearingY += Math.sin(seg.bearing * Math.PI / 180) * seg.distance;
-            accumulated.endLat = seg.endLat;
-            accumulated.endLon = seg.endLon;
-            accumulated.cumulativeDistance = seg.cumulativeDistance;
-
-            if (accumulated.distance >= targetLength || i === segments.length - 1) {
-                const avgElevation = accumulated.elevationSum / accumulated.distance;
-                const bearing = (Math.atan2(accumulated.bearingY, accumulated.bearingX) * 180 / Math.PI + 360) % 360;
-                const gradient = (avgElevation - accumulated.elevationStart) / accumulated.distance;
-
-                smoothed.push({
-                    startLat: accumulated.startLat,
-                    startLon: accumulated.startLon,
-                    endLat: accumulated.endLat,
-                    endLon: accumulated.endLon,
-                    distance: accumulated.distance,
-                    cumulativeDistance: accumulated.cumulativeDistance,
-                    elevation: avgElevation,
-                    gradient: gradient,
-                    bearing: bearing
-                });
-
-                // Reset accumulator
-                accumulated = {
-                    distance: 0,
-                    elevationStart: avgElevation,
-                    elevationSum: 0,
-                    bearingX: 0,
-                    bearingY: 0,
-                    startLat: accumulated.endLat,
-                    startLon: accumulated.endLon,
-                    endLat: 0,
-                    endLon: 0,
-                    cumulativeDistance: accumulated.cumulativeDistance
-                };
-            }
-        });
-
-        return smoothed;
-    }
-};
-
-// ============================================
-// Physics Engine Module
-// ============================================
-
-const PhysicsEngine = {
-    /**
-     * Calculate power required to maintain a given speed on a segment
-     */
-    powerRequired(speed, gradient, headwind, params) {
-        const { totalMass, cda, crr } = params;
-
-        // Effective air speed (rider speed + headwind component)
-        const airSpeed = speed + headwind;
-
-        // Aerodynamic drag power: P = 0.5 * ρ * CdA * v_air² * v_ground
-        // Using v_air for drag force, v_ground for power
-        const P_aero = 0.5 * CONSTANTS.AIR_DENSITY * cda * (airSpeed ** 2) * speed;
-
-        // Gravity power: P = m * g * gradient * v
-        const P_gravity = totalMass * CONSTANTS.GRAVITY * gradient * speed;
-
-        // Rolling resistance power: P = Crr * m * g * v * cos(atan(gradient))
-        const cosGradient = Math.cos(Math.atan(gradient));
-        const P_rolling = crr * totalMass * CONSTANTS.GRAVITY * cosGradient * speed;
-
-        // Total power including drivetrain losses
-        const P_total = (P_aero + P_gravity + P_rolling) / (1 - CONSTANTS.DRIVETRAIN_LOSS);
-
-        return Math.max(CONSTANTS.MIN_POWER, P_total);
-    },
-
-    /**
-     * Calculate speed achievable at a given power output
-     * Uses Newton-Raphson iteration for solving
-     */
-    speedAtPower(power, gradient, headwind, params) {
-        const { totalMass, cda, crr } = params;
-
-        // Initial guess based on flat road speed
-        let speed = Math.pow(power / (0.5 * CONSTANTS.AIR_DENSITY * cda), 1 / 3);
-
-        // Newton-Raphson iteration
-        for (let i = 0; i < 20; i++) {
-            const currentPower = this.powerRequired(speed, gradient, headwind, params);
-            const error = currentPower - power;
-
-            if (Math.abs(error) < 0.1) break;
-
-            // Numerical derivative
-            const dSpeed = 0.1;
-            const dPower = this.powerRequired(speed + dSpeed, gradient, headwind, params) - currentPower;
-            const derivative = dPower / dSpeed;
-
-            if (Math.abs(derivative) < 0.001) break;
-
-            speed = speed - error / derivative;
-            speed = Math.max(1, Math.min(speed, 30)); // Clamp between 1-30 m/s
-        }
-
-        return speed;
-    },
-
-    /**
-     * Calculate headwind component based on wind direction and travel bearing
-     */
-    calculateHeadwind(windSpeed, windDirection, bearing) {
-        // Wind direction is "from" direction, convert to "to" direction
-        const windTo = (windDirection + 180) % 360;
-
-        // Angle between wind direction and travel direction
-        const angleRad = (windTo - bearing) * Math.PI / 180;
-
-        // Headwind is negative component (wind against us)
-        return -windSpeed * Math.cos(angleRad);
-    }
-};
-
-// ============================================
-// Power Optimization Module
-// ============================================
-
-const PowerOptimizer = {
-    /**
-     * Optimize power distribution across segments using W' balance model
-     * Strategy: Target near-FTP power, push harder on climbs, recover on descents
-     */
-    optimize(segments, params) {
-        const { ftp, wprime, windSpeed, windDirection, totalMass, cda, crr, targetIntensity } = params;
-
-        // Target power based on intensity (for duration sustainability)
-        const basePower = ftp * (targetIntensity / 100);
-        // maxPower must allow going above FTP on steep climbs (that's the point of W')
-        const maxPower = ftp * CONSTANTS.MAX_POWER_FACTOR; // Up to 125-130% FTP
-        const minPower = basePower * 0.5; // Don't go below 50% of target
-        const results = [];
-
-        // First pass: calculate optimal power for each segment
-        segments.forEach(seg => {
-            const headwind = PhysicsEngine.calculateHeadwind(
-                windSpeed / 3.6, // Convert km/h to m/s
-                windDirection,
-                seg.bearing
-            );
-
-            // Base strategy: target intensity of FTP as baseline, adjust for gradient and wind
-            let targetPower = basePower;
-
-            // Gradient adjustment: push harder uphill (more time benefit per watt)
-            // Aggressiveness scales with target intensity: 
-            // At 100% FTP target = full boost, at 65% FTP target = minimal boost
-            const aggressiveness = Math.max(0, (targetIntensity - 65) / 35); // 0 to 1
-            const gradientPercent = seg.gradient * 100;
-
-            if (gradientPercent > 2.0) {
-                // Uphill (>2%): push toward or above FTP based on aggressiveness
-                // At high intensity: push above FTP (uses W')
-                // At low intensity: cap at FTP (conservative)
-                const maxBoost = 0.10 + aggressiveness * 0.20; // 10-30% above FTP
-                const powerBoost = Math.min((gradientPercent - 2) * 0.10, maxBoost) * aggressiveness;
-                const climbTarget = ftp * (1 + powerBoost);
-                targetPower = Math.max(basePower, climbTarget); // Never go below basePower on climb
-            } else if (gradientPercent > 0.5) {
-                // Moderate uphill (0.5-2%): ramp up from basePower toward FTP
-                const rampFactor = (gradientPercent - 0.5) / 1.5; // 0 to 1
-                targetPower = basePower + rampFactor * (ftp - basePower) * aggressiveness;
-            } else if (gradientPercent < -2.0) {
-                // Steep downhill: significant power reduction for recovery
-                const powerReduction = Math.min(Math.abs(gradientPercent) * 0.12, 0.40);
-                targetPower = basePower * (1 - powerReduction);
-            } else if (gradientPercent < 0) {
-                // Gentle downhill: moderate power reduction
-                const powerReduction = Math.abs(gradientPercent) * 0.05;
-                targetPower = basePower * (1 - powerReduction);
-            }
-            // Flat sections (0% to 0.5%): keep basePower
-
-            // Wind adjustment: slight increase into headwind, slight decrease with tailwind
-            if (headwind < 0) {
-                // Headwind (negative = wind against us): slight power boost
-                const windBoost = Math.min(Math.abs(headwind) * 0.02, 0.10);
-                targetPower *= (1 + windBoost);
-            } else if (headwind > 0) {
-                // Tailwind: slight power reduction
-                const windReduction = Math.min(headwind * 0.015, 0.08);
-                targetPower *= (1 - windReduction);
-            }
-
-            // Clamp to valid range
-            targetPower = Math.max(minPower, Math.min(maxPower, targetPower));
-
-            results.push({
-                ...seg,
-                headwind: headwind,
-                optimizedPower: targetPower
-            });
-        });
-
-        // Second pass: apply W' balance constraints
-        let wBalance = wprime;
-        let minWBalance = wprime;
-
-        results.forEach((seg, i) => {
-            const speed = PhysicsEngine.speedAtPower(
-                seg.optimizedPower,
-                seg.gradient,
-                seg.headwind,
-                { totalMass, cda, crr }
-            );
-            const segmentTime = seg.distance / speed;
-
-            if (seg.optimizedPower > ftp) {
-                // Above FTP: W' depletes
-                const wCost = (seg.optimizedPower - ftp) * segmentTime;
-
-                // Check if we can afford this
-                if (wBalance - wCost < wprime * 0.15) {
-                    // Not enough W' reserve, reduce power to basePower
-                    seg.optimizedPower = basePower;
-                } else {
-                    wBalance -= wCost;
-                }
-            } else {
-                // Below FTP: W' recovers
-                // Recovery is slower than depletion (about 30% of depletion rate)
-                const wRecovery = (ftp - seg.optimizedPower) * segmentTime * 0.30;
-                wBalance = Math.min(wprime, wBalance + wRecovery);
-            }
-
-            seg.wBalance = wBalance;
-            minWBalance = Math.min(minWBalance, wBalance);
-        });
-
-        // Third pass: calculate final metrics with optimized power
-        let totalTime = 0;
-        let powerSum = 0;
-        let power4Sum = 0;
-
-        results.forEach(seg => {
-            const speed = PhysicsEngine.speedAtPower(
-                seg.optimizedPower,
-                seg.gradient,
-                seg.headwind,
-                { totalMass, cda, crr }
-            );
-            seg.speed = speed;
-            seg.time = seg.distance / speed;
-
-            totalTime += seg.time;
-            powerSum += seg.optimizedPower * seg.time;
-            power4Sum += Math.pow(seg.optimizedPower, 4) * seg.time;
-        });
-
-        const avgPower = powerSum / totalTime;
-        const normPower = Math.pow(power4Sum / totalTime, 0.25);
-        const intensityFactor = normPower / ftp;
-        const tss = (totalTime / 3600) * intensityFactor * intensityFactor * 100;
-        const totalDistance = segments[segments.length - 1]?.cumulativeDistance || 0;
-        const avgSpeed = (totalDistance / 1000) / (totalTime / 3600);
-
-        return {
-            segments: results,
-            metrics: {
-                totalTime,
-                avgPower,
-                normPower,
-                intensityFactor,
-                tss,
-                avgSpeed,
-                minWBalance,
-                wprimePercent: (minWBalance / wprime) * 100
-            }
-        };
-    }
-};
-
 // ============================================
 // Visualization Module
 // ============================================
@@ -572,6 +374,10 @@ const Visualization = {
                 <strong>Power:</strong> ${Math.round(seg.optimizedPower)}W<br>
                 <strong>Gradient:</strong> ${(seg.gradient * 100).toFixed(1)}%<br>
                 <strong>Speed:</strong> ${(seg.speed * 3.6).toFixed(1)} km/h
+                ${seg.yaw !== undefined ? `<br><strong>Yaw:</strong> ${seg.yaw.toFixed(1)}°` : ''}
+                ${seg.wind ? `<br><strong>Wind:</strong> ${seg.wind.speed.toFixed(0)} km/h from ${Math.round(seg.wind.direction)}° (gust ${seg.wind.gust.toFixed(0)})` : ''}
+                ${seg.clockTime !== undefined ? `<br><strong>ETA:</strong> ${WindField.formatClock(seg.clockTime)}` : ''}
+                ${seg.cornerSpeed ? `<br><strong>Corner limit:</strong> ${(seg.cornerSpeed * 3.6).toFixed(1)} km/h` : ''}
             `);
 
             state.routeLayer.addLayer(polyline);
@@ -586,20 +392,182 @@ const Visualization = {
         }
     },
 
+    /**
+     * Mark course waypoints (aid stations, turns, etc.) on the map
+     */
+    drawWaypoints(waypoints) {
+        if (state.waypointLayer) {
+            state.map.removeLayer(state.waypointLayer);
+        }
+
+        state.waypointLayer = L.layerGroup();
+
+        waypoints.forEach(wp => {
+            const marker = L.circleMarker([wp.lat, wp.lon], {
+                radius: 5,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: '#7c3aed',
+                fillOpacity: 0.9
+            });
+            if (wp.name) marker.bindTooltip(wp.name);
+            state.waypointLayer.addLayer(marker);
+        });
+
+        state.waypointLayer.addTo(state.map);
+    },
+
+    /**
+     * Mark the planned feeds on the map
+     */
+    drawFeeds(feeds) {
+        if (state.feedLayer) {
+            state.map.removeLayer(state.feedLayer);
+        }
+
+        state.feedLayer = L.layerGroup();
+
+        feeds.forEach((feed, f) => {
+            const marker = L.circleMarker([feed.lat, feed.lon], {
+                radius: 5,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: '#22c55e',
+                fillOpacity: 1
+            });
+            marker.bindTooltip(`F${f + 1}: ${Math.round(feed.carbs)} g, ${Math.round(feed.fluid * 1000)} ml`);
+            state.feedLayer.addLayer(marker);
+        });
+
+        state.feedLayer.addTo(state.map);
+    },
+
+    /**
+     * Highlight the selected climb or segment on the map (null clears it)
+     */
+    drawSection(section, segments) {
+        if (state.sectionLayer) {
+            state.map.removeLayer(state.sectionLayer);
+            state.sectionLayer = null;
+        }
+        if (!section) return;
+
+        const stretch = segments.slice(section.first, section.last + 1);
+        state.sectionLayer = L.polyline(
+            [[stretch[0].startLat, stretch[0].startLon], ...stretch.map(seg => [seg.endLat, seg.endLon])],
+            { color: '#fbbf24', weight: 10, opacity: 0.5 }
+        ).addTo(state.map);
+    },
+
+    /**
+     * Mark the start of each pacing block on the map
+     */
+    drawBlocks(blocks, segments) {
+        if (state.blockLayer) {
+            state.map.removeLayer(state.blockLayer);
+        }
+
+        state.blockLayer = L.layerGroup();
+
+        blocks.forEach((block, b) => {
+            const seg = segments[block.first];
+            const marker = L.circleMarker([seg.startLat, seg.startLon], {
+                radius: 6,
+                color: '#1a1a2e',
+                weight: 2,
+                fillColor: '#fbbf24',
+                fillOpacity: 1
+            });
+            marker.bindTooltip(`B${b + 1}: ${block.power} W`, { permanent: true, direction: 'top', className: 'block-label' });
+            state.blockLayer.addLayer(marker);
+        });
+
+        state.blockLayer.addTo(state.map);
+    },
+
+    /**
+     * Highlight the stretches where the ride lost time against the plan
+     */
+    drawLosses(losses, segments) {
+        if (state.lossLayer) {
+            state.map.removeLayer(state.lossLayer);
+        }
+
+        state.lossLayer = L.layerGroup();
+
+        losses.forEach(loss => {
+            const stretch = segments.filter(seg =>
+                seg.cumulativeDistance > loss.start && seg.cumulativeDistance <= loss.end);
+            if (stretch.length === 0) return;
+
+            const polyline = L.polyline(
+                [[stretch[0].startLat, stretch[0].startLon], ...stretch.map(seg => [seg.endLat, seg.endLon])],
+                { color: '#ef4444', weight: 10, opacity: 0.45 }
+            );
+            polyline.bindPopup(`
+                <strong>Lost:</strong> ${Math.round(loss.timeLost)} s<br>
+                <strong>Power:</strong> ${Math.round(loss.actualPower)}W (plan ${Math.round(loss.plannedPower)}W)<br>
+                ${loss.reason}
+            `);
+            state.lossLayer.addLayer(polyline);
+        });
+
+        state.lossLayer.addTo(state.map);
+    },
+
     /**
      * Initialize or update the elevation/power chart
+     * overlays: { blocks (drawn as steps), actualPower (per segment, from ride analysis),
+     * comparison, feeds, highlight (section whose elevation is shaded) }
      */
-    updateChart(segments) {
+    updateChart(segments, { blocks = [], actualPower = [], comparison = null, feeds = [], highlight = null } = {}) {
         const ctx = document.getElementById('profileChart').getContext('2d');
 
         // Prepare data
         const labels = segments.map(s => (s.cumulativeDistance / 1000).toFixed(1));
         const elevationData = segments.map(s => s.elevation);
-        const powerData = segments.map(s => s.optimizedPower);
+        const rawElevationData = segments.map(s => s.rawElevation ?? s.elevation);
+        // Route preview before the first calculation has no power yet
+        const powerData = segments.map(s => s.optimizedPower ?? null);
+        const blockData = segments.map((_, i) => blocks.find(b => i >= b.first && i <= b.last)?.power ?? null);
+        const actualData = segments.map((_, i) => actualPower[i] ?? null);
+        const feedDistances = new Set(feeds.map(f => f.distance));
+        const feedData = segments.map(s => feedDistances.has(s.cumulativeDistance) ? s.elevation : null);
+        const highlightData = segments.map((s, i) =>
+            highlight && i >= highlight.first && i <= highlight.last ? s.elevation : null);
+        // Compared scenarios: power on the power axis, speed on its own axis
+        const compareDatasets = (comparison?.traces || []).flatMap((trace, i) => {
+            const color = SCENARIO_COLORS[i % SCENARIO_COLORS.length];
+            return [
+                {
+                    label: `${trace.name} (W)`,
+                    data: trace.power,
+                    borderColor: color,
+                    borderWidth: 1.5,
+                    fill: false,
+                    stepped: true,
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                },
+                {
+                    label: `${trace.name} (km/h)`,
+                    data: trace.speed.map(v => v * 3.6),
+                    borderColor: color,
+                    borderDash: [6, 3],
+                    borderWidth: 1,
+                    fill: false,
+                    tension: 0.3,
+                    pointRadius: 0,
+                    yAxisID: 'y2'
+                }
+            ];
+        });
+        const comparedPower = (comparison?.traces || []).flatMap(t => t.power);
+        const knownPower = [...powerData, ...actualData, ...comparedPower].filter(p => p !== null);
 
         // Calculate power axis range (with some padding)
-        const minPower = Math.min(...powerData);
-        const maxPower = Math.max(...powerData);
+        const minPower = knownPower.length ? Math.min(...knownPower) : 0;
+        const maxPower = knownPower.length ? Math.max(...knownPower) : 400;
         const powerPadding = (maxPower - minPower) * 0.15;
         const powerAxisMin = Math.max(0, Math.floor((minPower - powerPadding) / 25) * 25);
         const powerAxisMax = Math.ceil((maxPower + powerPadding) / 25) * 25;
@@ -608,6 +576,13 @@ const Visualization = {
             state.chart.data.labels = labels;
             state.chart.data.datasets[0].data = elevationData;
             state.chart.data.datasets[1].data = powerData;
+            state.chart.data.datasets[2].data = rawElevationData;
+            state.chart.data.datasets[3].data = blockData;
+            state.chart.data.datasets[4].data = actualData;
+            state.chart.data.datasets[5].data = feedData;
+            state.chart.data.datasets[6].data = highlightData;
+            state.chart.data.datasets.splice(7, Infinity, ...compareDatasets);
+            state.chart.options.scales.y2.display = compareDatasets.length > 0;
             state.chart.options.scales.y1.min = powerAxisMin;
             state.chart.options.scales.y1.max = powerAxisMax;
             state.chart.update();
@@ -638,7 +613,59 @@ const Visualization = {
                         tension: 0.3,
                         pointRadius: 0,
                         yAxisID: 'y1'
-                    }
+                    },
+                    {
+                        label: 'Raw Elevation (m)',
+                        data: rawElevationData,
+                        borderColor: 'rgba(160, 160, 176, 0.6)',
+                        borderDash: [4, 4],
+                        borderWidth: 1,
+                        fill: false,
+                        tension: 0,
+                        pointRadius: 0,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Block Target (W)',
+                        data: blockData,
+                        borderColor: '#fbbf24',
+                        borderWidth: 2,
+                        fill: false,
+                        stepped: true,
+                        pointRadius: 0,
+                        yAxisID: 'y1'
+                    },
+                    {
+                        label: 'Actual Power (W)',
+                        data: actualData,
+                        borderColor: '#a855f7',
+                        borderWidth: 1.5,
+                        fill: false,
+                        tension: 0.3,
+                        pointRadius: 0,
+                        yAxisID: 'y1'
+                    },
+                    {
+                        label: 'Feeds',
+                        data: feedData,
+                        borderColor: '#ffffff',
+                        backgroundColor: '#22c55e',
+                        pointStyle: 'triangle',
+                        pointRadius: 6,
+                        showLine: false,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Selected Section',
+                        data: highlightData,
+                        borderColor: '#fbbf24',
+                        backgroundColor: 'rgba(251, 191, 36, 0.3)',
+                        fill: true,
+                        tension: 0.3,
+                        pointRadius: 0,
+                        yAxisID: 'y'
+                    },
+                    ...compareDatasets
                 ]
             },
             options: {
@@ -700,6 +727,18 @@ const Visualization = {
                         },
                         ticks: { color: '#f97316' },
                         grid: { drawOnChartArea: false }
+                    },
+                    y2: {
+                        type: 'linear',
+                        display: compareDatasets.length > 0,
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'Speed (km/h)',
+                            color: '#a0a0b0'
+                        },
+                        ticks: { color: '#a0a0b0' },
+                        grid: { drawOnChartArea: false }
                     }
                 }
             }
@@ -707,193 +746,1962 @@ const Visualization = {
     },
 
     /**
-     * Update results display
+     * Recorded vs virtual elevation from a field test fit
      */
-    updateResults(metrics) {
-        const formatTime = seconds => {
-            const hours = Math.floor(seconds / 3600);
-            const mins = Math.floor((seconds % 3600) / 60);
-            const secs = Math.floor(seconds % 60);
-            return hours > 0
-                ? `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
-                : `${mins}:${secs.toString().padStart(2, '0')}`;
-        };
+    updateFieldChart(trace) {
+        const labels = trace.map(p => (p.time / 60).toFixed(1));
+        const recorded = trace.map(p => p.ele);
+        const virtual = trace.map(p => p.virtual);
+
+        if (state.fieldChart) {
+            state.fieldChart.data.labels = labels;
+            state.fieldChart.data.datasets[0].data = recorded;
+            state.fieldChart.data.datasets[1].data = virtual;
+            state.fieldChart.update();
+            return;
+        }
 
-        elements.estTime.textContent = formatTime(metrics.totalTime);
-        elements.avgPower.textContent = Math.round(metrics.avgPower);
-        elements.normPower.textContent = Math.round(metrics.normPower);
-        elements.intensityFactor.textContent = metrics.intensityFactor.toFixed(2);
-        elements.tss.textContent = Math.round(metrics.tss);
-        elements.avgSpeed.textContent = metrics.avgSpeed.toFixed(1);
+        state.fieldChart = new Chart(document.getElementById('fieldChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Recorded Elevation (m)',
+                        data: recorded,
+                        borderColor: '#00d4ff',
+                        borderWidth: 1.5,
+                        fill: false,
+                        pointRadius: 0
+                    },
+                    {
+                        label: 'Virtual Elevation (m)',
+                        data: virtual,
+                        borderColor: '#f97316',
+                        borderWidth: 1.5,
+                        fill: false,
+                        pointRadius: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { labels: { color: '#a0a0b0', font: { size: 11 } } }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Time (min)', color: '#606070' },
+                        ticks: { color: '#606070', maxTicksLimit: 10 },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    y: {
+                        ticks: { color: '#a0a0b0' },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    }
+                }
+            }
+        });
+    },
 
-        // W' gauge
-        const wPercent = Math.max(0, Math.min(100, metrics.wprimePercent));
-        elements.wprimeGauge.style.width = `${wPercent}%`;
-        elements.wprimePercent.textContent = `${Math.round(wPercent)}%`;
+    /**
+     * Planned vs ridden speed and W' balance per segment, with heart rate when recorded
+     */
+    updateAnalysisChart(rows) {
+        const labels = rows.map(r => (r.cumulativeDistance / 1000).toFixed(1));
+        const ridden = (r, value) => r.ridden ? value : null;
+        const line = (label, data, color, yAxisID, dashed = false) => ({
+            label,
+            data,
+            borderColor: color,
+            borderWidth: 1.5,
+            borderDash: dashed ? [4, 4] : [],
+            fill: false,
+            tension: 0.3,
+            pointRadius: 0,
+            yAxisID
+        });
+        const datasets = [
+            line('Planned Speed (km/h)', rows.map(r => r.speed * 3.6), '#00d4ff', 'y', true),
+            line('Actual Speed (km/h)', rows.map(r => ridden(r, r.actualSpeed * 3.6)), '#00d4ff', 'y'),
+            line("Planned W' (kJ)", rows.map(r => r.wBalance / 1000), '#a855f7', 'y1', true),
+            line("Actual W' (kJ)", rows.map(r => ridden(r, r.actualWBalance / 1000)), '#a855f7', 'y1')
+        ];
+        const heartRate = rows.map(r => ridden(r, r.heartRate ?? null));
+        if (heartRate.some(hr => hr !== null)) {
+            datasets.push(line('Heart Rate (bpm)', heartRate, '#ef4444', 'y2'));
+        }
 
-        elements.resultsCard.classList.add('active');
-    }
+        if (state.analysisChart) {
+            state.analysisChart.data.labels = labels;
+            state.analysisChart.data.datasets = datasets;
+            state.analysisChart.options.scales.y2.display = datasets.length > 4;
+            state.analysisChart.update();
+            return;
+        }
+
+        state.analysisChart = new Chart(document.getElementById('analysisChart').getContext('2d'), {
+            type: 'line',
+            data: { labels, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { labels: { color: '#a0a0b0', font: { size: 11 } } }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Distance (km)', color: '#606070' },
+                        ticks: { color: '#606070', maxTicksLimit: 10 },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    y: {
+                        position: 'left',
+                        title: { display: true, text: 'Speed (km/h)', color: '#00d4ff' },
+                        ticks: { color: '#a0a0b0' },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    y1: {
+                        position: 'right',
+                        title: { display: true, text: "W' balance (kJ)", color: '#a855f7' },
+                        ticks: { color: '#a0a0b0' },
+                        grid: { drawOnChartArea: false }
+                    },
+                    y2: {
+                        display: datasets.length > 4,
+                        position: 'right',
+                        title: { display: true, text: 'Heart rate (bpm)', color: '#ef4444' },
+                        ticks: { color: '#a0a0b0' },
+                        grid: { drawOnChartArea: false }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Tornado chart: finish-time change with each input at -1σ and +1σ, widest swing on top
+     */
+    updateTornadoChart(tornado) {
+        const labels = tornado.map(t => t.label);
+        const bars = tornado.map(t => [Math.min(t.low, t.high), Math.max(t.low, t.high)]);
+
+        if (state.tornadoChart) {
+            state.tornadoChart.data.labels = labels;
+            state.tornadoChart.data.datasets[0].data = bars;
+            state.tornadoChart.update();
+            return;
+        }
+
+        state.tornadoChart = new Chart(document.getElementById('tornadoChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'Finish time change at ±1σ (s)',
+                    data: bars,
+                    backgroundColor: 'rgba(249, 115, 22, 0.6)',
+                    borderColor: '#f97316',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: { labels: { color: '#a0a0b0', font: { size: 11 } } }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Δ finish time (s)', color: '#606070' },
+                        ticks: { color: '#606070' },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    y: {
+                        ticks: { color: '#a0a0b0' },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Bike, run and total time against bike intensity, best total marked
+     */
+    updateTriathlonChart(points, best) {
+        const labels = points.map(p => `${p.intensity}%`);
+        const minutes = key => points.map(p => p[key] / 60);
+        const bestPoint = points.map(p => p.intensity === best.intensity ? p.total / 60 : null);
+
+        if (state.triChart) {
+            state.triChart.data.labels = labels;
+            state.triChart.data.datasets[0].data = minutes('total');
+            state.triChart.data.datasets[1].data = minutes('bikeTime');
+            state.triChart.data.datasets[2].data = minutes('runTime');
+            state.triChart.data.datasets[3].data = bestPoint;
+            state.triChart.update();
+            return;
+        }
+
+        state.triChart = new Chart(document.getElementById('triChart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Finish (min)',
+                        data: minutes('total'),
+                        borderColor: '#22c55e',
+                        borderWidth: 2,
+                        fill: false,
+                        pointRadius: 0,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Bike (min)',
+                        data: minutes('bikeTime'),
+                        borderColor: '#f97316',
+                        borderWidth: 1.5,
+                        fill: false,
+                        pointRadius: 0,
+                        yAxisID: 'y1'
+                    },
+                    {
+                        label: 'Run (min)',
+                        data: minutes('runTime'),
+                        borderColor: '#00d4ff',
+                        borderWidth: 1.5,
+                        fill: false,
+                        pointRadius: 0,
+                        yAxisID: 'y1'
+                    },
+                    {
+                        label: 'Best',
+                        data: bestPoint,
+                        borderColor: '#22c55e',
+                        backgroundColor: '#22c55e',
+                        pointRadius: 5,
+                        showLine: false,
+                        yAxisID: 'y'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { labels: { color: '#a0a0b0', font: { size: 11 } } }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Bike intensity (% FTP)', color: '#606070' },
+                        ticks: { color: '#606070', maxTicksLimit: 11 },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    y: {
+                        position: 'left',
+                        title: { display: true, text: 'Finish (min)', color: '#22c55e' },
+                        ticks: { color: '#22c55e' },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    y1: {
+                        position: 'right',
+                        title: { display: true, text: 'Bike / run (min)', color: '#a0a0b0' },
+                        ticks: { color: '#a0a0b0' },
+                        grid: { drawOnChartArea: false }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Cumulative time gap of each compared scenario to the reference along the course
+     */
+    updateGapChart(comparison) {
+        const labels = comparison ? comparison.distances.map(d => (d / 1000).toFixed(1)) : [];
+        const datasets = (comparison?.traces || []).map((trace, i) => ({
+            label: i === 0 ? `${trace.name} (reference)` : trace.name,
+            data: trace.gap,
+            borderColor: SCENARIO_COLORS[i % SCENARIO_COLORS.length],
+            borderWidth: 1.5,
+            borderDash: i === 0 ? [4, 4] : [],
+            fill: false,
+            pointRadius: 0
+        }));
+
+        if (state.gapChart) {
+            state.gapChart.data.labels = labels;
+            state.gapChart.data.datasets = datasets;
+            state.gapChart.update();
+            return;
+        }
+
+        state.gapChart = new Chart(document.getElementById('gapChart').getContext('2d'), {
+            type: 'line',
+            data: { labels, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { labels: { color: '#a0a0b0', font: { size: 11 } } }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Distance (km)', color: '#606070' },
+                        ticks: { color: '#606070', maxTicksLimit: 10 },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    },
+                    y: {
+                        title: { display: true, text: 'Time gap (s, + behind)', color: '#606070' },
+                        ticks: { color: '#a0a0b0' },
+                        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Update results display
+     */
+    updateResults(metrics) {
+        elements.estTime.textContent = PowerOptimizer.formatTime(metrics.totalTime);
+        elements.avgPower.textContent = Math.round(metrics.avgPower);
+        elements.normPower.textContent = Math.round(metrics.normPower);
+        elements.intensityFactor.textContent = metrics.intensityFactor.toFixed(2);
+        elements.tss.textContent = Math.round(metrics.tss);
+        elements.avgSpeed.textContent = metrics.avgSpeed.toFixed(1);
+        elements.airDensity.textContent = metrics.avgAirDensity.toFixed(3);
+
+        // W' gauge
+        const wPercent = Math.max(0, Math.min(100, metrics.wprimePercent));
+        elements.wprimeGauge.style.width = `${wPercent}%`;
+        elements.wprimePercent.textContent = `${Math.round(wPercent)}%`;
+
+        elements.resultsCard.classList.add('active');
+    }
 };
 
-// ============================================
-// UI Event Handlers
-// ============================================
+// ============================================
+// Worker Jobs
+// ============================================
+
+// Delay after the last input change before a live re-optimisation (ms)
+const LIVE_UPDATE_DELAY = 300;
+
+/**
+ * Run a core job ('optimize', 'recommend', 'montecarlo' or 'triathlon') in its own worker
+ * Starting a job under a name that is already running cancels the older one
+ * Resolves with the result, or null when cancelled
+ */
+function runWorkerJob(name, message, onProgress = () => {}) {
+    cancelWorkerJob(name);
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('worker.js', { type: 'module' });
+        const finish = () => {
+            worker.terminate();
+            if (state.jobs[name]?.worker === worker) delete state.jobs[name];
+        };
+
+        worker.onmessage = e => {
+            const reply = e.data;
+            if (reply.type === 'progress') {
+                onProgress(reply.done, reply.total);
+                return;
+            }
+            finish();
+            if (reply.type === 'result') resolve(reply.result);
+            else reject(new Error(reply.message));
+        };
+        worker.onerror = e => {
+            e.preventDefault();
+            finish();
+            reject(new Error(e.message));
+        };
+
+        state.jobs[name] = { worker, resolve };
+        worker.postMessage(message);
+    });
+}
+
+/**
+ * Stop a running job; its promise resolves with null. Returns whether one was running
+ */
+function cancelWorkerJob(name) {
+    const job = state.jobs[name];
+    if (!job) return false;
+
+    job.worker.terminate();
+    delete state.jobs[name];
+    job.resolve(null);
+    return true;
+}
+
+/**
+ * Re-optimise shortly after plan inputs change, once a plan is on screen
+ */
+function scheduleLiveUpdate() {
+    clearTimeout(state.liveTimer);
+    state.liveTimer = setTimeout(() => {
+        if (state.optimizedPower.length > 0) calculate({ live: true });
+    }, LIVE_UPDATE_DELAY);
+}
+
+// ============================================
+// UI Event Handlers
+// ============================================
+
+function updateRouteInfo(segments) {
+    const totalDist = segments[segments.length - 1]?.cumulativeDistance || 0;
+    const laps = state.lapEnds.length;
+    elements.totalDistance.textContent = laps > 1
+        ? `${(totalDist / 1000).toFixed(1)} km (${laps} laps)`
+        : `${(totalDist / 1000).toFixed(1)} km`;
+
+    // Calculate elevation gain (cleaned, with the raw figure for comparison)
+    let elevGain = 0;
+    let rawGain = 0;
+    for (let i = 1; i < segments.length; i++) {
+        const diff = segments[i].elevation - segments[i - 1].elevation;
+        if (diff > 0) elevGain += diff;
+        const rawDiff = (segments[i].rawElevation ?? segments[i].elevation) -
+            (segments[i - 1].rawElevation ?? segments[i - 1].elevation);
+        if (rawDiff > 0) rawGain += rawDiff;
+    }
+    elements.elevationGain.textContent = Math.round(rawGain) !== Math.round(elevGain)
+        ? `${Math.round(elevGain)} m (raw ${Math.round(rawGain)})`
+        : `${Math.round(elevGain)} m`;
+
+    // Max gradient
+    const maxGrad = Math.max(...segments.map(s => Math.abs(s.gradient)));
+    elements.maxGradient.textContent = `${(maxGrad * 100).toFixed(1)}%`;
+}
+
+function updateWindCompass() {
+    const degrees = parseInt(elements.windDirection.value);
+    elements.compassArrow.style.transform = `rotate(${degrees}deg)`;
+    elements.windDegrees.textContent = `${degrees}°`;
+}
+
+function getParams() {
+    const ftp = parseFloat(elements.ftp.value);
+
+    return {
+        ftp: ftp,
+        // CP defaults to FTP when left blank
+        cp: parseFloat(elements.cp.value) || ftp,
+        riderWeight: parseFloat(elements.riderWeight.value),
+        bikeWeight: parseFloat(elements.bikeWeight.value),
+        totalMass: parseFloat(elements.riderWeight.value) + parseFloat(elements.bikeWeight.value),
+        windSpeed: parseFloat(elements.windSpeed.value),
+        windDirection: parseFloat(elements.windDirection.value),
+        startTime: WindField.parseClock(elements.startTime.value) ?? 0,
+        windField: getWindField(),
+        temperature: parseFloat(elements.temperature.value),
+        pressure: parseFloat(elements.pressure.value),
+        humidity: parseFloat(elements.humidity.value),
+        cda: parseFloat(elements.cda.value),
+        yawTable: getYawTable(),
+        crr: parseFloat(elements.crr.value),
+        drivetrainLoss: (parseFloat(elements.drivetrainLoss.value) || 0) / 100,
+        wprime: parseFloat(elements.wprime.value),
+        wbalModel: elements.wbalModel.value,
+        pacingConstraint: elements.pacingConstraint.value,
+        speedModel: elements.speedModel.value,
+        leanAngle: parseFloat(elements.leanAngle.value),
+        wprimeFloor: parseFloat(elements.wprimeFloor.value),
+        ftpDecay: (parseFloat(elements.ftpDecay.value) || 0) / 100,
+        targetIntensity: parseFloat(elements.targetIntensity.value),
+        powerCurve: getPowerCurve()
+    };
+}
+
+/**
+ * Build the wind field from the timeline box (null when empty: the single wind inputs apply)
+ */
+function getWindField() {
+    const { rows } = WindField.parse(elements.windTimeline.value);
+    const first = state.segments[0];
+    const origin = first ? { lat: first.startLat, lon: first.startLon } : null;
+
+    return WindField.build(rows, WindField.parseClock(elements.startTime.value) ?? 0, origin);
+}
+
+/**
+ * Fit the best efforts box with the chosen model (null for the generic table or unusable data)
+ */
+function getPowerCurve() {
+    const model = elements.powerModel.value;
+    if (model === 'table') return null;
+
+    try {
+        return PowerDuration.fit(model, PowerDuration.parse(elements.powerCurve.value).rows);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Read the CdA-vs-yaw table; the 0° row is the CdA input itself
+ * Returns null when CdA is treated as constant
+ */
+function getYawTable() {
+    if (elements.aeroSetup.value === 'constant') return null;
+
+    const cda = parseFloat(elements.cda.value);
+    const rows = [{ yaw: 0, cda: cda }];
+
+    elements.yawTable.querySelectorAll('input[data-yaw]').forEach(input => {
+        const value = parseFloat(input.value);
+        rows.push({ yaw: parseFloat(input.dataset.yaw), cda: isNaN(value) ? cda : value });
+    });
+
+    return rows;
+}
+
+/**
+ * Show or hide the yaw table and fill it from a preset
+ */
+function selectAeroSetup(setup) {
+    elements.yawTable.style.display = setup === 'constant' ? 'none' : 'grid';
+
+    const preset = AERO_SETUPS[setup];
+    if (!preset) return;
+
+    elements.cda.value = preset.cda[0];
+    elements.yawTable.querySelectorAll('input[data-yaw]').forEach(input => {
+        input.value = preset.cda[YAW_ANGLES.indexOf(parseFloat(input.dataset.yaw))];
+    });
+}
+
+function updateIntensitySlider() {
+    const intensity = parseInt(elements.targetIntensity.value);
+    elements.intensityValue.textContent = `${intensity}%`;
+}
+
+/**
+ * Calculate recommended intensity based on estimated ride duration and ride mode
+ * Uses power-duration relationship for cycling
+ */
+async function autoRecommendIntensity() {
+    if (!state.segments || state.segments.length === 0) {
+        alert('Please load a GPX file first.');
+        return;
+    }
+
+    if (elements.powerModel.value !== 'table') {
+        const { rows, errors } = PowerDuration.parse(elements.powerCurve.value);
+        try {
+            if (errors.length > 0) throw new Error(errors.join('\n'));
+            PowerDuration.fit(elements.powerModel.value, rows);
+        } catch (e) {
+            alert(`Best efforts:\n${e.message}`);
+            return;
+        }
+    }
+
+    const params = getParams();
+    let recommendation;
+    try {
+        recommendation = await runWorkerJob('recommend', {
+            type: 'recommend',
+            segments: state.segments,
+            params
+        });
+    } catch (e) {
+        alert(`Could not recommend an intensity: ${e.message}`);
+        return;
+    }
+    if (!recommendation) return;
+
+    // Apply ride mode modifier
+    const modeModifier = RIDE_MODES[currentRideMode].modifier;
+    let recommendedIntensity = Math.round(recommendation.intensity + modeModifier);
+
+    // Clamp to valid range
+    recommendedIntensity = Math.max(60, Math.min(100, recommendedIntensity));
+
+    // Update slider
+    elements.targetIntensity.value = recommendedIntensity;
+    updateIntensitySlider();
+    scheduleLiveUpdate();
+
+    // Show recommendation info
+    const modeName = RIDE_MODES[currentRideMode].name;
+    const modeText = modeModifier !== 0 ? ` (${modeName}: ${modeModifier > 0 ? '+' : ''}${modeModifier}%)` : '';
+    elements.recommendedInfo.style.display = 'flex';
+    elements.recommendedValue.textContent = `${recommendedIntensity}%${modeText}`;
+    elements.recommendedBasis.style.display = 'block';
+    elements.recommendedBasis.textContent = describeRecommendation(recommendation, params);
+}
+
+/**
+ * One sentence on what set the recommendation: the table, or which best effort(s)
+ */
+function describeRecommendation({ estimatedHours, prediction }, params) {
+    const predicted = `the predicted ${PowerOptimizer.formatTime(estimatedHours * 3600)}`;
+    if (!prediction) {
+        return `Generic duration table for ${predicted}. Enter your best efforts to use your own curve.`;
+    }
+
+    const effort = e => `${PowerDuration.formatDuration(e.duration)} best (${Math.round(e.power)} W)`;
+    const power = `${Math.round(prediction.power)} W`;
+    const [first, second] = prediction.efforts;
+
+    switch (prediction.basis) {
+        case 'measured':
+            return `Your ${effort(first)} matches ${predicted}.`;
+        case 'interpolated':
+            return `${power} between your ${effort(first)} and ${effort(second)} for ${predicted}.`;
+        case 'extrapolated':
+            return `${power} extrapolated from your ${effort(first)}, your longest, to ${predicted}.`;
+        case 'shorter':
+            return `The ride is shorter than your ${effort(first)}; that power is used.`;
+        default: {
+            const curve = params.powerCurve;
+            return `${power} from the ${PowerDuration.MODELS[curve.model]} fit (CP ${Math.round(curve.cp)} W, ` +
+                `W' ${(curve.wprime / 1000).toFixed(1)} kJ) for ${predicted}; closest effort: your ${effort(first)}.`;
+        }
+    }
+}
+
+/**
+ * Summarise the best efforts box under the chosen model and offer a fitted CP / W'
+ */
+function updatePowerCurve() {
+    const model = elements.powerModel.value;
+    const { rows, errors } = PowerDuration.parse(elements.powerCurve.value);
+    elements.applyPowerModelBtn.disabled = true;
+
+    if (errors.length > 0) {
+        elements.powerCurveStatus.textContent = errors[0];
+        return;
+    }
+    if (model === 'table') {
+        elements.powerCurveStatus.textContent = rows.length > 0
+            ? `${rows.length} efforts entered; choose a curve model to recommend from them.`
+            : 'Enter mean-maximal powers (best 5, 20, 60 min...) or import a CSV / JSON export ' +
+              'to recommend from your own curve.';
+        return;
+    }
+
+    let curve;
+    try {
+        curve = PowerDuration.fit(model, rows);
+    } catch (e) {
+        elements.powerCurveStatus.textContent = e.message;
+        return;
+    }
+
+    if (model === 'data') {
+        elements.powerCurveStatus.textContent = `${rows.length} efforts from ` +
+            `${PowerDuration.formatDuration(rows[0].duration)} to ` +
+            `${PowerDuration.formatDuration(rows[rows.length - 1].duration)}; longer rides are extrapolated.`;
+        return;
+    }
+
+    elements.powerCurveStatus.textContent = `CP ${Math.round(curve.cp)} W, W' ${(curve.wprime / 1000).toFixed(1)} kJ` +
+        (curve.pmax ? `, Pmax ${Math.round(curve.pmax)} W` : '') + '.';
+    elements.applyPowerModelBtn.disabled = false;
+}
+
+/**
+ * Copy the fitted CP and W' into the rider inputs
+ */
+function applyPowerModel() {
+    const curve = getPowerCurve();
+    if (!curve || curve.cp === undefined) return;
+
+    elements.cp.value = Math.round(curve.cp);
+    elements.wprime.value = Math.round(curve.wprime / 100) * 100;
+    scheduleLiveUpdate();
+}
+
+/**
+ * Import a mean-maximal power export into the best efforts box
+ */
+async function handlePowerCurveUpload(file) {
+    const { rows, errors } = PowerDuration.load(await file.text());
+    if (rows.length === 0) {
+        alert(`Could not read ${file.name}: ${errors[0] || 'no efforts found.'}`);
+        return;
+    }
+
+    elements.powerCurve.value = PowerDuration.toText(rows);
+    if (elements.powerModel.value === 'table') elements.powerModel.value = 'data';
+    updatePowerCurve();
+}
+
+function selectRideMode(mode, recommend = true) {
+    const triathlon = RIDE_MODES[mode].triathlon;
+    if (triathlon && mode !== currentRideMode) {
+        elements.triSwimTime.value = triathlon.swim;
+        elements.triRunDistance.value = triathlon.run;
+    }
+    elements.triathlonCard.style.display = triathlon ? '' : 'none';
+    currentRideMode = mode;
+
+    // Update button states
+    document.querySelectorAll('.ride-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+
+    // Auto-update recommendation if route is loaded
+    if (recommend && state.segments && state.segments.length > 0) {
+        autoRecommendIntensity();
+    }
+}
+
+/**
+ * Process parsed course points into segments and show the route preview
+ */
+function loadRoute(points, waypoints = []) {
+    const cleaned = ElevationCleaner.clean(points, getCleaningOptions());
+    const outAndBack = elements.outAndBack.checked;
+    let course;
+    try {
+        course = Laps.build(cleaned, { laps: Math.max(1, parseInt(elements.lapCount.value) || 1), outAndBack });
+    } catch (e) {
+        alert(e.message);
+        elements.lapCount.value = 1;
+        course = Laps.build(cleaned, { outAndBack });
+    }
+    state.segments = course.segments;
+    state.lapEnds = course.lapEnds;
+    state.route = points;
+    state.cleanedRoute = course.points;
+    state.waypoints = waypoints;
+    state.optimizedPower = [];
+    state.blocks = null;
+    state.rideSamples = null;
+    state.analysis = null;
+    state.triathlon = null;
+    elements.triApplyBtn.disabled = true;
+    updateFuelling();
+    ['optimize', 'recommend', 'montecarlo', 'triathlon'].forEach(cancelWorkerJob);
+    elements.exportButtons.forEach(btn => { btn.disabled = true; });
+    renderBlocks();
+    renderLaps();
+    renderAnalysis();
+    Visualization.drawBlocks([], []);
+    Visualization.drawLosses([], []);
+
+    elements.saveScenarioBtn.disabled = true;
+    // Scenarios are plans for one segmentation of the course; laps, cleaning or a DEM change it
+    state.scenarios = [];
+
+    updateRouteInfo(state.segments);
+    updateSections();
+    updateComparison();
+
+    // Draw route without power optimization for preview
+    const previewSegments = state.segments.map(s => ({
+        ...s,
+        optimizedPower: getParams().ftp,
+        speed: 10
+    }));
+    Visualization.drawRoute(previewSegments, getParams().ftp);
+    Visualization.drawWaypoints(waypoints);
+}
+
+/**
+ * Elevation cleaning settings from the form
+ */
+function getCleaningOptions() {
+    return {
+        dem: state.demTiles,
+        spikeThreshold: parseFloat(elements.spikeThreshold.value) || 0,
+        smoothing: elements.elevationSmoothing.value,
+        window: parseFloat(elements.smoothingWindow.value) || CONSTANTS.ELEVATION_MIN_WINDOW,
+        maxGradient: parseFloat(elements.maxGradientClamp.value) || 0
+    };
+}
+
+/**
+ * Load DEM tiles and re-clean the current route against them
+ */
+async function handleDEMUpload(files) {
+    const tiles = [];
+
+    for (const file of files) {
+        try {
+            tiles.push(await DEMTile.load(await file.arrayBuffer(), file.name));
+        } catch (e) {
+            alert(`Could not read DEM ${file.name}: ${e.message}`);
+        }
+    }
+    if (tiles.length === 0) return;
+
+    state.demTiles = tiles;
+    elements.demStatus.textContent = `DEM: ${tiles.map(t => t.name).join(', ')}`;
+
+    if (state.route) loadRoute(state.route, state.waypoints);
+}
+
+async function handleFileUpload(file) {
+    let course;
+    try {
+        course = CourseImporter.parse(await file.arrayBuffer(), file.name);
+    } catch (e) {
+        alert(`Could not read ${file.name}: ${e.message}`);
+        return;
+    }
+
+    if (course.points.length < 2) {
+        alert(`Invalid ${course.format.toUpperCase()} file or no track points found.`);
+        return;
+    }
+
+    // Show basic route on map
+    Visualization.initMap();
+    state.routeName = file.name.replace(/\.[^.]+$/, '');
+    loadRoute(course.points, course.waypoints);
+}
+
+/**
+ * Import a forecast file and fill the wind timeline and environment inputs from it
+ */
+async function handleForecastUpload(file) {
+    if (!state.segments || state.segments.length === 0) {
+        alert('Please load a GPX file first.');
+        return;
+    }
+
+    const bbox = GPXParser.bounds(state.segments);
+    const margin = CONSTANTS.FORECAST_DECODE_MARGIN;
+    const decodeBox = {
+        minLat: bbox.minLat - margin,
+        maxLat: bbox.maxLat + margin,
+        minLon: bbox.minLon - margin,
+        maxLon: bbox.maxLon + margin
+    };
+
+    // Race duration from the last plan, or a 30 km/h guess before the first calculation
+    const lastSegment = state.optimizedPower[state.optimizedPower.length - 1];
+    const distance = state.segments[state.segments.length - 1].cumulativeDistance;
+    const duration = lastSegment?.elapsedTime ?? distance / (30 / 3.6);
+
+    // Forecast times are UTC; without an entered offset, offer the solar one at the start
+    let utcOffset = raceUtcOffset();
+    if (utcOffset === null) {
+        const hours = Math.round(state.segments[0].startLon / 15);
+        const label = `UTC${hours >= 0 ? '+' : ''}${hours}`;
+        if (!confirm(`No race UTC offset entered. Assume ${label} from the course longitude? ` +
+            'Daylight saving time is not included.')) return;
+        elements.utcOffset.value = hours;
+        utcOffset = hours * 3600;
+    }
+
+    try {
+        const records = ForecastImporter.parse(await file.arrayBuffer(), file.name, decodeBox);
+        const forecast = ForecastImporter.select(records, {
+            bbox,
+            raceDate: elements.raceDate.value,
+            startTime: WindField.parseClock(elements.startTime.value) ?? 0,
+            duration,
+            utcOffset
+        });
+        const { conditions } = forecast;
+
+        elements.raceDate.value = forecast.day;
+        elements.windTimeline.value = ForecastImporter.formatRows(forecast.rows);
+
+        if (conditions.wind) {
+            elements.windSpeed.value = Math.round(conditions.wind.speed);
+            elements.windDirection.value = Math.round(conditions.wind.direction) % 360;
+            updateWindCompass();
+        }
+        if (conditions.temperature !== undefined) elements.temperature.value = Math.round(conditions.temperature);
+        if (conditions.pressure !== undefined) elements.pressure.value = Math.round(conditions.pressure);
+        if (conditions.humidity !== undefined) elements.humidity.value = Math.round(conditions.humidity);
+
+        elements.forecastStatus.textContent =
+            `${file.name}: ${forecast.rows.length} wind entries for ${forecast.day} ` +
+            `from ${forecast.locations} location${forecast.locations > 1 ? 's' : ''}`;
+    } catch (e) {
+        alert(`Could not import forecast: ${e.message}`);
+    }
+}
+
+/**
+ * Race offset from UTC in seconds, or null when none is entered
+ */
+function raceUtcOffset() {
+    const hours = parseFloat(elements.utcOffset.value);
+    return isNaN(hours) ? null : hours * 3600;
+}
+
+/**
+ * Export the optimized plan and download it
+ */
+function exportPlan(format) {
+    if (state.optimizedPower.length === 0) {
+        alert('Please calculate a plan first.');
+        return;
+    }
+
+    const params = state.planParams;
+
+    // The simplified block plan is what gets ridden, so export it when there is one
+    const { content, fileName, mime } = PlanExporter.export(format, {
+        name: state.routeName,
+        segments: state.blocks ? state.blocks.segments : state.optimizedPower,
+        intervals: state.blocks?.blocks,
+        points: state.cleanedRoute,
+        params,
+        start: PlanExporter.startDate(elements.raceDate.value, params.startTime, raceUtcOffset())
+    });
+    downloadFile(content, fileName, mime);
+}
+
+/**
+ * Simplify the optimized plan into pacing blocks and show them
+ */
+function updateBlocks() {
+    if (state.optimizedPower.length === 0) return;
+
+    const params = state.planParams;
+    state.blocks = PlanSimplifier.simplify(
+        { segments: state.optimizedPower, metrics: state.planMetrics },
+        params,
+        {
+            blocks: parseInt(elements.blockCount.value) || 0,
+            minLength: (parseFloat(elements.blockMinLength.value) || 0) * 1000
+        }
+    );
+    state.blocks.segments.forEach(seg => {
+        seg.clockTime = params.startTime + seg.elapsedTime - seg.time;
+    });
+
+    Visualization.drawBlocks(state.blocks.blocks, state.optimizedPower);
+    renderBlocks();
+    renderLaps();
+    updateFuelling();
+    updateSections();
+    updateAnalysis();
+}
+
+/**
+ * Fill the pacing block table (or clear it when there is no plan)
+ */
+function renderBlocks() {
+    const simplified = state.blocks;
+    elements.blocksTable.innerHTML = '';
+
+    if (!simplified) {
+        elements.blockPenalty.textContent = '--';
+        elements.printBlocksBtn.disabled = true;
+        return;
+    }
+
+    const ftp = state.planParams.ftp;
+
+    simplified.blocks.forEach((block, b) => {
+        const row = document.createElement('tr');
+        [
+            `B${b + 1}`,
+            `${(block.start / 1000).toFixed(1)}–${(block.end / 1000).toFixed(1)}`,
+            (block.distance / 1000).toFixed(1),
+            block.power,
+            Math.round(block.power / ftp * 100),
+            (block.gradient * 100).toFixed(1),
+            PowerOptimizer.formatTime(block.duration),
+            WindField.formatClock(state.planParams.startTime + block.elapsed)
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        elements.blocksTable.appendChild(row);
+    });
+
+    const penalty = Math.round(simplified.penalty);
+    elements.blockPenalty.textContent = `${penalty >= 0 ? '+' : ''}${penalty} s vs optimal ` +
+        `(NP ${Math.round(simplified.metrics.normPower)} W)`;
+    elements.printBlocksBtn.disabled = false;
+}
+
+/**
+ * Fill the lap split table for the plan being ridden (hidden for single-lap courses)
+ */
+function renderLaps() {
+    const plan = state.blocks ? state.blocks.segments : state.optimizedPower;
+    const show = plan.length > 0 && state.lapEnds.length > 1;
+    elements.lapTable.innerHTML = '';
+    elements.lapSplits.style.display = show ? '' : 'none';
+    if (!show) return;
+
+    const { wprime } = state.planParams;
+
+    Laps.splits(plan, state.lapEnds).forEach(split => {
+        const row = document.createElement('tr');
+        [
+            `L${split.lap}`,
+            `${(split.start / 1000).toFixed(1)}–${(split.end / 1000).toFixed(1)}`,
+            PowerOptimizer.formatTime(split.time),
+            PowerOptimizer.formatTime(split.elapsed),
+            Math.round(split.avgPower),
+            Math.round(split.normPower),
+            split.avgSpeed.toFixed(1),
+            Math.round(split.wBalance / wprime * 100),
+            Math.round(split.minWBalance / wprime * 100)
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        elements.lapTable.appendChild(row);
+    });
+}
+
+/**
+ * Detect climbs and descents, add the named segments and work out how the plan rides each
+ * (keeping the selected section when it still exists)
+ */
+function updateSections() {
+    const { segments: named, errors } = Sections.parse(elements.sectionNames.value);
+    const sections = state.segments.length > 0
+        ? [...Sections.detect(state.segments), ...Sections.named(state.segments, named)]
+        : [];
+    const plan = state.blocks ? state.blocks.segments : state.optimizedPower;
+
+    state.sections = sections.map(section => ({
+        ...section,
+        ride: plan.length > 0 ? Sections.ride(section, plan, state.planParams) : null
+    }));
+
+    const selected = state.selectedSection;
+    state.selectedSection = state.sections.find(s =>
+        selected && s.kind === selected.kind && s.name === selected.name) || null;
+    if (state.map) Visualization.drawSection(state.selectedSection, state.segments);
+
+    renderSections(errors);
+}
+
+/**
+ * Fill the climbs and segments table
+ */
+function renderSections(errors = []) {
+    elements.sectionsTable.innerHTML = '';
+
+    state.sections.forEach(section => {
+        const { ride } = section;
+        const row = document.createElement('tr');
+        if (section === state.selectedSection) row.classList.add('selected');
+        [
+            section.name,
+            { climb: section.category ?? '–', descent: '↓', segment: '' }[section.kind],
+            `${(section.start / 1000).toFixed(1)}–${(section.end / 1000).toFixed(1)}`,
+            (section.length / 1000).toFixed(1),
+            (section.avgGradient * 100).toFixed(1),
+            (section.maxGradient * 100).toFixed(1),
+            ride ? Math.round(ride.power) : '--',
+            ride ? ride.wkg.toFixed(2) : '--',
+            ride ? PowerOptimizer.formatTime(ride.time) : '--',
+            ride && section.gain > 0 ? Math.round(ride.vam) : '--',
+            ride ? (ride.wprimeUsed / 1000).toFixed(1) : '--'
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        row.addEventListener('click', () => selectSection(section));
+        elements.sectionsTable.appendChild(row);
+    });
+
+    const messages = [...errors];
+    if (state.segments.length > 0 && state.sections.length === 0) {
+        messages.push(`No climbs or descents of ${CONSTANTS.CLIMB_MIN_GRADIENT * 100}% or steeper on this course.`);
+    }
+    if (state.sections.length > 0 && !state.sections[0].ride) {
+        messages.push('Calculate a plan to see power, time and W\' for each section.');
+    }
+    elements.sectionStatus.textContent = messages.join(' ') ||
+        'Click a row to show it on the map and chart; click it again to clear.';
+}
+
+/**
+ * Zoom the map to a section and shade it on the chart (the selected one toggles off)
+ */
+function selectSection(section) {
+    state.selectedSection = section === state.selectedSection ? null : section;
+
+    if (state.map) {
+        Visualization.drawSection(state.selectedSection, state.segments);
+        if (state.selectedSection) state.map.fitBounds(state.sectionLayer.getBounds(), { padding: [40, 40] });
+    }
+    renderSections(Sections.parse(elements.sectionNames.value).errors);
+    updatePlanChart();
+}
+
+/**
+ * Load a recorded ride and compare it against the current plan
+ */
+async function handleRideUpload(file) {
+    try {
+        state.rideSamples = RideAnalyzer.load(await file.arrayBuffer(), file.name);
+    } catch (e) {
+        alert(`Could not read ${file.name}: ${e.message}`);
+        return;
+    }
+
+    elements.rideStatus.textContent = `${file.name}: ${state.rideSamples.length} samples`;
+    if (state.optimizedPower.length === 0) {
+        elements.rideStatus.textContent += ' (calculate a plan to compare against)';
+        return;
+    }
+    updateAnalysis();
+}
+
+/**
+ * Re-run the ride comparison against the plan being ridden (blocks when simplified)
+ * and refresh the chart overlays
+ */
+function updateAnalysis() {
+    const plan = state.blocks ? state.blocks.segments : state.optimizedPower;
+    state.analysis = null;
+
+    if (state.rideSamples && plan.length > 0) {
+        try {
+            const total = plan[plan.length - 1].cumulativeDistance;
+            const routeDistance = RideAnalyzer.match(state.rideSamples, state.cleanedRoute, total);
+            state.analysis = RideAnalyzer.analyze(state.rideSamples, routeDistance, plan, state.planParams);
+        } catch (e) {
+            alert(`Ride analysis failed: ${e.message}`);
+        }
+    }
+
+    updatePlanChart();
+    Visualization.drawLosses(state.analysis?.losses || [], state.optimizedPower);
+    renderAnalysis();
+}
+
+/**
+ * Redraw the profile chart with every overlay that applies: blocks, ridden power,
+ * compared scenarios, feeds and the selected section (the bare route before the first calculation)
+ */
+function updatePlanChart() {
+    if (state.optimizedPower.length === 0) {
+        Visualization.updateChart(state.segments, {
+            comparison: state.comparison,
+            highlight: state.selectedSection
+        });
+        return;
+    }
+
+    Visualization.updateChart(state.optimizedPower, {
+        blocks: state.blocks?.blocks,
+        actualPower: state.analysis?.rows.map(r => r.actualPower),
+        comparison: state.comparison,
+        feeds: state.fuelling?.feeds,
+        highlight: state.selectedSection
+    });
+}
+
+/**
+ * Fill the plan vs actual tables and chart (or clear them)
+ */
+function renderAnalysis() {
+    const analysis = state.analysis;
+    elements.analysisMetrics.innerHTML = '';
+    elements.analysisLosses.innerHTML = '';
+    elements.analysisChartContainer.style.display = analysis ? '' : 'none';
+    if (!analysis) return;
+
+    Visualization.updateAnalysisChart(analysis.rows);
+
+    const addRow = (tbody, cells) => {
+        const row = document.createElement('tr');
+        cells.forEach(({ text, className }) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (className) cell.className = className;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    };
+
+    // [label, key, format, sense]: sense +1 when more is better, -1 when less is, 0 neutral
+    const { planned, actual } = analysis;
+    [
+        ['Time', 'totalTime', PowerOptimizer.formatTime, -1],
+        ['Avg Power (W)', 'avgPower', v => Math.round(v), 0],
+        ['Normalized Power (W)', 'normPower', v => Math.round(v), 0],
+        ['Intensity Factor', 'intensityFactor', v => v.toFixed(2), 0],
+        ['TSS', 'tss', v => Math.round(v), 0],
+        ["Min W' Balance (kJ)", 'minWBalance', v => (v / 1000).toFixed(1), 1]
+    ].forEach(([label, key, format, sense]) => {
+        const delta = actual[key] - planned[key];
+        const judged = Math.sign(delta) * sense;
+        addRow(elements.analysisMetrics, [
+            { text: label },
+            { text: format(planned[key]) },
+            { text: format(actual[key]) },
+            {
+                text: `${delta > 0 ? '+' : ''}${format(delta)}`,
+                className: judged < 0 ? 'delta-worse' : judged > 0 ? 'delta-better' : ''
+            }
+        ]);
+    });
+
+    analysis.losses.forEach(loss => {
+        addRow(elements.analysisLosses, [
+            { text: `${(loss.start / 1000).toFixed(1)}–${(loss.end / 1000).toFixed(1)}` },
+            { text: `${Math.round(loss.timeLost)} s`, className: 'delta-worse' },
+            { text: Math.round(loss.plannedPower) },
+            { text: Math.round(loss.actualPower) },
+            { text: loss.reason, className: 'reason' }
+        ]);
+    });
+
+    const coverage = Math.round(analysis.coverage * 100);
+    elements.rideStatus.textContent = `Matched ${coverage}% of the route; ` +
+        `${PowerOptimizer.formatTime(Math.abs(analysis.timeDelta))} ${analysis.timeDelta > 0 ? 'behind' : 'ahead of'} plan.`;
+}
+
+/**
+ * Load a field test ride and list its laps for selection
+ */
+async function handleFieldUpload(file) {
+    try {
+        state.fieldTest = FieldTest.load(await file.arrayBuffer(), file.name);
+    } catch (e) {
+        alert(`Could not read ${file.name}: ${e.message}`);
+        return;
+    }
+
+    const { samples, laps } = state.fieldTest;
+    elements.fieldLaps.innerHTML = '';
+    laps.forEach((lap, i) => {
+        const inLap = samples.filter(s => s.time > lap.start && s.time <= lap.end);
+        const avgSpeed = inLap.reduce((sum, s) => sum + s.speed, 0) / (inLap.length || 1);
+        const minutes = Math.round((lap.end - lap.start) / 60);
+
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        label.innerHTML = `<input type="checkbox" data-lap="${i}" checked> ` +
+            `Lap ${i + 1} · ${minutes} min · ${(avgSpeed * 3.6).toFixed(1)} km/h`;
+        elements.fieldLaps.appendChild(label);
+    });
+
+    elements.fieldStatus.textContent = `${file.name}: ${samples.length} samples, ${laps.length} lap${laps.length > 1 ? 's' : ''}`;
+    elements.estimateBtn.disabled = false;
+    estimateAero();
+}
+
+/**
+ * Fit CdA and Crr to the selected laps
+ */
+function estimateAero() {
+    if (!state.fieldTest) return;
+
+    const laps = [...elements.fieldLaps.querySelectorAll('input[data-lap]')]
+        .filter(input => input.checked)
+        .map(input => state.fieldTest.laps[parseInt(input.dataset.lap)]);
+    if (laps.length === 0) {
+        alert('Select at least one lap.');
+        return;
+    }
+
+    try {
+        state.fieldEstimate = FieldTest.estimate(state.fieldTest.samples, {
+            laps,
+            excludeBraking: elements.excludeBraking.checked,
+            totalMass: getParams().totalMass,
+            drivetrainLoss: getParams().drivetrainLoss,
+            conditions: {
+                temperature: parseFloat(elements.fieldTemperature.value),
+                pressure: parseFloat(elements.fieldPressure.value)
+            }
+        });
+    } catch (e) {
+        state.fieldEstimate = null;
+        elements.applyFieldBtn.disabled = true;
+        alert(`Field test: ${e.message}`);
+        return;
+    }
+
+    const estimate = state.fieldEstimate;
+    elements.fieldCda.textContent = `${estimate.cda.toFixed(3)} ± ${estimate.cdaError.toFixed(3)}`;
+    elements.fieldCrr.textContent = `${estimate.crr.toFixed(4)} ± ${estimate.crrError.toFixed(4)}`;
+    elements.fieldRmse.textContent = estimate.rmse.toFixed(2);
+    elements.fieldStatus.textContent = `Fitted ${Math.round(estimate.duration)} s of riding` +
+        (estimate.braking > 0 ? `, ${Math.round(estimate.braking)} s of braking excluded` : '');
+    elements.applyFieldBtn.disabled = false;
+    Visualization.updateFieldChart(estimate.trace);
+}
+
+/**
+ * Copy the field test result into the CdA and Crr inputs
+ * The yaw table keeps its shape, scaled to the measured 0° CdA
+ */
+function applyAeroEstimate() {
+    const { cda, crr } = state.fieldEstimate;
+    const ratio = cda / parseFloat(elements.cda.value);
+
+    if (elements.aeroSetup.value !== 'constant' && isFinite(ratio)) {
+        elements.yawTable.querySelectorAll('input[data-yaw]').forEach(input => {
+            input.value = (parseFloat(input.value) * ratio).toFixed(3);
+        });
+        elements.aeroSetup.value = 'custom';
+    }
+    elements.cda.value = cda.toFixed(3);
+    elements.crr.value = crr.toFixed(4);
+}
+
+/**
+ * Start the Monte Carlo run on the current route and settings, or cancel a running one
+ */
+async function runUncertainty() {
+    if (cancelWorkerJob('montecarlo')) return;
+
+    if (!state.segments || state.segments.length === 0) {
+        alert('Please load a GPX file first.');
+        return;
+    }
+
+    const { errors } = WindField.parse(elements.windTimeline.value);
+    if (errors.length > 0) {
+        alert(`Wind timeline:\n${errors.join('\n')}`);
+        return;
+    }
+
+    const options = {
+        spread: {
+            windSpeed: parseFloat(elements.mcWindSpeed.value) || 0,
+            windDirection: parseFloat(elements.mcWindDirection.value) || 0,
+            cda: parseFloat(elements.mcCda.value) || 0,
+            crr: parseFloat(elements.mcCrr.value) || 0,
+            ftp: parseFloat(elements.mcFtp.value) || 0,
+            elevation: parseFloat(elements.mcElevation.value) || 0
+        },
+        runs: Math.max(1, parseInt(elements.mcRuns.value) || 0),
+        threshold: parseFloat(elements.mcThreshold.value) || 0
+    };
 
-function updateRouteInfo(segments) {
-    const totalDist = segments[segments.length - 1]?.cumulativeDistance || 0;
-    elements.totalDistance.textContent = `${(totalDist / 1000).toFixed(1)} km`;
+    elements.mcRunBtn.textContent = 'Cancel';
+    elements.mcStatus.textContent = 'Starting...';
 
-    // Calculate elevation gain
-    let elevGain = 0;
-    for (let i = 1; i < segments.length; i++) {
-        const diff = segments[i].elevation - segments[i - 1].elevation;
-        if (diff > 0) elevGain += diff;
+    let result;
+    try {
+        result = await runWorkerJob('montecarlo', {
+            type: 'montecarlo',
+            segments: state.segments,
+            params: getParams(),
+            options
+        }, (done, total) => {
+            elements.mcStatus.textContent = `Running ${done} / ${total}...`;
+        });
+    } catch (e) {
+        elements.mcStatus.textContent = '';
+        alert(`Monte Carlo: ${e.message}`);
     }
-    elements.elevationGain.textContent = `${Math.round(elevGain)} m`;
 
-    // Max gradient
-    const maxGrad = Math.max(...segments.map(s => Math.abs(s.gradient)));
-    elements.maxGradient.textContent = `${(maxGrad * 100).toFixed(1)}%`;
+    if (!state.jobs.montecarlo) elements.mcRunBtn.textContent = 'Run';
+    if (result === null) elements.mcStatus.textContent = 'Cancelled.';
+    if (!result) return;
+
+    elements.mcStatus.textContent = `${options.runs} runs, nominal finish ${PowerOptimizer.formatTime(result.nominal.time)}.`;
+    renderUncertainty(result, options.threshold);
 }
 
-function updateWindCompass() {
-    const degrees = parseInt(elements.windDirection.value);
-    elements.compassArrow.style.transform = `rotate(${degrees}deg)`;
-    elements.windDegrees.textContent = `${degrees}°`;
+/**
+ * Show finish-time percentiles, W' risk and the tornado chart
+ */
+function renderUncertainty(result, threshold) {
+    const { p10, p50, p90 } = result.percentiles;
+    elements.mcP10.textContent = PowerOptimizer.formatTime(p10);
+    elements.mcP50.textContent = PowerOptimizer.formatTime(p50);
+    elements.mcP90.textContent = PowerOptimizer.formatTime(p90);
+    elements.mcRisk.textContent = `${Math.round(result.wprimeRisk * 100)}%`;
+    elements.mcRisk.title = `Share of runs where W' fell below ${threshold}%`;
+
+    Visualization.updateTornadoChart(result.tornado);
 }
 
-function getParams() {
-    return {
-        ftp: parseFloat(elements.ftp.value),
-        riderWeight: parseFloat(elements.riderWeight.value),
-        bikeWeight: parseFloat(elements.bikeWeight.value),
-        totalMass: parseFloat(elements.riderWeight.value) + parseFloat(elements.bikeWeight.value),
-        windSpeed: parseFloat(elements.windSpeed.value),
-        windDirection: parseFloat(elements.windDirection.value),
-        cda: parseFloat(elements.cda.value),
-        crr: parseFloat(elements.crr.value),
-        wprime: parseFloat(elements.wprime.value),
-        targetIntensity: parseFloat(elements.targetIntensity.value)
-    };
+/**
+ * Re-plan feeds for the plan being ridden (blocks when simplified) and show them on the map
+ */
+function updateFuelling() {
+    const plan = state.blocks ? state.blocks.segments : state.optimizedPower;
+    const schedule = elements.fuelSchedule.value;
+    elements.fuelIntervalGroup.style.display = schedule === 'interval' ? '' : 'none';
+    elements.fuelStationsGroup.style.display = schedule === 'stations' ? '' : 'none';
+    state.fuelling = null;
+
+    let stationErrors = [];
+    if (plan.length > 0) {
+        let stations;
+        if (schedule === 'stations') {
+            ({ distances: stations, errors: stationErrors } = Nutrition.parseStations(elements.fuelStations.value));
+        } else if (schedule === 'waypoints') {
+            // Aid stations are matched on every pass within the first lap, then repeated each lap
+            const firstLap = plan.filter(seg => seg.cumulativeDistance <= state.lapEnds[0]);
+            stations = Laps.repeat(Nutrition.stationsFromWaypoints(state.waypoints, firstLap), state.lapEnds);
+        }
+
+        state.fuelling = Nutrition.plan(plan, state.planParams, {
+            efficiency: (parseFloat(elements.fuelEfficiency.value) || 22) / 100,
+            carbsPerHour: parseFloat(elements.fuelCarbs.value) || 0,
+            fluidPerHour: parseFloat(elements.fuelFluid.value) || 0,
+            sodium: parseFloat(elements.fuelSodium.value) || 0,
+            interval: (parseFloat(elements.fuelInterval.value) || 0) * 60,
+            stations
+        });
+    }
+
+    if (state.map) Visualization.drawFeeds(state.fuelling?.feeds || []);
+    renderFuelling(stationErrors);
 }
 
-function updateIntensitySlider() {
-    const intensity = parseInt(elements.targetIntensity.value);
-    elements.intensityValue.textContent = `${intensity}%`;
+/**
+ * Fill the fuelling totals and feed table (or clear them)
+ */
+function renderFuelling(stationErrors = []) {
+    const fuelling = state.fuelling;
+    elements.fuelTable.innerHTML = '';
+
+    if (!fuelling) {
+        [elements.fuelKcal, elements.fuelBurned, elements.fuelSweat, elements.fuelDeficit]
+            .forEach(el => { el.textContent = '--'; });
+        elements.fuelStatus.textContent = 'Each feed covers the carbohydrate target and the sweat lost ' +
+            '(up to the fluid limit) since the one before. Calculate a plan to see the feeds.';
+        return;
+    }
+
+    const { totals, feeds, lowest } = fuelling;
+    elements.fuelKcal.textContent = Math.round(totals.kcal);
+    elements.fuelBurned.textContent = Math.round(totals.carbsBurned);
+    elements.fuelSweat.textContent = totals.sweat.toFixed(1);
+    elements.fuelDeficit.textContent = totals.massLoss.toFixed(1);
+
+    feeds.forEach((feed, f) => {
+        const row = document.createElement('tr');
+        [
+            `F${f + 1}`,
+            (feed.distance / 1000).toFixed(1),
+            WindField.formatClock(state.planParams.startTime + feed.elapsed),
+            Math.round(feed.carbs),
+            Math.round(feed.fluid * 1000),
+            Math.round(feed.sodium)
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        elements.fuelTable.appendChild(row);
+    });
+
+    const messages = [...stationErrors];
+    if (feeds.length === 0) {
+        messages.push(elements.fuelSchedule.value === 'waypoints'
+            ? 'No course waypoints lie on the route.'
+            : 'No feeds before the finish.');
+    } else {
+        messages.push(`${feeds.length} feeds: ${Math.round(totals.carbsEaten)} g carbohydrate and ` +
+            `${totals.fluid.toFixed(1)} L fluid for ${Math.round(totals.work)} kJ of work.`);
+    }
+    messages.push(lowest.glycogen < 0
+        ? `Glycogen runs out by km ${(lowest.distance / 1000).toFixed(1)}: eat more or ride easier.`
+        : `Lowest glycogen ${Math.round(lowest.glycogen)} g at km ${(lowest.distance / 1000).toFixed(1)}.`);
+    elements.fuelStatus.textContent = messages.join(' ');
 }
 
 /**
- * Calculate recommended intensity based on estimated ride duration and ride mode
- * Uses power-duration relationship for cycling
+ * Swim, transitions and run from the triathlon inputs (null with an alert when unusable)
+ */
+function getRace() {
+    const thresholdPace = PowerDuration.parseDuration(elements.triRunPace.value.trim());
+    const runDistance = parseFloat(elements.triRunDistance.value) * 1000;
+
+    if (!(thresholdPace > 0) || !(runDistance > 0)) {
+        alert('Enter a run distance and a threshold pace as m:ss per km.');
+        return null;
+    }
+
+    return {
+        swimTime: (parseFloat(elements.triSwimTime.value) || 0) * 60,
+        transitionTime: (parseFloat(elements.triTransitionTime.value) || 0) * 60,
+        runDistance,
+        thresholdPace,
+        durability: elements.triDurability.value
+    };
+}
+
+/**
+ * Sweep bike intensities for the fastest triathlon finish, or cancel a running sweep
  */
-function autoRecommendIntensity() {
+async function runTriathlon() {
+    if (cancelWorkerJob('triathlon')) return;
+
     if (!state.segments || state.segments.length === 0) {
         alert('Please load a GPX file first.');
         return;
     }
 
-    const params = getParams();
-    // First, estimate duration at 100% FTP to get a baseline
-    const testParams = { ...params, targetIntensity: 100 };
-    const testResult = PowerOptimizer.optimize(state.segments, testParams);
-    const estimatedHours = testResult.metrics.totalTime / 3600;
-
-    // Power-duration curve: intensity decreases with duration
-    // Based on typical endurance athlete data:
-    // 1 hour = 95-100%, 2 hours = 85-90%, 3 hours = 78-82%, 4 hours = 72-76%, 5+ hours = 65-70%
-    let baseIntensity;
-    if (estimatedHours <= 1) {
-        baseIntensity = 95;
-    } else if (estimatedHours <= 2) {
-        baseIntensity = 95 - (estimatedHours - 1) * 10; // 95 -> 85
-    } else if (estimatedHours <= 3) {
-        baseIntensity = 85 - (estimatedHours - 2) * 7; // 85 -> 78
-    } else if (estimatedHours <= 4) {
-        baseIntensity = 78 - (estimatedHours - 3) * 6; // 78 -> 72
-    } else {
-        baseIntensity = Math.max(65, 72 - (estimatedHours - 4) * 3); // Gradually decrease to 65%
+    const { errors } = WindField.parse(elements.windTimeline.value);
+    if (errors.length > 0) {
+        alert(`Wind timeline:\n${errors.join('\n')}`);
+        return;
     }
 
-    // Apply ride mode modifier
-    const modeModifier = RIDE_MODES[currentRideMode].modifier;
-    let recommendedIntensity = Math.round(baseIntensity + modeModifier);
+    const race = getRace();
+    if (!race) return;
 
-    // Clamp to valid range
-    recommendedIntensity = Math.max(60, Math.min(100, recommendedIntensity));
+    elements.triRunBtn.textContent = 'Cancel';
+    elements.triStatus.textContent = 'Starting...';
 
-    // Update slider
-    elements.targetIntensity.value = recommendedIntensity;
-    updateIntensitySlider();
+    let result;
+    try {
+        result = await runWorkerJob('triathlon', {
+            type: 'triathlon',
+            segments: state.segments,
+            params: getParams(),
+            options: race
+        }, (done, total) => {
+            elements.triStatus.textContent = `Bike intensity ${done} / ${total}...`;
+        });
+    } catch (e) {
+        elements.triStatus.textContent = '';
+        alert(`Triathlon: ${e.message}`);
+    }
 
-    // Show recommendation info
-    const modeName = RIDE_MODES[currentRideMode].name;
-    const modeText = modeModifier !== 0 ? ` (${modeName}: ${modeModifier > 0 ? '+' : ''}${modeModifier}%)` : '';
-    elements.recommendedInfo.style.display = 'flex';
-    elements.recommendedValue.textContent = `${recommendedIntensity}%${modeText}`;
+    if (!state.jobs.triathlon) elements.triRunBtn.textContent = 'Run';
+    if (result === null) elements.triStatus.textContent = 'Cancelled.';
+    if (!result) return;
+
+    state.triathlon = { ...result, race };
+    renderTriathlon();
 }
 
-function selectRideMode(mode) {
-    currentRideMode = mode;
+/**
+ * Show the best finish, the current plan's finish and the bike-vs-run trade-off chart
+ */
+function renderTriathlon() {
+    const { best, points, race } = state.triathlon;
+
+    elements.triFinish.textContent = PowerOptimizer.formatTime(best.total);
+    elements.triBest.textContent = `${best.intensity}%`;
+    elements.triBike.textContent = PowerOptimizer.formatTime(best.bikeTime);
+    elements.triRun.textContent = PowerOptimizer.formatTime(best.runTime);
+    elements.triApplyBtn.disabled = false;
+
+    let status = `Best at ${best.intensity}% (IF ${best.intensityFactor.toFixed(2)}, TSS ${Math.round(best.tss)}): ` +
+        `run ${Math.round(best.slowdown * 100)}% slower than fresh.`;
+    if (state.planMetrics) {
+        const current = Triathlon.finish(state.planMetrics, race);
+        status += ` Current plan (${state.planParams.targetIntensity}%) finishes in ${PowerOptimizer.formatTime(current.total)}.`;
+    }
+    elements.triStatus.textContent = status;
 
-    // Update button states
-    document.querySelectorAll('.ride-mode-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.mode === mode);
+    Visualization.updateTriathlonChart(points, best);
+}
+
+/**
+ * Save the current plan, with the inputs it was calculated from, as a named scenario
+ * (replacing one with the same name) and tick it for comparison
+ */
+function saveScenario() {
+    if (state.optimizedPower.length === 0) return;
+
+    const name = elements.scenarioName.value.trim() || `Scenario ${state.scenarios.length + 1}`;
+    const scenario = {
+        ...Scenarios.create(name, state.planParams, state.optimizedPower, state.planMetrics),
+        compare: true
+    };
+
+    const existing = state.scenarios.findIndex(s => s.name === name);
+    if (existing >= 0) {
+        state.scenarios[existing] = scenario;
+    } else {
+        state.scenarios.push(scenario);
+    }
+    elements.scenarioName.value = '';
+    updateComparison();
+}
+
+/**
+ * Re-compare the ticked scenarios (two or more) on the current segments and refresh
+ * the list, the delta table, the gap chart and the profile chart overlay
+ */
+function updateComparison() {
+    const picked = state.scenarios.filter(s => s.compare);
+    state.comparison = picked.length >= 2
+        ? Scenarios.compare(picked, state.segments.map(s => s.cumulativeDistance))
+        : null;
+
+    renderScenarios();
+    Visualization.updateGapChart(state.comparison);
+    updatePlanChart();
+}
+
+/**
+ * Fill the scenario list and the comparison table
+ */
+function renderScenarios() {
+    elements.scenarioList.innerHTML = '';
+    elements.comparisonHead.innerHTML = '';
+    elements.comparisonTable.innerHTML = '';
+    elements.clearScenariosBtn.disabled = state.scenarios.length === 0;
+
+    state.scenarios.forEach((scenario, i) => {
+        const row = document.createElement('tr');
+
+        const pick = document.createElement('input');
+        pick.type = 'checkbox';
+        pick.checked = scenario.compare;
+        pick.addEventListener('change', () => {
+            scenario.compare = pick.checked;
+            updateComparison();
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'export-btn';
+        remove.textContent = '×';
+        remove.title = `Delete ${scenario.name}`;
+        remove.addEventListener('click', () => {
+            state.scenarios.splice(i, 1);
+            updateComparison();
+        });
+
+        [
+            pick,
+            scenario.name,
+            PowerOptimizer.formatTime(scenario.metrics.totalTime),
+            Math.round(scenario.metrics.normPower),
+            scenario.metrics.intensityFactor.toFixed(2),
+            remove
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            if (value instanceof Node) {
+                cell.appendChild(value);
+            } else {
+                cell.textContent = value;
+            }
+            row.appendChild(cell);
+        });
+        elements.scenarioList.appendChild(row);
     });
 
-    // Auto-update recommendation if route is loaded
-    if (state.segments && state.segments.length > 0) {
-        autoRecommendIntensity();
+    const comparison = state.comparison;
+    if (!comparison) {
+        elements.scenarioStatus.textContent = state.scenarios.length > 0
+            ? 'Tick two or more scenarios to compare them; the first ticked is the reference.'
+            : 'Save the current plan with its inputs, change something, calculate and save again.';
+        return;
+    }
+    elements.scenarioStatus.textContent = `Compared against ${comparison.traces[0].name}.`;
+
+    const addRow = (parent, cells, tag = 'td') => {
+        const row = document.createElement('tr');
+        cells.forEach(({ text, className }) => {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            if (className) cell.className = className;
+            row.appendChild(cell);
+        });
+        parent.appendChild(row);
+    };
+
+    const signed = (value, format) => `${value > 0 ? '+' : value < 0 ? '-' : '±'}${format(Math.abs(value))}`;
+    const formats = {
+        totalTime: PowerOptimizer.formatTime,
+        avgSpeed: v => v.toFixed(1),
+        intensityFactor: v => v.toFixed(2)
+    };
+
+    addRow(elements.comparisonHead, [{ text: 'Metric' }, ...comparison.traces.map(t => ({ text: t.name }))], 'th');
+
+    comparison.metrics.forEach(({ key, label, sense, values, deltas }) => {
+        const format = formats[key] || (v => Math.round(v));
+        addRow(elements.comparisonTable, [
+            { text: label },
+            ...values.map((value, i) => {
+                if (i === 0) return { text: format(value) };
+                const judged = Math.sign(Math.round(deltas[i] * 100)) * sense;
+                return {
+                    text: `${format(value)} (${signed(deltas[i], format)})`,
+                    className: judged < 0 ? 'delta-worse' : judged > 0 ? 'delta-better' : ''
+                };
+            })
+        ]);
+    });
+
+    const inputFormats = {
+        startTime: v => WindField.formatClock(v),
+        drivetrainLoss: v => `${+(v * 100).toFixed(2)}%`,
+        ftpDecay: v => `${+(v * 100).toFixed(2)}%/h`
+    };
+    comparison.inputs.forEach(({ key, label, values }) => {
+        const format = inputFormats[key] || (v => v ?? '--');
+        addRow(elements.comparisonTable, [
+            { text: label, className: 'reason' },
+            ...values.map(value => ({ text: format(value), className: 'reason' }))
+        ]);
+    });
+}
+
+// localStorage keys for the profile library and the profiles last picked
+const PROFILE_STORAGE_KEY = 'cyclingPowerOptimizer.profiles';
+const PROFILE_SELECTION_KEY = 'cyclingPowerOptimizer.selectedProfiles';
+
+/**
+ * Read the saved profile library and put back the rider and bike last picked
+ */
+function loadProfiles() {
+    try {
+        const saved = localStorage.getItem(PROFILE_STORAGE_KEY);
+        if (saved) state.profiles = Profiles.parse(saved);
+    } catch (e) {
+        console.warn('Saved profiles could not be read:', e.message);
+    }
+    renderProfiles();
+
+    let selected = {};
+    try {
+        selected = JSON.parse(localStorage.getItem(PROFILE_SELECTION_KEY)) || {};
+    } catch (e) {
+        // Nothing picked yet
     }
+    if (selected.riders) selectProfile('riders', selected.riders);
+    if (selected.equipment) selectProfile('equipment', selected.equipment);
 }
 
-async function handleFileUpload(file) {
-    const content = await file.text();
-    const points = GPXParser.parse(content);
+/**
+ * Store the library and the current picks in this browser
+ */
+function saveProfiles() {
+    try {
+        localStorage.setItem(PROFILE_STORAGE_KEY, Profiles.serialize(state.profiles));
+        localStorage.setItem(PROFILE_SELECTION_KEY, JSON.stringify({
+            riders: elements.riderProfile.value,
+            equipment: elements.equipmentProfile.value
+        }));
+    } catch (e) {
+        alert(`Profiles could not be saved in this browser: ${e.message}`);
+    }
+}
+
+/**
+ * Fill the rider and bike dropdowns, keeping the current picks where they still exist
+ */
+function renderProfiles() {
+    [['riders', elements.riderProfile, 'Unsaved rider'], ['equipment', elements.equipmentProfile, 'Unsaved bike']]
+        .forEach(([kind, select, placeholder]) => {
+            const current = select.value;
+            select.innerHTML = '';
+            select.add(new Option(placeholder, ''));
+            state.profiles[kind].forEach(profile => select.add(new Option(profile.name, profile.name)));
+            select.value = state.profiles[kind].some(p => p.name === current) ? current : '';
+        });
+}
+
+/**
+ * Current form values as an unnamed profile of the given kind
+ */
+function readProfile(kind) {
+    if (kind === 'riders') {
+        return {
+            ftp: parseFloat(elements.ftp.value),
+            cp: parseFloat(elements.cp.value) || null,
+            riderWeight: parseFloat(elements.riderWeight.value),
+            wprime: parseFloat(elements.wprime.value),
+            rideMode: currentRideMode,
+            targetIntensity: parseFloat(elements.targetIntensity.value),
+            ftpDecay: (parseFloat(elements.ftpDecay.value) || 0) / 100,
+            powerCurve: elements.powerCurve.value,
+            powerModel: elements.powerModel.value
+        };
+    }
 
-    if (points.length < 2) {
-        alert('Invalid GPX file or no track points found.');
+    return {
+        bikeWeight: parseFloat(elements.bikeWeight.value),
+        cda: parseFloat(elements.cda.value),
+        aeroSetup: elements.aeroSetup.value,
+        yawTable: getYawTable(),
+        crr: parseFloat(elements.crr.value),
+        drivetrainLoss: (parseFloat(elements.drivetrainLoss.value) || 0) / 100
+    };
+}
+
+/**
+ * Fill every input a profile covers
+ */
+function applyProfile(kind, profile) {
+    if (kind === 'riders') {
+        elements.ftp.value = profile.ftp;
+        elements.cp.value = profile.cp ?? '';
+        elements.riderWeight.value = profile.riderWeight;
+        elements.wprime.value = profile.wprime;
+        elements.targetIntensity.value = profile.targetIntensity;
+        updateIntensitySlider();
+        elements.ftpDecay.value = +(profile.ftpDecay * 100).toFixed(2);
+        if (RIDE_MODES[profile.rideMode]) selectRideMode(profile.rideMode, false);
+        elements.powerCurve.value = profile.powerCurve;
+        elements.powerModel.value = profile.powerModel;
+        updatePowerCurve();
         return;
     }
 
-    const rawSegments = GPXParser.processRoute(points);
-    state.segments = GPXParser.smoothSegments(rawSegments);
-    state.route = points;
+    elements.bikeWeight.value = profile.bikeWeight;
+    elements.aeroSetup.value = profile.aeroSetup;
+    selectAeroSetup(profile.aeroSetup);
+    elements.cda.value = profile.cda;
+    (profile.yawTable || []).forEach(row => {
+        const input = elements.yawTable.querySelector(`input[data-yaw="${row.yaw}"]`);
+        if (input) input.value = row.cda;
+    });
+    elements.crr.value = profile.crr;
+    elements.drivetrainLoss.value = +(profile.drivetrainLoss * 100).toFixed(2);
+}
 
-    updateRouteInfo(state.segments);
+/**
+ * Pick a saved profile by name (empty name keeps the form as it is)
+ */
+function selectProfile(kind, name) {
+    const select = kind === 'riders' ? elements.riderProfile : elements.equipmentProfile;
+    const profile = state.profiles[kind].find(p => p.name === name);
+
+    select.value = profile ? name : '';
+    if (profile) applyProfile(kind, profile);
+    saveProfiles();
+    scheduleLiveUpdate();
+}
 
-    // Show basic route on map
-    Visualization.initMap();
+/**
+ * Save the form as a named profile, overwriting one with the same name
+ */
+function saveProfile(kind) {
+    const select = kind === 'riders' ? elements.riderProfile : elements.equipmentProfile;
+    const name = prompt(kind === 'riders' ? 'Rider profile name' : 'Bike / equipment name', select.value);
+    if (!name || !name.trim()) return;
 
-    // Draw route without power optimization for preview
-    const previewSegments = state.segments.map(s => ({
-        ...s,
-        optimizedPower: getParams().ftp,
-        speed: 10
-    }));
-    Visualization.drawRoute(previewSegments, getParams().ftp);
+    try {
+        const profile = Profiles.normalize(kind, { ...readProfile(kind), name });
+        state.profiles = Profiles.merge(state.profiles, { [kind]: [profile] });
+        renderProfiles();
+        select.value = profile.name;
+        saveProfiles();
+    } catch (e) {
+        alert(e.message);
+    }
+}
+
+/**
+ * Delete the selected profile of a kind
+ */
+function deleteProfile(kind) {
+    const select = kind === 'riders' ? elements.riderProfile : elements.equipmentProfile;
+    if (!select.value || !confirm(`Delete "${select.value}"?`)) return;
+
+    state.profiles = Profiles.remove(state.profiles, kind, select.value);
+    renderProfiles();
+    saveProfiles();
+}
+
+/**
+ * Add the riders and bikes from a profile file to the library
+ */
+async function importProfiles(file) {
+    try {
+        const imported = Profiles.parse(await file.text());
+        state.profiles = Profiles.merge(state.profiles, imported);
+        renderProfiles();
+        saveProfiles();
+        alert(`Imported ${imported.riders.length} rider${imported.riders.length === 1 ? '' : 's'} and ` +
+            `${imported.equipment.length} bike${imported.equipment.length === 1 ? '' : 's'}.`);
+    } catch (e) {
+        alert(`Could not import ${file.name}: ${e.message}`);
+    }
+}
+
+/**
+ * Offer a string or byte array as a file download
+ */
+function downloadFile(content, fileName, mime) {
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
 }
 
-function calculate() {
+/**
+ * Optimise the route in the worker and show the plan
+ * Live updates (inputs changed under an existing plan) skip the overlay and dim the results instead
+ */
+async function calculate({ live = false } = {}) {
     if (!state.segments || state.segments.length === 0) {
-        alert('Please load a GPX file first.');
+        if (!live) alert('Please load a GPX file first.');
+        return;
+    }
+
+    const { errors } = WindField.parse(elements.windTimeline.value);
+    if (errors.length > 0) {
+        if (!live) alert(`Wind timeline:\n${errors.join('\n')}`);
         return;
     }
 
-    elements.loadingOverlay.classList.add('visible');
+    const params = getParams();
+    const segments = state.segments;
+
+    if (live) {
+        elements.resultsCard.classList.add('updating');
+    } else {
+        elements.loadingText.textContent = 'Calculating optimal power...';
+        elements.loadingProgress.style.width = '0%';
+        elements.loadingOverlay.classList.add('visible');
+    }
+
+    let result;
+    try {
+        result = await runWorkerJob('optimize', { type: 'optimize', segments, params }, (done, total) => {
+            elements.loadingProgress.style.width = `${Math.round(done / total * 100)}%`;
+        });
+    } catch (e) {
+        alert(`Optimization failed: ${e.message}`);
+    } finally {
+        // A newer run may have taken over; it clears the indicators when it finishes
+        if (!state.jobs.optimize) {
+            elements.loadingOverlay.classList.remove('visible');
+            elements.resultsCard.classList.remove('updating');
+        }
+    }
 
-    // Use setTimeout to allow UI to update
-    setTimeout(() => {
-        const params = getParams();
-        const result = PowerOptimizer.optimize(state.segments, params);
+    // Cancelled, failed, or the route changed while the worker was busy
+    if (!result || segments !== state.segments) return;
 
-        state.optimizedPower = result.segments;
+    result.segments.forEach(seg => {
+        seg.clockTime = params.startTime + seg.elapsedTime - seg.time;
+    });
 
-        Visualization.drawRoute(result.segments, params.ftp);
-        Visualization.updateChart(result.segments);
-        Visualization.updateResults(result.metrics);
+    state.optimizedPower = result.segments;
+    state.planParams = params;
+    state.planMetrics = result.metrics;
+    elements.exportButtons.forEach(btn => { btn.disabled = false; });
+    elements.saveScenarioBtn.disabled = false;
 
-        elements.loadingOverlay.classList.remove('visible');
-    }, 100);
+    Visualization.drawRoute(result.segments, params.ftp);
+    Visualization.updateResults(result.metrics);
+    updateBlocks();
+    if (state.triathlon) renderTriathlon();
 }
 
 // ============================================
@@ -920,14 +2728,42 @@ elements.fileUpload.addEventListener('drop', e => {
     e.preventDefault();
     elements.fileUpload.classList.remove('dragover');
     const file = e.dataTransfer.files[0];
-    if (file && file.name.endsWith('.gpx')) {
+    if (file && CourseImporter.EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))) {
         handleFileUpload(file);
     }
 });
 
+// Elevation cleaning and lap settings re-process the loaded route
+[
+    elements.spikeThreshold, elements.elevationSmoothing, elements.smoothingWindow, elements.maxGradientClamp,
+    elements.lapCount, elements.outAndBack
+].forEach(el => el.addEventListener('change', () => {
+    if (state.route) loadRoute(state.route, state.waypoints);
+}));
+
+elements.demInput.addEventListener('change', e => {
+    if (e.target.files.length > 0) handleDEMUpload([...e.target.files]);
+    e.target.value = '';
+});
+
 // Wind direction slider
 elements.windDirection.addEventListener('input', updateWindCompass);
 
+// Forecast import
+elements.forecastInput.addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) handleForecastUpload(file);
+    e.target.value = '';
+});
+
+// Aero setup preset
+elements.aeroSetup.addEventListener('change', () => selectAeroSetup(elements.aeroSetup.value));
+
+// Editing the yaw table (or its 0° row, the CdA input) by hand makes it a custom setup
+[elements.yawTable, elements.cda].forEach(el => el.addEventListener('input', () => {
+    if (elements.aeroSetup.value !== 'constant') elements.aeroSetup.value = 'custom';
+}));
+
 // Info modal
 elements.infoBtn.addEventListener('click', openInfoModal);
 elements.modalClose.addEventListener('click', closeInfoModal);
@@ -952,8 +2788,109 @@ elements.targetIntensity.addEventListener('input', updateIntensitySlider);
 // Auto-recommend button
 elements.autoRecommendBtn.addEventListener('click', autoRecommendIntensity);
 
+// Power-duration curve
+elements.powerCurve.addEventListener('input', updatePowerCurve);
+elements.powerModel.addEventListener('change', updatePowerCurve);
+elements.applyPowerModelBtn.addEventListener('click', applyPowerModel);
+elements.powerCurveInput.addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) handlePowerCurveUpload(file);
+    e.target.value = '';
+});
+
 // Calculate button
-elements.calculateBtn.addEventListener('click', calculate);
+elements.calculateBtn.addEventListener('click', () => calculate());
+elements.cancelBtn.addEventListener('click', () => cancelWorkerJob('optimize'));
+
+// Changing a plan input re-optimises in the background once a plan exists
+[
+    elements.ftp, elements.cp, elements.riderWeight, elements.bikeWeight,
+    elements.windSpeed, elements.windDirection, elements.startTime, elements.windTimeline,
+    elements.temperature, elements.pressure, elements.humidity,
+    elements.cda, elements.aeroSetup, elements.yawTable, elements.crr, elements.drivetrainLoss,
+    elements.wprime, elements.wbalModel, elements.wprimeFloor, elements.ftpDecay, elements.pacingConstraint,
+    elements.speedModel, elements.leanAngle, elements.targetIntensity
+].forEach(el => {
+    el.addEventListener('input', scheduleLiveUpdate);
+    el.addEventListener('change', scheduleLiveUpdate);
+});
+
+// Pacing block settings
+[elements.blockCount, elements.blockMinLength].forEach(el => el.addEventListener('change', updateBlocks));
+elements.printBlocksBtn.addEventListener('click', () => window.print());
+
+// Ride analysis upload
+elements.rideInput.addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) handleRideUpload(file);
+    e.target.value = '';
+});
+
+// Field test
+elements.fieldInput.addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) handleFieldUpload(file);
+    e.target.value = '';
+});
+elements.estimateBtn.addEventListener('click', estimateAero);
+elements.applyFieldBtn.addEventListener('click', applyAeroEstimate);
+
+// Monte Carlo uncertainty
+elements.mcRunBtn.addEventListener('click', runUncertainty);
+
+// Fuelling settings re-plan the feeds
+[
+    elements.fuelEfficiency, elements.fuelCarbs, elements.fuelFluid, elements.fuelSodium,
+    elements.fuelSchedule, elements.fuelInterval, elements.fuelStations
+].forEach(input => {
+    input.addEventListener('input', () => {
+        updateFuelling();
+        if (state.optimizedPower.length > 0) updatePlanChart();
+    });
+});
+
+// Named segments re-read the sections table
+elements.sectionNames.addEventListener('input', () => {
+    updateSections();
+    updatePlanChart();
+});
+
+// Triathlon
+elements.triRunBtn.addEventListener('click', runTriathlon);
+elements.triApplyBtn.addEventListener('click', () => {
+    elements.targetIntensity.value = state.triathlon.best.intensity;
+    updateIntensitySlider();
+    scheduleLiveUpdate();
+});
+
+// Scenarios
+elements.saveScenarioBtn.addEventListener('click', saveScenario);
+elements.scenarioName.addEventListener('keydown', e => {
+    if (e.key === 'Enter') saveScenario();
+});
+elements.clearScenariosBtn.addEventListener('click', () => {
+    state.scenarios = [];
+    updateComparison();
+});
+
+// Saved profiles
+elements.riderProfile.addEventListener('change', () => selectProfile('riders', elements.riderProfile.value));
+elements.equipmentProfile.addEventListener('change', () => selectProfile('equipment', elements.equipmentProfile.value));
+elements.saveRiderBtn.addEventListener('click', () => saveProfile('riders'));
+elements.saveEquipmentBtn.addEventListener('click', () => saveProfile('equipment'));
+elements.deleteRiderBtn.addEventListener('click', () => deleteProfile('riders'));
+elements.deleteEquipmentBtn.addEventListener('click', () => deleteProfile('equipment'));
+elements.exportProfilesBtn.addEventListener('click', () => {
+    downloadFile(Profiles.serialize(state.profiles) + '\n', 'cycling-profiles.json', 'application/json');
+});
+elements.profileInput.addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) importProfiles(file);
+    e.target.value = '';
+});
+
+// Plan export buttons
+elements.exportButtons.forEach(btn => btn.addEventListener('click', () => exportPlan(btn.dataset.format)));
 
 // ============================================
 // Initialization
@@ -963,26 +2900,17 @@ async function init() {
     Visualization.initMap();
     updateWindCompass();
     updateIntensitySlider();
+    selectAeroSetup(elements.aeroSetup.value);
+    loadProfiles();
 
     // Load default GPX file if available
     try {
-        const response = await fetch('IM 70.3 Porec Croatia Bike 2025.gpx');
+        const fileName = 'IM 70.3 Porec Croatia Bike 2025.gpx';
+        const response = await fetch(fileName);
         if (response.ok) {
             const content = await response.text();
-            const points = GPXParser.parse(content);
-            const rawSegments = GPXParser.processRoute(points);
-            state.segments = GPXParser.smoothSegments(rawSegments);
-            state.route = points;
-
-            updateRouteInfo(state.segments);
-
-            // Draw preview
-            const previewSegments = state.segments.map(s => ({
-                ...s,
-                optimizedPower: getParams().ftp,
-                speed: 10
-            }));
-            Visualization.drawRoute(previewSegments, getParams().ftp);
+            state.routeName = fileName.replace(/\.gpx$/, '');
+            loadRoute(GPXParser.parse(content), GPXParser.parseWaypoints(content));
         }
     } catch (e) {
         console.log('Default GPX not loaded:', e.message);
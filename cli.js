@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Cycling Power Optimizer - Command line
+ *
+ * Plans a course for one rider or a whole squad without a browser:
+ *   node cli.js course.gpx rider.json                  plan and metrics as JSON on stdout
+ *   node cli.js course.gpx squad.json --out plans/ --format fit
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    CourseImporter,
+    ElevationCleaner,
+    Laps,
+    WindField,
+    PowerOptimizer,
+    PlanSimplifier,
+    PlanExporter
+} from './core.js';
+
+const USAGE = `Usage: node cli.js <course> <profile.json> [options]
+
+  <course>              GPX, TCX, FIT, KML or GeoJSON course file
+  <profile.json>        rider profile, or an array of profiles for a squad
+
+Options:
+  --format <name>       json (default), ${Object.keys(PlanExporter.FORMATS).join(', ')}
+  --out <path>          write the plan to this file (a directory for a squad) and print a summary
+  --blocks <n>          simplify the plan into at most n constant-power blocks
+  --laps <n>            ride a loop course n times (lap splits are added to the JSON)
+  --out-and-back        ride the course there and back again (each lap)
+  --date <yyyy-mm-dd>   race day for exported timestamps (default today)
+  --utc-offset <h>      race timezone as hours from UTC (default this machine's timezone)
+  --help                show this message`;
+
+// Same defaults as the form in index.html; yawTable null means constant CdA
+const DEFAULT_PROFILE = {
+    ftp: 250,
+    cp: null,
+    riderWeight: 75,
+    bikeWeight: 8,
+    windSpeed: 0,
+    windDirection: 0,
+    windTimeline: '',
+    startTime: '07:30',
+    temperature: 20,
+    pressure: 1013,
+    humidity: 50,
+    cda: 0.32,
+    yawTable: null,
+    crr: 0.005,
+    drivetrainLoss: 0.03,
+    wprime: 20000,
+    wbalModel: 'differential',
+    pacingConstraint: 'np',
+    speedModel: 'kinetic',
+    leanAngle: 35,
+    wprimeFloor: 15,
+    ftpDecay: 0,
+    targetIntensity: 85
+};
+
+// Elevation cleaning the form applies by default
+const CLEANING = {
+    dem: [],
+    spikeThreshold: 5,
+    smoothing: 'savgol',
+    window: 60,
+    maxGradient: 20
+};
+
+/**
+ * Course file to cleaned points, optimizer segments and lap finishes
+ */
+function loadCourse(file, lapOptions) {
+    const bytes = readFileSync(file);
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const { points } = CourseImporter.parse(buffer, basename(file));
+    if (points.length < 2) throw new Error(`${file} has no course points.`);
+
+    const cleaned = ElevationCleaner.clean(points, CLEANING);
+    return Laps.build(cleaned, lapOptions);
+}
+
+/**
+ * Profile JSON to optimizer params, filling in the form defaults
+ */
+function toParams(profile, segments) {
+    const merged = { ...DEFAULT_PROFILE, ...profile };
+    const startTime = WindField.parseClock(merged.startTime) ?? 0;
+
+    const { rows, errors } = WindField.parse(merged.windTimeline || '');
+    if (errors.length > 0) throw new Error(`windTimeline: ${errors.join('; ')}`);
+    const origin = { lat: segments[0].startLat, lon: segments[0].startLon };
+
+    return {
+        ...merged,
+        cp: merged.cp || merged.ftp,
+        totalMass: merged.riderWeight + merged.bikeWeight,
+        startTime,
+        windField: WindField.build(rows, startTime, origin)
+    };
+}
+
+/**
+ * Optimise one rider; with blocks > 0 the simplified block plan (blocks of 2 km or more,
+ * as in the form) is the one returned
+ */
+function plan(segments, params, blocks) {
+    const optimized = PowerOptimizer.optimize(segments, params);
+    let result = { segments: optimized.segments, metrics: optimized.metrics, intervals: undefined };
+
+    if (blocks > 0) {
+        const simplified = PlanSimplifier.simplify(optimized, params, { blocks, minLength: 2000 });
+        result = { segments: simplified.segments, metrics: simplified.metrics, intervals: simplified.blocks };
+    }
+
+    result.segments.forEach(seg => {
+        seg.clockTime = params.startTime + seg.elapsedTime - seg.time;
+    });
+    return result;
+}
+
+/**
+ * Plan as JSON: metrics, lap splits (several laps only) and the per-segment targets
+ */
+function toJSON(name, result, lapEnds) {
+    return {
+        name,
+        metrics: result.metrics,
+        laps: lapEnds.length > 1 ? Laps.splits(result.segments, lapEnds) : undefined,
+        blocks: result.intervals,
+        segments: result.segments.map(seg => ({
+            distance: Math.round(seg.cumulativeDistance),
+            gradient: +(seg.gradient * 100).toFixed(2),
+            power: Math.round(seg.optimizedPower),
+            speed: +(seg.speed * 3.6).toFixed(2),
+            time: +seg.time.toFixed(1),
+            elapsed: +seg.elapsedTime.toFixed(1),
+            wBalance: Math.round(seg.wBalance)
+        }))
+    };
+}
+
+/**
+ * One summary line per rider
+ */
+function summary(name, metrics) {
+    return `${name}: ${PowerOptimizer.formatTime(metrics.totalTime)}, ${Math.round(metrics.avgPower)} W avg, ` +
+        `${Math.round(metrics.normPower)} W NP, IF ${metrics.intensityFactor.toFixed(2)}, ` +
+        `TSS ${Math.round(metrics.tss)}, min W' ${Math.round(metrics.wprimePercent)}%`;
+}
+
+function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'json' },
+            out: { type: 'string' },
+            blocks: { type: 'string', default: '0' },
+            laps: { type: 'string', default: '1' },
+            'out-and-back': { type: 'boolean' },
+            date: { type: 'string' },
+            'utc-offset': { type: 'string' },
+            help: { type: 'boolean' }
+        }
+    });
+
+    if (values.help || positionals.length !== 2) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    const format = values.format.toLowerCase();
+    if (format !== 'json' && !PlanExporter.FORMATS[format]) {
+        throw new Error(`Unknown format "${values.format}".`);
+    }
+    if (format !== 'json' && !values.out) {
+        throw new Error(`--format ${format} needs --out.`);
+    }
+
+    const [courseFile, profileFile] = positionals;
+    const course = loadCourse(courseFile, {
+        laps: Math.max(1, parseInt(values.laps) || 1),
+        outAndBack: Boolean(values['out-and-back'])
+    });
+    const profiles = JSON.parse(readFileSync(profileFile, 'utf8'));
+    const squad = Array.isArray(profiles) ? profiles : [profiles];
+    const routeName = basename(courseFile, extname(courseFile));
+    const offsetHours = values['utc-offset'] === undefined ? null : parseFloat(values['utc-offset']);
+    if (Number.isNaN(offsetHours)) throw new Error(`--utc-offset ${values['utc-offset']} is not a number of hours.`);
+    const utcOffset = offsetHours === null ? null : offsetHours * 3600;
+
+    if (values.out && squad.length > 1) mkdirSync(values.out, { recursive: true });
+
+    const plans = squad.map((profile, i) => {
+        const name = profile.name || (squad.length > 1 ? `rider-${i + 1}` : routeName);
+        const params = toParams(profile, course.segments);
+        const result = plan(course.segments, params, parseInt(values.blocks) || 0);
+        const json = toJSON(name, result, course.lapEnds);
+
+        let content = JSON.stringify(json, null, 2) + '\n';
+        let extension = 'json';
+        if (format !== 'json') {
+            ({ content } = PlanExporter.export(format, {
+                name: squad.length > 1 ? `${routeName} - ${name}` : routeName,
+                segments: result.segments,
+                intervals: result.intervals,
+                points: course.points,
+                params,
+                start: PlanExporter.startDate(values.date, params.startTime, utcOffset)
+            }));
+            extension = PlanExporter.FORMATS[format].extension;
+        }
+
+        if (values.out) {
+            const file = squad.length > 1 ? join(values.out, `${name}.${extension}`) : values.out;
+            writeFileSync(file, content);
+            console.log(summary(name, result.metrics));
+        }
+        return json;
+    });
+
+    if (!values.out) {
+        console.log(JSON.stringify(Array.isArray(profiles) ? plans : plans[0], null, 2));
+    }
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 1;
+}
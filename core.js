@@ -0,0 +1,4973 @@
+/**
+ * Cycling Power Optimizer - Core
+ *
+ * Route parsing, physics and pacing modules shared by the page, its worker and the
+ * command line. Nothing in this file touches the DOM.
+ */
+
+// ============================================
+// Constants & Configuration
+// ============================================
+
+const CONSTANTS = {
+    GRAVITY: 9.81,              // m/s²
+    AIR_DENSITY: 1.225,         // kg/m³ at sea level (fallback when no weather is given)
+    EARTH_RADIUS: 6371000,      // meters
+    DRIVETRAIN_LOSS: 0.03,      // 3% drivetrain efficiency loss
+    MIN_POWER: 50,              // Minimum power (coasting/recovery)
+    MAX_POWER_FACTOR: 1.20,     // Maximum 120% of FTP for sustained efforts
+    SEGMENT_LENGTH: 100,        // Target segment length in meters for smoothing
+    LAP_MAX_GAP: 200,           // meters between a course's finish and start for it to be ridden as laps
+
+    // Elevation cleaning
+    ELEVATION_RESAMPLE_STEP: 5, // meters between samples for Savitzky-Golay
+    ELEVATION_MIN_WINDOW: 20,   // meters; shortest smoothing/spike window
+    KALMAN_ELEVATION_NOISE: 2,  // meters of GPS/barometric measurement noise
+    KALMAN_GRADIENT_NOISE: 0.05, // how quickly the road gradient can change
+
+    // Atmosphere
+    SEA_LEVEL_PRESSURE: 1013.25, // hPa, standard atmosphere
+    SEA_LEVEL_TEMPERATURE: 15,  // °C, standard atmosphere
+    LAPSE_RATE: 0.0065,         // K/m temperature drop with altitude
+    GAS_CONSTANT_DRY: 287.058,  // J/(kg·K)
+    GAS_CONSTANT_VAPOR: 461.495, // J/(kg·K)
+
+    // Speed simulation
+    WHEEL_INERTIA: 0.14,        // kg·m², both wheels combined
+    WHEEL_RADIUS: 0.335,        // meters (700c x 25mm)
+    SIM_TIME_STEP: 0.5,         // Integration step in seconds
+    START_SPEED: 1,             // m/s, rolling off the start line
+    MIN_SPEED: 1,               // m/s
+    MAX_SPEED: 30,              // m/s, rider brakes above this
+    SPEED_ITERATIONS: 40,       // Newton/bisection steps in speedAtPower
+    SPEED_TOLERANCE: 0.01,      // watts at the wheel
+
+    // Cornering
+    CORNER_WINDOW: 25,          // meters of road over which heading change is measured
+    CORNER_MIN_ANGLE: 20,       // degrees of heading change that counts as a corner
+    CORNER_MAX_RADIUS: 150,     // meters; wider bends never limit speed
+    BRAKING_DECEL: 3,           // m/s², controlled race braking
+
+    // Wind field
+    GUST_PEAK_FACTOR: 3,        // Gust ≈ mean + 3σ of turbulence
+    WIND_ITERATIONS: 4,         // Max re-solves while predicted arrival times settle
+    WIND_ARRIVAL_TOLERANCE: 30, // seconds of finish-time drift treated as converged
+    FORECAST_BBOX_MARGIN: 0.25, // degrees around the route searched for grid points
+    FORECAST_DECODE_MARGIN: 1,  // degrees around the route decoded from GRIB grids
+    FORECAST_WINDOW_PADDING: 3600, // seconds of forecast kept either side of the race
+
+    // W' balance (Skiba 2012): tau = A * e^(-B * D_CP) + C
+    WBAL_TAU_A: 546,            // seconds
+    WBAL_TAU_B: 0.01,           // 1/W
+    WBAL_TAU_C: 316,            // seconds
+
+    // Power-duration curve
+    PD_CP_DURATION: 1800,       // seconds; CP models hold up to here, longer efforts decay
+    PD_LONG_DECAY: 0.1,         // fraction of power lost per e-fold of duration past the data or CP range
+    PD_FIT_MIN_DURATION: 120,   // seconds; shorter efforts are left out of the 2-parameter CP fit
+    PD_MORTON_MAX_K: 600,       // seconds; search range for the Morton time offset
+
+    // Triathlon
+    RIEGEL_EXPONENT: 1.06,      // run time grows as distance^1.06
+    TRI_FATIGUE_BASE: 0.03,     // run slowdown after any bike leg
+    TRI_FATIGUE_IF_FLOOR: 0.55, // bike IF below which the run is not slowed further
+    TRI_FATIGUE_RATE: 0.6,      // slowdown per bike hour per (IF - floor)²
+    TRI_MIN_INTENSITY: 60,      // % FTP; bike intensities swept for the best finish
+    TRI_MAX_INTENSITY: 100,
+    TRI_INTENSITY_STEP: 2,
+
+    // Fuelling
+    JOULES_PER_KCAL: 4184,
+    KCAL_PER_G_CARB: 4,
+    CARB_FRACTION_AT_HALF_FTP: 0.45, // share of energy from carbohydrate riding at 50% FTP
+    CARB_FRACTION_SLOPE: 1,     // added share per 100% FTP above that
+    CARB_FRACTION_MIN: 0.3,
+    CARB_FRACTION_MAX: 0.95,
+    SWEAT_HEAT_PER_LITRE: 2.426e6, // J of heat shed per litre of sweat evaporated
+    SWEAT_SHARE_MIN: 0.3,       // share of body heat shed by sweating in cool air
+    SWEAT_SHARE_FROM: 10,       // °C above which that share starts to grow
+    SWEAT_SHARE_PER_DEGREE: 0.03, // growth per °C
+    SWEAT_HUMIDITY_FACTOR: 0.5, // extra sweat at 100% humidity vs 50%
+    GLYCOGEN_PER_KG: 7,         // g of stored carbohydrate per kg body mass, carb-loaded
+    STATION_MAX_OFFSET: 250,    // meters from the route a waypoint may lie and count as an aid station
+    STATION_PASS_DETOUR: 2,     // route distance over straight-line distance that makes a second pass
+
+    // Climb detection (climb score = length in m × average gradient in %)
+    CLIMB_MIN_GRADIENT: 0.03,   // average gradient a climb or descent needs
+    CLIMB_MIN_LENGTH: 500,      // meters
+    CLIMB_WINDOW: 500,          // meters of road over which the trend gradient is measured
+    CLIMB_RUN_GRADIENT: 0.02,   // trend gradient that marks road as climbing (or descending)
+    CLIMB_MAX_GAP: 300,         // meters of easier road a climb may cross and continue
+    CLIMB_MIN_SCORE: 3000,      // smallest climb or descent listed; climbs below category 4 are uncategorised
+    CLIMB_CATEGORIES: [         // [category, minimum score], hardest first
+        ['HC', 80000], ['1', 64000], ['2', 32000], ['3', 16000], ['4', 8000]
+    ],
+
+    // Pacing solver
+    OPTIMIZER_LAMBDA_MIN: 1e-5, // Lagrange multiplier search range (dimensionless)
+    OPTIMIZER_LAMBDA_MAX: 1e3,
+    OPTIMIZER_ITERATIONS: 30,   // Bisection steps on the multiplier
+    POWER_TOLERANCE: 0.5,       // Golden-section stopping width in watts
+    NP_TOLERANCE: 1,            // Accept normalized power within 1 W of target
+    FATIGUE_MIN_FACTOR: 0.5,    // FTP fade (durability) never takes more than half of FTP
+
+    // Plan export
+    INTERVAL_POWER_TOLERANCE: 0.05, // fraction of FTP a segment may differ from its interval
+    INTERVAL_MIN_LENGTH: 500,   // meters; shorter intervals are merged into a neighbour
+    POWER_TARGET_STEP: 5,       // watts; interval targets are rounded to this
+    POWER_TARGET_RANGE: 5,      // ± watts around the target in FIT workout steps
+    BLOCK_RESCALE_ITERATIONS: 3, // passes matching block-plan NP to the optimized plan
+
+    // Ride analysis
+    MATCH_SEARCH_WINDOW: 2000,  // meters of route searched ahead of the last matched point
+    MATCH_MAX_OFFSET: 100,      // meters from the route before a sample counts as off course
+    MATCH_BACKTRACK: 25,        // meters a match may fall behind the rider (GPS jitter)
+    STOPPED_SPEED: 1,           // m/s; slower counts as stopped
+    ANALYSIS_MIN_LOSS: 5,       // seconds; smaller losses are not flagged
+    ANALYSIS_MAX_LOSSES: 8,     // flagged stretches listed
+
+    // Field test (virtual elevation)
+    FIELD_MIN_SPEED: 3,         // m/s; slower samples are dropped (speed sensor noise)
+    FIELD_MAX_GAP: 5,           // seconds; longer recording gaps restart the virtual elevation
+    FIELD_COAST_POWER: 10,      // watts; below this the rider is not pedalling
+    FIELD_BRAKE_DECEL: 0.5,     // m/s² of deceleration while coasting that means braking
+    FIELD_BRAKE_MARGIN: 2,      // seconds dropped either side of braking
+    FIELD_MIN_SAMPLES: 60,      // intervals needed for a fit
+    MONTE_CARLO_SEED: 20250601, // fixed so re-running the same inputs gives the same answer
+    MONTE_CARLO_MIN_FACTOR: 0.5, // sampled CdA / Crr / FTP never drop below half their value
+};
+
+// ============================================
+// XML Reader Module
+// ============================================
+
+const XMLReader = {
+    /**
+     * Parse XML text into a document
+     * Uses the browser's DOMParser when there is one. Elsewhere (Node, workers) a small
+     * built-in parser builds elements with the part of the DOM the importers use:
+     * getElementsByTagNameNS('*', localName), getAttribute(name) and textContent
+     */
+    parse(text) {
+        if (typeof DOMParser !== 'undefined') {
+            return new DOMParser().parseFromString(text, 'text/xml');
+        }
+        return this.parseText(text);
+    },
+
+    // Prototype of the elements parseText builds
+    ELEMENT: {
+        getElementsByTagNameNS(namespace, name) {
+            const found = [];
+            const visit = element => element.children.forEach(child => {
+                if (name === '*' || child.localName === name) found.push(child);
+                visit(child);
+            });
+            visit(this);
+            return found;
+        },
+
+        getAttribute(name) {
+            return this.attributes[name] ?? null;
+        },
+
+        get textContent() {
+            return this.content.map(part => typeof part === 'string' ? part : part.textContent).join('');
+        }
+    },
+
+    /**
+     * Non-validating parser: elements, attributes, text and CDATA; comments, processing
+     * instructions and doctypes are skipped. Namespace prefixes are dropped from localName
+     */
+    parseText(text) {
+        const root = this.element('#document', {});
+        const stack = [root];
+        const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        let match;
+
+        while ((match = tokens.exec(text)) !== null) {
+            const [, cdata, closing, opening, attributeText, selfClosing, chars] = match;
+            const parent = stack[stack.length - 1];
+
+            if (cdata !== undefined) {
+                parent.content.push(cdata);
+            } else if (chars !== undefined) {
+                parent.content.push(this.decode(chars));
+            } else if (opening !== undefined) {
+                const attributes = {};
+                const pairs = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+                let pair;
+                while ((pair = pairs.exec(attributeText)) !== null) {
+                    attributes[pair[1]] = this.decode(pair[2] ?? pair[3]);
+                }
+
+                const element = this.element(opening, attributes);
+                parent.children.push(element);
+                parent.content.push(element);
+                if (!selfClosing) stack.push(element);
+            } else if (closing !== undefined) {
+                // Close back to the matching element; a stray end tag is ignored
+                const localName = closing.split(':').pop();
+                const index = stack.map(element => element.localName).lastIndexOf(localName);
+                if (index > 0) stack.length = index;
+            }
+        }
+
+        return root;
+    },
+
+    /**
+     * New element with its namespace prefix removed
+     */
+    element(name, attributes) {
+        const element = Object.create(this.ELEMENT);
+        element.localName = name.split(':').pop();
+        element.attributes = attributes;
+        element.children = [];
+        element.content = [];
+        return element;
+    },
+
+    /**
+     * Replace the predefined and numeric character entities
+     */
+    decode(text) {
+        const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-f]+|#[0-9]+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+            if (name[0] !== '#') return named[name.toLowerCase()];
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        });
+    }
+};
+
+// ============================================
+// GPX Parser Module
+// ============================================
+
+const GPXParser = {
+    /**
+     * Parse GPX file content and extract course points
+     * Uses track points, falling back to route points, then to waypoints in file order
+     */
+    parse(gpxContent) {
+        const xmlDoc = XMLReader.parse(gpxContent);
+
+        for (const tag of ['trkpt', 'rtept', 'wpt']) {
+            const points = this.extractPoints(xmlDoc, tag);
+            if (points.length >= 2) return points;
+        }
+
+        return [];
+    },
+
+    /**
+     * Parse GPX waypoints (<wpt>) as named points of interest
+     * Empty when the waypoints are the course itself (no track or route in the file)
+     */
+    parseWaypoints(gpxContent) {
+        const xmlDoc = XMLReader.parse(gpxContent);
+        const count = tag => xmlDoc.getElementsByTagNameNS('*', tag).length;
+
+        if (count('trkpt') + count('rtept') === 0) return [];
+        return this.extractPoints(xmlDoc, 'wpt');
+    },
+
+    /**
+     * Read lat/lon/ele (and name) from every element with the given tag
+     * Recorded rides also carry time and power/hr/cad extensions (any namespace prefix)
+     */
+    extractPoints(xmlDoc, tag) {
+        const points = [];
+        const text = (pt, name) => pt.getElementsByTagNameNS('*', name)[0]?.textContent;
+        const extension = (pt, name) => {
+            const value = parseFloat(text(pt, name));
+            return isNaN(value) ? undefined : value;
+        };
+
+        Array.from(xmlDoc.getElementsByTagNameNS('*', tag)).forEach(pt => {
+            const time = text(pt, 'time');
+            points.push({
+                lat: parseFloat(pt.getAttribute('lat')),
+                lon: parseFloat(pt.getAttribute('lon')),
+                ele: parseFloat(text(pt, 'ele')) || 0,
+                name: text(pt, 'name') || '',
+                time: time ? new Date(time).getTime() : undefined,
+                power: extension(pt, 'power') ?? extension(pt, 'PowerInWatts'),
+                heartRate: extension(pt, 'hr'),
+                cadence: extension(pt, 'cad')
+            });
+        });
+
+        return points;
+    },
+
+    /**
+     * Calculate distance between two points using Haversine formula
+     */
+    haversineDistance(lat1, lon1, lat2, lon2) {
+        const toRad = deg => deg * Math.PI / 180;
+
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+            Math.sin(dLon / 2) ** 2;
+
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+        return CONSTANTS.EARTH_RADIUS * c;
+    },
+
+    /**
+     * Calculate bearing between two points
+     */
+    calculateBearing(lat1, lon1, lat2, lon2) {
+        const toRad = deg => deg * Math.PI / 180;
+        const toDeg = rad => rad * 180 / Math.PI;
+
+        const dLon = toRad(lon2 - lon1);
+        const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+        const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+            Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+
+        let bearing = toDeg(Math.atan2(y, x));
+        return (bearing + 360) % 360;
+    },
+
+    /**
+     * Bounding box of a route's segments
+     */
+    bounds(segments) {
+        const lats = segments.flatMap(s => [s.startLat, s.endLat]);
+        const lons = segments.flatMap(s => [s.startLon, s.endLon]);
+
+        return {
+            minLat: Math.min(...lats),
+            maxLat: Math.max(...lats),
+            minLon: Math.min(...lons),
+            maxLon: Math.max(...lons)
+        };
+    },
+
+    /**
+     * Process raw points into route segments
+     */
+    processRoute(points) {
+        const segments = [];
+        let cumulativeDistance = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const p1 = points[i - 1];
+            const p2 = points[i];
+
+            const distance = this.haversineDistance(p1.lat, p1.lon, p2.lat, p2.lon);
+
+            // Skip very short segments
+            if (distance < 1) continue;
+
+            const elevationChange = p2.ele - p1.ele;
+            const gradient = distance > 0 ? (elevationChange / distance) : 0;
+            const bearing = this.calculateBearing(p1.lat, p1.lon, p2.lat, p2.lon);
+
+            cumulativeDistance += distance;
+
+            segments.push({
+                startLat: p1.lat,
+                startLon: p1.lon,
+                endLat: p2.lat,
+                endLon: p2.lon,
+                distance: distance,
+                cumulativeDistance: cumulativeDistance,
+                elevation: p2.ele,
+                rawElevation: p2.rawEle ?? p2.ele,
+                gradient: gradient,
+                bearing: bearing
+            });
+        }
+
+        this.detectCorners(segments);
+
+        return segments;
+    },
+
+    /**
+     * Detect corners from consecutive bearings and mark each apex segment with cornerRadius
+     * Heading change is summed over a short window of road so GPS jitter on straights
+     * doesn't read as a turn; radius = arc length / heading change
+     */
+    detectCorners(segments) {
+        const toRad = deg => deg * Math.PI / 180;
+        const halfWindow = CONSTANTS.CORNER_WINDOW / 2;
+
+        // Heading change at the end of each segment, in (-180, 180]
+        const turns = segments.map((seg, i) => {
+            const next = segments[i + 1];
+            if (!next) return 0;
+            const delta = ((next.bearing - seg.bearing + 540) % 360) - 180;
+            return delta === -180 ? 180 : delta;
+        });
+
+        const radii = segments.map((seg, i) => {
+            let turn = 0;
+            let arc = 0;
+
+            // Walk back and forward from this vertex until half a window of road is covered
+            for (let j = i; j >= 0 && arc < halfWindow; j--) {
+                turn += turns[j];
+                arc += segments[j].distance;
+            }
+            let forward = 0;
+            for (let j = i + 1; j < segments.length && forward < halfWindow; j++) {
+                if (j < segments.length - 1) turn += turns[j];
+                forward += segments[j].distance;
+            }
+            arc += forward;
+
+            if (Math.abs(turn) < CONSTANTS.CORNER_MIN_ANGLE) return Infinity;
+            return arc / toRad(Math.abs(turn));
+        });
+
+        // Keep only the tightest point of each run of corner vertices as its apex
+        let i = 0;
+        while (i < segments.length) {
+            if (radii[i] >= CONSTANTS.CORNER_MAX_RADIUS) {
+                i++;
+                continue;
+            }
+
+            let apex = i;
+            while (i < segments.length && radii[i] < CONSTANTS.CORNER_MAX_RADIUS) {
+                if (radii[i] < radii[apex]) apex = i;
+                i++;
+            }
+            segments[apex].cornerRadius = radii[apex];
+        }
+
+        return segments;
+    },
+
+    /**
+     * Smooth segments by combining short ones
+     */
+    smoothSegments(segments, targetLength = CONSTANTS.SEGMENT_LENGTH) {
+        const smoothed = [];
+        let accumulated = {
+            distance: 0,
+            elevationStart: segments[0]?.elevation || 0,
+            elevationSum: 0,
+            rawElevationSum: 0,
+            bearingX: 0,
+            bearingY: 0,
+            startLat: segments[0]?.startLat,
+            startLon: segments[0]?.startLon,
+            endLat: 0,
+            endLon: 0,
+            cumulativeDistance: 0,
+            corners: []
+        };
+
+        segments.forEach((seg, i) => {
+            accumulated.distance += seg.distance;
+            if (seg.cornerRadius) {
+                // Apex sits at the end of the raw segment, measured from the smoothed segment start
+                accumulated.corners.push({ offset: accumulated.distance, radius: seg.cornerRadius });
+            }
+            accumulated.elevationSum += seg.elevation * seg.distance;
+            accumulated.rawElevationSum += (seg.rawElevation ?? seg.elevation) * seg.distance;
+            accumulated.bearingX += Math.cos(seg.bearing * Math.PI / 180) * seg.distance;
+            accumulated.bearingY += Math.sin(seg.bearing * Math.PI / 180) * seg.distance;
+            accumulated.endLat = seg.endLat;
+            accumulated.endLon = seg.endLon;
+            accumulated.cumulativeDistance = seg.cumulativeDistance;
+
+            if (accumulated.distance >= targetLength || i === segments.length - 1) {
+                const avgElevation = accumulated.elevationSum / accumulated.distance;
+                const bearing = (Math.atan2(accumulated.bearingY, accumulated.bearingX) * 180 / Math.PI + 360) % 360;
+                const gradient = (avgElevation - accumulated.elevationStart) / accumulated.distance;
+
+                smoothed.push({
+                    startLat: accumulated.startLat,
+                    startLon: accumulated.startLon,
+                    endLat: accumulated.endLat,
+                    endLon: accumulated.endLon,
+                    distance: accumulated.distance,
+                    cumulativeDistance: accumulated.cumulativeDistance,
+                    elevation: avgElevation,
+                    rawElevation: accumulated.rawElevationSum / accumulated.distance,
+                    gradient: gradient,
+                    bearing: bearing,
+                    corners: accumulated.corners
+                });
+
+                // Reset accumulator
+                accumulated = {
+                    distance: 0,
+                    elevationStart: avgElevation,
+                    elevationSum: 0,
+                    rawElevationSum: 0,
+                    bearingX: 0,
+                    bearingY: 0,
+                    startLat: accumulated.endLat,
+                    startLon: accumulated.endLon,
+                    endLat: 0,
+                    endLon: 0,
+                    cumulativeDistance: accumulated.cumulativeDistance,
+                    corners: []
+                };
+            }
+        });
+
+        return smoothed;
+    }
+};
+
+// ============================================
+// Lap Module
+// ============================================
+
+const Laps = {
+    /**
+     * Course points ridden as laps, each optionally out and back (the track, then back along it)
+     * Every lap is segmented on its own, so lap finishes fall on segment ends; all but the last
+     * ride back to the start line. Throws when several laps are asked of a course that does not
+     * finish near its start
+     * Returns { points (the whole course), segments, lapEnds (m along the course where each lap finishes) }
+     */
+    build(points, { laps = 1, outAndBack = false } = {}) {
+        const lap = outAndBack ? [...points, ...points.slice(0, -1).reverse()] : points;
+        const first = lap[0];
+        const last = lap[lap.length - 1];
+        const gap = GPXParser.haversineDistance(last.lat, last.lon, first.lat, first.lon);
+        if (laps > 1 && gap > CONSTANTS.LAP_MAX_GAP) {
+            throw new Error(`The course finishes ${(gap / 1000).toFixed(1)} km from its start, ` +
+                'so it cannot be ridden as laps (try out and back).');
+        }
+
+        const final = GPXParser.smoothSegments(GPXParser.processRoute(lap));
+        const closed = laps > 1 ? GPXParser.smoothSegments(GPXParser.processRoute([...lap, first])) : final;
+
+        const segments = [];
+        const lapEnds = [];
+        let offset = 0;
+        for (let n = 0; n < laps; n++) {
+            const lapSegments = n < laps - 1 ? closed : final;
+            lapSegments.forEach(seg => segments.push({ ...seg, cumulativeDistance: offset + seg.cumulativeDistance }));
+            offset += lapSegments[lapSegments.length - 1]?.cumulativeDistance ?? 0;
+            lapEnds.push(offset);
+        }
+
+        return { points: Array.from({ length: laps }, () => lap).flat(), segments, lapEnds };
+    },
+
+    /**
+     * Distances (m) on the first lap repeated on every lap
+     */
+    repeat(distances, lapEnds) {
+        return lapEnds.flatMap((end, n) => {
+            const offset = n > 0 ? lapEnds[n - 1] : 0;
+            return distances.map(d => d + offset).filter(d => d <= end);
+        });
+    },
+
+    /**
+     * Per-lap figures for a plan (segments with optimizedPower, time, elapsedTime and wBalance)
+     * Returns [{ lap, start, end (m), time, elapsed (s at the lap finish), avgPower, normPower (W),
+     * avgSpeed (km/h), wBalance (J at the lap finish), minWBalance (J) }]
+     */
+    splits(plan, lapEnds) {
+        let first = 0;
+
+        return lapEnds.map((end, n) => {
+            let last = first;
+            while (last < plan.length - 1 && plan[last].cumulativeDistance < end) last++;
+            const stretch = plan.slice(first, last + 1);
+            first = last + 1;
+
+            const time = stretch.reduce((sum, seg) => sum + seg.time, 0);
+            const work = stretch.reduce((sum, seg) => sum + seg.optimizedPower * seg.time, 0);
+            const work4 = stretch.reduce((sum, seg) => sum + seg.optimizedPower ** 4 * seg.time, 0);
+            const start = n > 0 ? lapEnds[n - 1] : 0;
+
+            return {
+                lap: n + 1,
+                start,
+                end,
+                time,
+                elapsed: stretch[stretch.length - 1].elapsedTime,
+                avgPower: work / time,
+                normPower: (work4 / time) ** 0.25,
+                avgSpeed: (end - start) / 1000 / (time / 3600),
+                wBalance: stretch[stretch.length - 1].wBalance,
+                minWBalance: Math.min(...stretch.map(seg => seg.wBalance))
+            };
+        });
+    }
+};
+
+// ============================================
+// Elevation Cleaning Module
+// ============================================
+
+const ElevationCleaner = {
+    /**
+     * Clean point elevations: DEM correction, spike rejection, smoothing, gradient clamp
+     * Returns new points with the cleaned value in ele and the original in rawEle
+     * options: { dem: [tiles], spikeThreshold (m), smoothing ('none'|'savgol'|'kalman'),
+     *            window (m), maxGradient (%) }
+     */
+    clean(points, options) {
+        const distances = this.cumulativeDistances(points);
+        let elevations = points.map(p => p.ele);
+
+        if (options.dem && options.dem.length > 0) {
+            elevations = this.applyDEM(points, elevations, options.dem);
+        }
+        if (options.spikeThreshold > 0) {
+            elevations = this.rejectSpikes(distances, elevations, options.spikeThreshold, options.window);
+        }
+        if (options.smoothing === 'savgol') {
+            elevations = this.savitzkyGolay(distances, elevations, options.window);
+        } else if (options.smoothing === 'kalman') {
+            elevations = this.kalman(distances, elevations, options.window);
+        }
+        if (options.maxGradient > 0) {
+            elevations = this.clampGradient(distances, elevations, options.maxGradient / 100);
+        }
+
+        return points.map((p, i) => ({ ...p, ele: elevations[i], rawEle: p.rawEle ?? p.ele }));
+    },
+
+    /**
+     * Distance along the route at every point (meters)
+     */
+    cumulativeDistances(points) {
+        let total = 0;
+        return points.map((p, i) => {
+            if (i > 0) total += GPXParser.haversineDistance(points[i - 1].lat, points[i - 1].lon, p.lat, p.lon);
+            return total;
+        });
+    },
+
+    /**
+     * Replace elevations with DEM heights wherever a tile covers the point
+     */
+    applyDEM(points, elevations, tiles) {
+        return points.map((p, i) => {
+            for (const tile of tiles) {
+                const height = tile.sample(p.lat, p.lon);
+                if (height !== null) return height;
+            }
+            return elevations[i];
+        });
+    },
+
+    /**
+     * Hampel filter: a point further than the threshold (and 3 robust sigmas) from the
+     * median of its neighbours within half a window either side is replaced by that median
+     * Sparse tracks always get at least two neighbours each side
+     */
+    rejectSpikes(distances, elevations, threshold, window) {
+        const half = Math.max(window, CONSTANTS.ELEVATION_MIN_WINDOW) / 2;
+        const median = values => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const mid = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        };
+
+        let lo = 0;
+        let hi = 0;
+        return elevations.map((ele, i) => {
+            while (distances[i] - distances[lo] > half) lo++;
+            while (hi + 1 < elevations.length && distances[hi + 1] - distances[i] <= half) hi++;
+
+            const from = Math.max(0, Math.min(lo, i - 2));
+            const to = Math.min(elevations.length - 1, Math.max(hi, i + 2));
+            const neighbours = elevations.slice(from, to + 1);
+            if (neighbours.length < 3) return ele;
+
+            const center = median(neighbours);
+            const sigma = 1.4826 * median(neighbours.map(v => Math.abs(v - center)));
+            const deviation = Math.abs(ele - center);
+
+            return deviation > threshold && deviation > 3 * sigma ? center : ele;
+        });
+    },
+
+    /**
+     * Savitzky-Golay smoothing (quadratic, window in meters)
+     * Points are irregularly spaced, so elevations are resampled onto a uniform distance
+     * grid, filtered there and interpolated back
+     */
+    savitzkyGolay(distances, elevations, window) {
+        const step = CONSTANTS.ELEVATION_RESAMPLE_STEP;
+        const total = distances[distances.length - 1];
+        if (total < step * 3) return elevations;
+
+        const grid = [];
+        for (let d = 0; d <= total; d += step) grid.push(d);
+        const sampled = this.interpolate(distances, elevations, grid);
+
+        const m = Math.max(1, Math.round(window / step / 2));
+        const smoothed = sampled.map((_, i) => {
+            // Shrink the window symmetrically at the ends of the route
+            const half = Math.min(m, i, sampled.length - 1 - i);
+            if (half < 1) return sampled[i];
+
+            // Closed-form quadratic/cubic SG convolution weights for half-width `half`
+            const norm = (2 * half + 1) * (2 * half + 3) * (2 * half - 1);
+            let sum = 0;
+            for (let j = -half; j <= half; j++) {
+                const weight = (3 * (3 * half * half + 3 * half - 1) - 15 * j * j) / norm;
+                sum += weight * sampled[i + j];
+            }
+            return sum;
+        });
+
+        return this.interpolate(grid, smoothed, distances);
+    },
+
+    /**
+     * Kalman filter with Rauch-Tung-Striebel smoothing over distance
+     * State is [elevation, gradient]; the gradient is allowed to wander more slowly the
+     * longer the window, so a longer window gives a smoother profile
+     */
+    kalman(distances, elevations, window) {
+        const n = elevations.length;
+        const r = CONSTANTS.KALMAN_ELEVATION_NOISE ** 2;
+        const q = CONSTANTS.KALMAN_GRADIENT_NOISE ** 2 / Math.max(window, CONSTANTS.ELEVATION_MIN_WINDOW);
+
+        // Forward pass: x = [h, g], P = [[p00, p01], [p01, p11]]
+        const filtered = [];
+        const predicted = [];
+        let x = [elevations[0], 0];
+        let P = [r, 0, 1];
+
+        for (let i = 0; i < n; i++) {
+            const d = i > 0 ? distances[i] - distances[i - 1] : 0;
+
+            // Predict: h += g * d, with constant-gradient process noise
+            const xp = [x[0] + x[1] * d, x[1]];
+            const Pp = [
+                P[0] + 2 * d * P[1] + d * d * P[2] + q * d ** 3 / 3,
+                P[1] + d * P[2] + q * d ** 2 / 2,
+                P[2] + q * d
+            ];
+            predicted.push({ x: xp, P: Pp, d });
+
+            // Update with the measured elevation
+            const s = Pp[0] + r;
+            const k0 = Pp[0] / s;
+            const k1 = Pp[1] / s;
+            const innovation = elevations[i] - xp[0];
+            x = [xp[0] + k0 * innovation, xp[1] + k1 * innovation];
+            P = [(1 - k0) * Pp[0], (1 - k0) * Pp[1], Pp[2] - k1 * Pp[1]];
+            filtered.push({ x, P });
+        }
+
+        // Backward (RTS) pass removes the forward filter's lag
+        const smoothed = new Array(n);
+        let xs = filtered[n - 1].x;
+        let Ps = filtered[n - 1].P;
+        smoothed[n - 1] = xs[0];
+
+        for (let i = n - 2; i >= 0; i--) {
+            const { x: xf, P: Pf } = filtered[i];
+            const { x: xp, P: Pp, d } = predicted[i + 1];
+
+            // C = Pf * F^T * Pp^-1 with F = [[1, d], [0, 1]]
+            const a = [Pf[0] + d * Pf[1], Pf[1], Pf[1] + d * Pf[2], Pf[2]];
+            const det = Pp[0] * Pp[2] - Pp[1] * Pp[1];
+            if (Math.abs(det) < 1e-12) {
+                smoothed[i] = xf[0];
+                xs = xf;
+                Ps = Pf;
+                continue;
+            }
+            const inv = [Pp[2] / det, -Pp[1] / det, Pp[0] / det];
+            const C = [
+                a[0] * inv[0] + a[1] * inv[1], a[0] * inv[1] + a[1] * inv[2],
+                a[2] * inv[0] + a[3] * inv[1], a[2] * inv[1] + a[3] * inv[2]
+            ];
+
+            const dx = [xs[0] - xp[0], xs[1] - xp[1]];
+            const next = [xf[0] + C[0] * dx[0] + C[1] * dx[1], xf[1] + C[2] * dx[0] + C[3] * dx[1]];
+
+            // P_s = Pf + C (Ps_next - Pp) C^T
+            const dP = [Ps[0] - Pp[0], Ps[1] - Pp[1], Ps[2] - Pp[2]];
+            const t = [C[0] * dP[0] + C[1] * dP[1], C[0] * dP[1] + C[1] * dP[2],
+                C[2] * dP[0] + C[3] * dP[1], C[2] * dP[1] + C[3] * dP[2]];
+            Ps = [
+                Pf[0] + t[0] * C[0] + t[1] * C[1],
+                Pf[1] + t[0] * C[2] + t[1] * C[3],
+                Pf[2] + t[2] * C[2] + t[3] * C[3]
+            ];
+            xs = next;
+            smoothed[i] = xs[0];
+        }
+
+        return smoothed;
+    },
+
+    /**
+     * Limit point-to-point gradients to a plausible maximum
+     * Clamped forwards and backwards, then averaged so neither end of a climb is favoured
+     */
+    clampGradient(distances, elevations, maxGradient) {
+        const forward = [...elevations];
+        for (let i = 1; i < forward.length; i++) {
+            const rise = maxGradient * (distances[i] - distances[i - 1]);
+            forward[i] = Math.max(forward[i - 1] - rise, Math.min(forward[i - 1] + rise, forward[i]));
+        }
+
+        const backward = [...elevations];
+        for (let i = backward.length - 2; i >= 0; i--) {
+            const rise = maxGradient * (distances[i + 1] - distances[i]);
+            backward[i] = Math.max(backward[i + 1] - rise, Math.min(backward[i + 1] + rise, backward[i]));
+        }
+
+        return forward.map((f, i) => (f + backward[i]) / 2);
+    },
+
+    /**
+     * Linear interpolation of (xs, ys) at sorted query positions
+     */
+    interpolate(xs, ys, queries) {
+        let j = 0;
+        return queries.map(q => {
+            while (j < xs.length - 2 && xs[j + 1] < q) j++;
+            const span = xs[j + 1] - xs[j];
+            if (!(span > 0)) return ys[j];
+            const t = Math.max(0, Math.min(1, (q - xs[j]) / span));
+            return ys[j] + t * (ys[j + 1] - ys[j]);
+        });
+    }
+};
+
+// ============================================
+// DEM Tile Module
+// ============================================
+
+const DEMTile = {
+    /**
+     * Load a DEM tile from a file: SRTM .hgt or a geographic (lat/lon) GeoTIFF
+     * Returns { name, bounds, sample(lat, lon) -> meters | null }
+     */
+    async load(buffer, fileName) {
+        const name = fileName.toLowerCase();
+        if (name.endsWith('.hgt')) return this.parseHGT(buffer, fileName);
+        if (name.endsWith('.tif') || name.endsWith('.tiff')) return this.parseGeoTIFF(buffer, fileName);
+        throw new Error('Unsupported DEM file (use .hgt or .tif).');
+    },
+
+    /**
+     * Grid-backed tile with bilinear sampling
+     * Raster row 0 is the north edge; originLat/originLon is the top-left pixel centre
+     */
+    makeTile(name, data, width, height, originLat, originLon, stepLat, stepLon, noData) {
+        const bounds = {
+            minLat: originLat - (height - 1) * stepLat,
+            maxLat: originLat,
+            minLon: originLon,
+            maxLon: originLon + (width - 1) * stepLon
+        };
+
+        return {
+            name,
+            bounds,
+            sample(lat, lon) {
+                if (lat < bounds.minLat || lat > bounds.maxLat || lon < bounds.minLon || lon > bounds.maxLon) {
+                    return null;
+                }
+
+                const x = (lon - originLon) / stepLon;
+                const y = (originLat - lat) / stepLat;
+                const x0 = Math.min(Math.floor(x), width - 2);
+                const y0 = Math.min(Math.floor(y), height - 2);
+                const fx = x - x0;
+                const fy = y - y0;
+
+                const corners = [
+                    data[y0 * width + x0], data[y0 * width + x0 + 1],
+                    data[(y0 + 1) * width + x0], data[(y0 + 1) * width + x0 + 1]
+                ];
+                if (corners.some(v => v === noData || Number.isNaN(v))) return null;
+
+                return (corners[0] * (1 - fx) + corners[1] * fx) * (1 - fy) +
+                    (corners[2] * (1 - fx) + corners[3] * fx) * fy;
+            }
+        };
+    },
+
+    /**
+     * SRTM HGT: square big-endian int16 grid, name gives the south-west corner (N45E013.hgt)
+     */
+    parseHGT(buffer, fileName) {
+        const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName);
+        if (!match) throw new Error('HGT file name must contain its corner, e.g. N45E013.hgt.');
+
+        const lat = parseInt(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+        const lon = parseInt(match[4]) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+        const size = Math.round(Math.sqrt(buffer.byteLength / 2));
+        if (size * size * 2 !== buffer.byteLength) throw new Error('HGT file is not a square grid.');
+
+        const view = new DataView(buffer);
+        const data = new Int16Array(size * size);
+        for (let i = 0; i < data.length; i++) data[i] = view.getInt16(i * 2, false);
+
+        const step = 1 / (size - 1);
+        return this.makeTile(fileName, data, size, size, lat + 1, lon, step, step, -32768);
+    },
+
+    /**
+     * GeoTIFF in geographic coordinates: strips or tiles, uncompressed or deflate,
+     * integer or float samples, horizontal predictor
+     */
+    async parseGeoTIFF(buffer, fileName) {
+        const view = new DataView(buffer);
+        const little = view.getUint16(0) === 0x4949; // "II"
+        if (view.getUint16(2, little) !== 42) throw new Error('Not a TIFF file (BigTIFF is not supported).');
+
+        // Read the first IFD's tags
+        const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 11: 4, 12: 8, 16: 8 };
+        const tags = {};
+        const ifd = view.getUint32(4, little);
+        const count = view.getUint16(ifd, little);
+
+        for (let i = 0; i < count; i++) {
+            const entry = ifd + 2 + i * 12;
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const n = view.getUint32(entry + 4, little);
+            const size = (TYPE_SIZES[type] || 1) * n;
+            const offset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+            const values = [];
+            for (let k = 0; k < n; k++) {
+                const at = offset + k * (TYPE_SIZES[type] || 1);
+                if (type === 3) values.push(view.getUint16(at, little));
+                else if (type === 4) values.push(view.getUint32(at, little));
+                else if (type === 12) values.push(view.getFloat64(at, little));
+                else if (type === 11) values.push(view.getFloat32(at, little));
+                else values.push(view.getUint8(at));
+            }
+            tags[tag] = type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : values;
+        }
+
+        const width = tags[256][0];
+        const height = tags[257][0];
+        const bits = tags[258]?.[0] ?? 16;
+        const compression = tags[259]?.[0] ?? 1;
+        const predictor = tags[317]?.[0] ?? 1;
+        const format = tags[339]?.[0] ?? 1;
+        const scale = tags[33550];
+        const tiepoint = tags[33922];
+
+        if (!scale || !tiepoint) throw new Error('GeoTIFF has no georeferencing (pixel scale / tiepoint).');
+        if (compression !== 1 && compression !== 8 && compression !== 32946) {
+            throw new Error(`GeoTIFF compression ${compression} is not supported (use none or deflate).`);
+        }
+        if (predictor === 3) throw new Error('GeoTIFF floating-point predictor is not supported.');
+
+        const tiled = Boolean(tags[322]);
+        const blockWidth = tiled ? tags[322][0] : width;
+        const blockHeight = tiled ? tags[323][0] : (tags[278]?.[0] ?? height);
+        const offsets = tiled ? tags[324] : tags[273];
+        const byteCounts = tiled ? tags[325] : tags[279];
+        const blocksAcross = Math.ceil(width / blockWidth);
+        const bytesPerSample = bits / 8;
+
+        const read = (blockView, index) => {
+            const at = index * bytesPerSample;
+            if (format === 3) return bits === 64 ? blockView.getFloat64(at, little) : blockView.getFloat32(at, little);
+            if (format === 2) return bits === 32 ? blockView.getInt32(at, little) : blockView.getInt16(at, little);
+            return bits === 32 ? blockView.getUint32(at, little) : blockView.getUint16(at, little);
+        };
+
+        const data = new Float32Array(width * height);
+        for (let b = 0; b < offsets.length; b++) {
+            let block = new Uint8Array(buffer, offsets[b], byteCounts[b]);
+            if (compression !== 1) block = await this.inflate(block);
+            const blockView = new DataView(block.buffer, block.byteOffset, block.byteLength);
+
+            const originX = tiled ? (b % blocksAcross) * blockWidth : 0;
+            const originY = tiled ? Math.floor(b / blocksAcross) * blockHeight : b * blockHeight;
+
+            for (let y = 0; y < blockHeight && originY + y < height; y++) {
+                let previous = 0;
+                for (let x = 0; x < blockWidth; x++) {
+                    let value = read(blockView, y * blockWidth + x);
+                    // Horizontal differencing: each sample is stored relative to its left neighbour
+                    if (predictor === 2) {
+                        value += previous;
+                        previous = value;
+                    }
+                    if (originX + x < width) data[(originY + y) * width + originX + x] = value;
+                }
+            }
+        }
+
+        const noData = tags[42113] !== undefined ? parseFloat(tags[42113]) : -32768;
+        // Tiepoint maps raster (i, j) to model (lon, lat); shift to the first pixel centre
+        const originLon = tiepoint[3] - tiepoint[0] * scale[0] + scale[0] / 2;
+        const originLat = tiepoint[4] + tiepoint[1] * scale[1] - scale[1] / 2;
+        if (Math.abs(originLat) > 90 || Math.abs(originLon) > 360) {
+            throw new Error('GeoTIFF must be in geographic (lat/lon) coordinates.');
+        }
+
+        return this.makeTile(fileName, data, width, height, originLat, originLon, scale[1], scale[0], noData);
+    },
+
+    /**
+     * Inflate a zlib (deflate) compressed block with the browser's DecompressionStream
+     */
+    async inflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+};
+
+// ============================================
+// FIT Decoder Module
+// ============================================
+
+const FITDecoder = {
+    // Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+    EPOCH_OFFSET: 631065600,
+    SEMICIRCLES_TO_DEGREES: 180 / 2 ** 31,
+
+    // Base type number -> [byte size, reader name, invalid value]
+    BASE_TYPES: {
+        0: [1, 'getUint8', 0xff],        // enum
+        1: [1, 'getInt8', 0x7f],
+        2: [1, 'getUint8', 0xff],
+        3: [2, 'getInt16', 0x7fff],
+        4: [2, 'getUint16', 0xffff],
+        5: [4, 'getInt32', 0x7fffffff],
+        6: [4, 'getUint32', 0xffffffff],
+        8: [4, 'getFloat32', null],
+        9: [8, 'getFloat64', null],
+        10: [1, 'getUint8', 0],         // uint8z
+        11: [2, 'getUint16', 0],        // uint16z
+        12: [4, 'getUint32', 0],        // uint32z
+        13: [1, 'getUint8', 0xff]        // byte
+    },
+
+    /**
+     * Decode a FIT file into its data messages: [{ global, fields: { fieldNumber: value } }]
+     * Strings are decoded; arrays and 64-bit fields are skipped; invalid values are dropped
+     */
+    decode(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        const headerSize = bytes[0];
+        const signature = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+        if (buffer.byteLength < 12 || signature !== '.FIT') {
+            throw new Error('Not a FIT file (missing ".FIT" header).');
+        }
+
+        const end = Math.min(headerSize + view.getUint32(4, true), buffer.byteLength);
+        const definitions = {};
+        const messages = [];
+        let pos = headerSize;
+        let lastTimestamp = 0;
+
+        const readMessage = (definition, timestamp) => {
+            const fields = {};
+            if (pos + definition.size > buffer.byteLength) throw new Error('Truncated FIT file.');
+
+            definition.fields.forEach(({ number, size, type }) => {
+                const value = this.readField(view, bytes, pos, size, type, definition.littleEndian);
+                if (value !== null) fields[number] = value;
+                pos += size;
+            });
+            pos += definition.developerSize;
+
+            if (fields[253] !== undefined) lastTimestamp = fields[253];
+            else if (timestamp !== undefined) fields[253] = timestamp;
+
+            messages.push({ global: definition.global, fields });
+        };
+
+        while (pos < end) {
+            const header = bytes[pos++];
+
+            if (header & 0x80) {
+                // Compressed timestamp header: 5-bit offset from the last full timestamp
+                const definition = definitions[(header >> 5) & 0x03];
+                if (!definition) throw new Error('Corrupt FIT file (undefined local message).');
+                const offset = header & 0x1f;
+                const timestamp = lastTimestamp + ((offset - (lastTimestamp & 0x1f)) & 0x1f);
+                readMessage(definition, timestamp);
+                lastTimestamp = timestamp;
+            } else if (header & 0x40) {
+                // Definition message
+                const littleEndian = bytes[pos + 1] === 0;
+                const global = view.getUint16(pos + 2, littleEndian);
+                const count = bytes[pos + 4];
+                pos += 5;
+
+                const fields = [];
+                for (let i = 0; i < count; i++) {
+                    fields.push({ number: bytes[pos], size: bytes[pos + 1], type: bytes[pos + 2] & 0x1f });
+                    pos += 3;
+                }
+
+                let developerSize = 0;
+                if (header & 0x20) {
+                    const developerCount = bytes[pos++];
+                    for (let i = 0; i < developerCount; i++) {
+                        developerSize += bytes[pos + 1];
+                        pos += 3;
+                    }
+                }
+
+                const size = fields.reduce((sum, f) => sum + f.size, developerSize);
+                definitions[header & 0x0f] = { global, littleEndian, fields, developerSize, size };
+            } else {
+                const definition = definitions[header & 0x0f];
+                if (!definition) throw new Error('Corrupt FIT file (undefined local message).');
+                readMessage(definition);
+            }
+        }
+
+        return messages;
+    },
+
+    /**
+     * Read one field value, or null if it is invalid or not a single scalar/string
+     */
+    readField(view, bytes, pos, size, type, littleEndian) {
+        if (type === 7) {
+            // Null-terminated UTF-8 string
+            let length = 0;
+            while (length < size && bytes[pos + length] !== 0) length++;
+            return length ? new TextDecoder().decode(bytes.subarray(pos, pos + length)) : null;
+        }
+
+        const baseType = this.BASE_TYPES[type];
+        if (!baseType || baseType[0] !== size) return null;
+
+        const [, reader, invalid] = baseType;
+        const value = view[reader](pos, littleEndian);
+        if (value === invalid || Number.isNaN(value)) return null;
+        return value;
+    },
+
+    /**
+     * Pull record (20), course point (32) and lap (19) messages out as plain objects
+     * record: { time (ms), lat, lon, ele, distance (m), speed (m/s), power (W), heartRate, cadence }
+     * lap: { start (ms), end (ms) }
+     */
+    extract(messages) {
+        const toTime = t => t === undefined ? undefined : (t + this.EPOCH_OFFSET) * 1000;
+        const toDegrees = s => s === undefined ? undefined : s * this.SEMICIRCLES_TO_DEGREES;
+        const scaled = (v, scale, offset = 0) => v === undefined ? undefined : v / scale - offset;
+
+        const records = [];
+        const coursePoints = [];
+        const laps = [];
+
+        messages.forEach(({ global, fields }) => {
+            if (global === 20) {
+                records.push({
+                    time: toTime(fields[253]),
+                    lat: toDegrees(fields[0]),
+                    lon: toDegrees(fields[1]),
+                    ele: scaled(fields[78] ?? fields[2], 5, 500),
+                    distance: scaled(fields[5], 100),
+                    speed: scaled(fields[73] ?? fields[6], 1000),
+                    power: fields[7],
+                    heartRate: fields[3],
+                    cadence: fields[4]
+                });
+            } else if (global === 32) {
+                coursePoints.push({
+                    lat: toDegrees(fields[2]),
+                    lon: toDegrees(fields[3]),
+                    distance: scaled(fields[4], 100),
+                    name: fields[6]
+                });
+            } else if (global === 19 && fields[2] !== undefined && fields[253] !== undefined) {
+                laps.push({ start: toTime(fields[2]), end: toTime(fields[253]) });
+            }
+        });
+
+        return { records, coursePoints, laps };
+    }
+};
+
+// ============================================
+// FIT Encoder Module
+// ============================================
+
+const FITEncoder = {
+    // Base type bytes as written in definition messages
+    TYPES: {
+        enum: [0x00, 1],
+        uint8: [0x02, 1],
+        uint16: [0x84, 2],
+        uint32: [0x86, 4],
+        uint32z: [0x8c, 4],
+        string: [0x07, 0]
+    },
+
+    CRC_TABLE: [
+        0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+        0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400
+    ],
+
+    /**
+     * FIT CRC-16 over a byte array
+     */
+    crc(bytes, crc = 0) {
+        for (const byte of bytes) {
+            let tmp = this.CRC_TABLE[crc & 0xf];
+            crc = ((crc >> 4) & 0x0fff) ^ tmp ^ this.CRC_TABLE[byte & 0xf];
+            tmp = this.CRC_TABLE[crc & 0xf];
+            crc = ((crc >> 4) & 0x0fff) ^ tmp ^ this.CRC_TABLE[(byte >> 4) & 0xf];
+        }
+        return crc;
+    },
+
+    /**
+     * Encode messages into a FIT file
+     * messages: [{ global, fields: [{ number, type, value, size? (strings) }] }]
+     * A definition is written whenever a message layout is first used
+     */
+    encode(messages) {
+        const chunks = [];
+        const layouts = new Map();
+        const encoder = new TextEncoder();
+
+        messages.forEach(({ global, fields }) => {
+            const sized = fields.map(f => ({
+                ...f,
+                base: this.TYPES[f.type][0],
+                size: f.type === 'string' ? f.size : this.TYPES[f.type][1]
+            }));
+            const key = `${global}:${sized.map(f => `${f.number}/${f.size}`).join(',')}`;
+
+            if (!layouts.has(key)) {
+                if (layouts.size >= 16) layouts.clear();
+                const local = layouts.size;
+                layouts.set(key, local);
+
+                const definition = new Uint8Array(6 + sized.length * 3);
+                const view = new DataView(definition.buffer);
+                definition[0] = 0x40 | local;
+                definition[2] = 0; // little-endian
+                view.setUint16(3, global, true);
+                definition[5] = sized.length;
+                sized.forEach((f, i) => definition.set([f.number, f.size, f.base], 6 + i * 3));
+                chunks.push(definition);
+            }
+
+            const data = new Uint8Array(1 + sized.reduce((sum, f) => sum + f.size, 0));
+            const view = new DataView(data.buffer);
+            data[0] = layouts.get(key);
+            let pos = 1;
+            sized.forEach(f => {
+                if (f.type === 'string') {
+                    // Null-terminated, truncated to the declared size
+                    data.set(encoder.encode(f.value).subarray(0, f.size - 1), pos);
+                } else if (f.size === 1) {
+                    view.setUint8(pos, f.value);
+                } else if (f.size === 2) {
+                    view.setUint16(pos, f.value, true);
+                } else {
+                    view.setUint32(pos, f.value, true);
+                }
+                pos += f.size;
+            });
+            chunks.push(data);
+        });
+
+        const dataSize = chunks.reduce((sum, c) => sum + c.length, 0);
+        const file = new Uint8Array(14 + dataSize + 2);
+        const view = new DataView(file.buffer);
+
+        file[0] = 14;
+        file[1] = 0x10; // protocol 1.0
+        view.setUint16(2, 2100, true); // profile 21.00
+        view.setUint32(4, dataSize, true);
+        file.set([0x2e, 0x46, 0x49, 0x54], 8); // ".FIT"
+        view.setUint16(12, this.crc(file.subarray(0, 12)), true);
+
+        let pos = 14;
+        chunks.forEach(c => {
+            file.set(c, pos);
+            pos += c.length;
+        });
+        view.setUint16(pos, this.crc(file.subarray(0, pos)), true);
+
+        return file;
+    }
+};
+
+// ============================================
+// Course Import Module
+// ============================================
+
+const CourseImporter = {
+    EXTENSIONS: ['.gpx', '.tcx', '.fit', '.kml', '.geojson', '.json'],
+
+    /**
+     * Detect a course file's format from its content (falling back to its name)
+     */
+    detect(bytes, fileName) {
+        const name = fileName.toLowerCase();
+        const signature = String.fromCharCode(...bytes.subarray(8, 12));
+        if (signature === '.FIT' || name.endsWith('.fit')) return 'fit';
+
+        const head = new TextDecoder().decode(bytes.subarray(0, 2048)).trimStart();
+        if (head.startsWith('{') || head.startsWith('[')) return 'geojson';
+        if (/<gpx[\s>]/.test(head)) return 'gpx';
+        if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+        if (/<kml[\s>]/.test(head)) return 'kml';
+
+        const extension = name.slice(name.lastIndexOf('.') + 1);
+        return extension === 'json' ? 'geojson' : extension;
+    },
+
+    /**
+     * Parse any supported course file into { format, points, waypoints, laps? }
+     * points: [{ lat, lon, ele, ... }] in riding order; waypoints: [{ lat, lon, ele, name }]
+     * laps (TCX/FIT activities): [{ start (ms), end (ms) }]
+     */
+    parse(buffer, fileName) {
+        const bytes = new Uint8Array(buffer);
+        const format = this.detect(bytes, fileName);
+        const text = () => new TextDecoder().decode(bytes);
+
+        switch (format) {
+            case 'gpx':
+                return { format, points: GPXParser.parse(text()), waypoints: GPXParser.parseWaypoints(text()) };
+            case 'tcx':
+                return { format, ...this.parseTCX(text()) };
+            case 'fit':
+                return { format, ...this.parseFIT(buffer) };
+            case 'kml':
+                return { format, ...this.parseKML(text()) };
+            case 'geojson':
+                return { format, ...this.parseGeoJSON(JSON.parse(text())) };
+            case 'kmz':
+                throw new Error('KMZ is a zipped KML; unzip it and load the .kml inside.');
+            default:
+                throw new Error(`Unsupported course format "${format}".`);
+        }
+    },
+
+    /**
+     * Child element text by local name (namespace prefixes vary between exporters)
+     */
+    childText(element, name) {
+        const child = element.getElementsByTagNameNS('*', name)[0];
+        return child ? child.textContent.trim() : undefined;
+    },
+
+    /**
+     * TCX activity or course: <Trackpoint> with <Position>, <CoursePoint> as waypoints
+     */
+    parseTCX(content) {
+        const xmlDoc = XMLReader.parse(content);
+        const number = value => value === undefined ? undefined : parseFloat(value);
+        const points = [];
+
+        Array.from(xmlDoc.getElementsByTagNameNS('*', 'Trackpoint')).forEach(pt => {
+            const lat = number(this.childText(pt, 'LatitudeDegrees'));
+            const lon = number(this.childText(pt, 'LongitudeDegrees'));
+            if (lat === undefined || lon === undefined) return;
+
+            const time = this.childText(pt, 'Time');
+            points.push({
+                lat,
+                lon,
+                ele: number(this.childText(pt, 'AltitudeMeters')) || 0,
+                time: time ? new Date(time).getTime() : undefined,
+                distance: number(this.childText(pt, 'DistanceMeters')),
+                heartRate: number(this.childText(pt, 'Value')),
+                power: number(this.childText(pt, 'Watts')),
+                speed: number(this.childText(pt, 'Speed'))
+            });
+        });
+
+        // Activity laps: start time plus duration
+        const laps = Array.from(xmlDoc.getElementsByTagNameNS('*', 'Lap')).map(lap => {
+            const start = new Date(lap.getAttribute('StartTime')).getTime();
+            return { start, end: start + (number(this.childText(lap, 'TotalTimeSeconds')) || 0) * 1000 };
+        }).filter(lap => !isNaN(lap.start) && lap.end > lap.start);
+
+        const waypoints = Array.from(xmlDoc.getElementsByTagNameNS('*', 'CoursePoint')).map(cp => ({
+            lat: number(this.childText(cp, 'LatitudeDegrees')),
+            lon: number(this.childText(cp, 'LongitudeDegrees')),
+            ele: number(this.childText(cp, 'AltitudeMeters')) || 0,
+            name: this.childText(cp, 'Name') || ''
+        })).filter(wp => wp.lat !== undefined && wp.lon !== undefined);
+
+        return { points, waypoints, laps };
+    },
+
+    /**
+     * FIT activity or course file (binary): record messages with a position
+     */
+    parseFIT(buffer) {
+        const { records, coursePoints, laps } = FITDecoder.extract(FITDecoder.decode(buffer));
+
+        const points = records
+            .filter(r => r.lat !== undefined && r.lon !== undefined)
+            .map(r => ({ ...r, ele: r.ele ?? 0 }));
+
+        const waypoints = coursePoints
+            .filter(cp => cp.lat !== undefined && cp.lon !== undefined)
+            .map(cp => ({ lat: cp.lat, lon: cp.lon, ele: 0, name: cp.name || '' }));
+
+        return { points, waypoints, laps };
+    },
+
+    /**
+     * KML: every <LineString> (and gx:Track) in document order; Point placemarks as waypoints
+     */
+    parseKML(content) {
+        const xmlDoc = XMLReader.parse(content);
+        const points = [];
+        const waypoints = [];
+
+        const parseCoordinates = text => text.trim().split(/\s+/).map(tuple => {
+            const [lon, lat, ele] = tuple.split(',').map(parseFloat);
+            return { lat, lon, ele: ele || 0 };
+        }).filter(p => !isNaN(p.lat) && !isNaN(p.lon));
+
+        Array.from(xmlDoc.getElementsByTagNameNS('*', 'LineString')).forEach(line => {
+            points.push(...parseCoordinates(this.childText(line, 'coordinates') || ''));
+        });
+
+        // Google's gx:Track stores "lon lat alt" per <gx:coord>
+        Array.from(xmlDoc.getElementsByTagNameNS('*', 'coord')).forEach(coord => {
+            const [lon, lat, ele] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+            if (!isNaN(lat) && !isNaN(lon)) points.push({ lat, lon, ele: ele || 0 });
+        });
+
+        Array.from(xmlDoc.getElementsByTagNameNS('*', 'Placemark')).forEach(placemark => {
+            const point = placemark.getElementsByTagNameNS('*', 'Point')[0];
+            if (!point) return;
+            const [coords] = parseCoordinates(this.childText(point, 'coordinates') || '');
+            if (coords) waypoints.push({ ...coords, name: this.childText(placemark, 'name') || '' });
+        });
+
+        return { points, waypoints };
+    },
+
+    /**
+     * GeoJSON: LineString / MultiLineString geometries in order, Point features as waypoints
+     */
+    parseGeoJSON(data) {
+        const points = [];
+        const waypoints = [];
+        const toPoint = ([lon, lat, ele]) => ({ lat, lon, ele: ele || 0 });
+
+        const visit = (geometry, properties = {}) => {
+            if (!geometry) return;
+
+            switch (geometry.type) {
+                case 'LineString':
+                    points.push(...geometry.coordinates.map(toPoint));
+                    break;
+                case 'MultiLineString':
+                    geometry.coordinates.forEach(line => points.push(...line.map(toPoint)));
+                    break;
+                case 'Point':
+                    waypoints.push({ ...toPoint(geometry.coordinates), name: properties.name || '' });
+                    break;
+                case 'GeometryCollection':
+                    geometry.geometries.forEach(g => visit(g, properties));
+                    break;
+            }
+        };
+
+        const items = data.type === 'FeatureCollection' ? data.features : [data];
+        items.forEach(item => {
+            if (item.type === 'Feature') visit(item.geometry, item.properties || {});
+            else visit(item);
+        });
+
+        return { points, waypoints };
+    }
+};
+
+// ============================================
+// Physics Engine Module
+// ============================================
+
+const PhysicsEngine = {
+    /**
+     * Calculate power at the wheel needed to overcome drag, gravity and rolling resistance
+     * Negative when gravity pushes the rider faster than the resistances slow them down
+     */
+    resistivePower(speed, gradient, headwind, params) {
+        const { totalMass, crr } = params;
+        const airDensity = params.airDensity ?? CONSTANTS.AIR_DENSITY;
+        const crosswind = params.crosswind || 0;
+
+        // Effective air speed (rider speed + headwind component)
+        const airSpeed = speed + headwind;
+
+        // Apparent wind combines the along-track air speed with the crosswind;
+        // CdA is looked up at the resulting yaw angle
+        const apparentSpeedSq = airSpeed ** 2 + crosswind ** 2;
+        const cda = this.cdaAtYaw(this.yawAngle(speed, headwind, crosswind), params);
+
+        // Aerodynamic drag power: P = 0.5 * ρ * CdA(yaw) * v_apparent² * v_ground
+        // Using v_apparent for (axial) drag force, v_ground for power
+        const P_aero = 0.5 * airDensity * cda * apparentSpeedSq * speed;
+
+        // Gravity power: P = m * g * gradient * v
+        const P_gravity = totalMass * CONSTANTS.GRAVITY * gradient * speed;
+
+        // Rolling resistance power: P = Crr * m * g * v * cos(atan(gradient))
+        const cosGradient = Math.cos(Math.atan(gradient));
+        const P_rolling = crr * totalMass * CONSTANTS.GRAVITY * cosGradient * speed;
+
+        return P_aero + P_gravity + P_rolling;
+    },
+
+    /**
+     * Fraction of pedal power lost in the drivetrain: the bike's own figure, else the default
+     */
+    drivetrainLoss(params) {
+        return params.drivetrainLoss ?? CONSTANTS.DRIVETRAIN_LOSS;
+    },
+
+    /**
+     * Calculate power required to maintain a given speed on a segment
+     */
+    powerRequired(speed, gradient, headwind, params) {
+        // Total power including drivetrain losses
+        const P_total = this.resistivePower(speed, gradient, headwind, params) / (1 - this.drivetrainLoss(params));
+
+        return Math.max(CONSTANTS.MIN_POWER, P_total);
+    },
+
+    /**
+     * Calculate speed achievable at a given power output
+     * Newton-Raphson on the unfloored power balance, kept inside a bracket that shrinks
+     * every step and bisected whenever Newton would leave it. Without the bracket a
+     * descent's first guess lands where powerRequired sits on its MIN_POWER floor, the
+     * slope is zero and the flat-road guess came back as the answer
+     * Clamped to MIN_SPEED (too steep to ride) and MAX_SPEED (rider brakes)
+     */
+    speedAtPower(power, gradient, headwind, params) {
+        const { cda } = params;
+        const airDensity = params.airDensity ?? CONSTANTS.AIR_DENSITY;
+        const wheelPower = power * (1 - this.drivetrainLoss(params));
+        const excess = speed => this.resistivePower(speed, gradient, headwind, params) - wheelPower;
+
+        let lo = CONSTANTS.MIN_SPEED;
+        let hi = CONSTANTS.MAX_SPEED;
+        if (excess(lo) >= 0) return lo;
+        if (excess(hi) <= 0) return hi;
+
+        // Initial guess based on flat road speed
+        let speed = Math.pow(Math.max(power, 0) / (0.5 * airDensity * cda), 1 / 3);
+        if (!(speed > lo && speed < hi)) speed = (lo + hi) / 2;
+
+        for (let i = 0; i < CONSTANTS.SPEED_ITERATIONS; i++) {
+            const error = excess(speed);
+            if (Math.abs(error) < CONSTANTS.SPEED_TOLERANCE) break;
+
+            if (error > 0) hi = speed;
+            else lo = speed;
+
+            // Numerical derivative
+            const dSpeed = 0.01;
+            const derivative = (excess(speed + dSpeed) - error) / dSpeed;
+            const next = speed - error / derivative;
+
+            speed = next > lo && next < hi ? next : (lo + hi) / 2;
+        }
+
+        return speed;
+    },
+
+    /**
+     * Yaw angle (degrees) between the apparent wind and the direction of travel
+     */
+    yawAngle(speed, headwind, crosswind) {
+        return Math.atan2(Math.abs(crosswind), speed + headwind) * 180 / Math.PI;
+    },
+
+    /**
+     * CdA at a yaw angle, linearly interpolated from params.yawTable ([{ yaw, cda }])
+     * Falls back to the constant params.cda without a table; holds the end values outside it
+     */
+    cdaAtYaw(yaw, params) {
+        const table = params.yawTable;
+        if (!table || table.length === 0) return params.cda;
+
+        const absYaw = Math.abs(yaw);
+        if (absYaw <= table[0].yaw) return table[0].cda;
+
+        for (let i = 1; i < table.length; i++) {
+            if (absYaw <= table[i].yaw) {
+                const lo = table[i - 1];
+                const hi = table[i];
+                const t = (absYaw - lo.yaw) / (hi.yaw - lo.yaw);
+                return lo.cda + t * (hi.cda - lo.cda);
+            }
+        }
+
+        return table[table.length - 1].cda;
+    },
+
+    /**
+     * Calculate moist-air density at an elevation from the race-day weather
+     * Temperature is measured at refElevation and follows the standard lapse rate;
+     * pressure is sea-level (QNH) reduced with the hypsometric formula;
+     * humidity splits it into dry-air and water-vapour partial pressures
+     */
+    airDensity(elevation, conditions = {}, refElevation = 0) {
+        const {
+            temperature = CONSTANTS.SEA_LEVEL_TEMPERATURE,
+            pressure = CONSTANTS.SEA_LEVEL_PRESSURE,
+            humidity = 0
+        } = conditions;
+
+        const tempC = temperature - CONSTANTS.LAPSE_RATE * (elevation - refElevation);
+        const tempK = tempC + 273.15;
+
+        // Station pressure at this elevation (hPa)
+        const lapse = CONSTANTS.LAPSE_RATE * elevation;
+        const stationPressure = pressure * Math.pow(1 - lapse / (tempK + lapse), 5.257);
+
+        // Magnus/Tetens saturation vapour pressure (hPa) and actual vapour pressure
+        const saturation = 6.1078 * Math.pow(10, 7.5 * tempC / (tempC + 237.3));
+        const vaporPressure = Math.min(100, Math.max(0, humidity)) / 100 * saturation;
+        const dryPressure = stationPressure - vaporPressure;
+
+        // ρ = p_d / (R_d T) + p_v / (R_v T), pressures in Pa
+        return (dryPressure * 100) / (CONSTANTS.GAS_CONSTANT_DRY * tempK) +
+            (vaporPressure * 100) / (CONSTANTS.GAS_CONSTANT_VAPOR * tempK);
+    },
+
+    /**
+     * Calculate headwind component based on wind direction and travel bearing
+     */
+    calculateHeadwind(windSpeed, windDirection, bearing) {
+        // Wind direction is "from" direction, convert to "to" direction
+        const windTo = (windDirection + 180) % 360;
+
+        // Angle between wind direction and travel direction
+        const angleRad = (windTo - bearing) * Math.PI / 180;
+
+        // Headwind is negative component (wind against us)
+        return -windSpeed * Math.cos(angleRad);
+    },
+
+    /**
+     * Calculate crosswind component (magnitude, side doesn't matter for drag)
+     */
+    calculateCrosswind(windSpeed, windDirection, bearing) {
+        const windTo = (windDirection + 180) % 360;
+        const angleRad = (windTo - bearing) * Math.PI / 180;
+
+        return Math.abs(windSpeed * Math.sin(angleRad));
+    },
+
+    /**
+     * Maximum speed through a corner of the given radius at the rider's lean limit
+     * Lateral acceleration v² / r may not exceed g * tan(lean)
+     */
+    corneringSpeed(radius, leanAngle) {
+        return Math.sqrt(CONSTANTS.GRAVITY * radius * Math.tan(leanAngle * Math.PI / 180));
+    },
+
+    /**
+     * Highest speed allowed at a point given the corners ahead of it
+     * Each corner casts a braking envelope v² = v_corner² + 2 * a_brake * distance_to_apex
+     */
+    speedLimitAt(position, speedLimits) {
+        let limit = CONSTANTS.MAX_SPEED;
+
+        speedLimits.forEach(({ at, speed }) => {
+            if (at < position) return;
+            limit = Math.min(limit, Math.sqrt(speed ** 2 + 2 * CONSTANTS.BRAKING_DECEL * (at - position)));
+        });
+
+        return limit;
+    },
+
+    /**
+     * Forward-integrate speed along a segment ridden at constant power
+     * Kinetic energy (including wheel rotational inertia) is carried in from the previous
+     * segment, so the rider accelerates or decelerates instead of jumping to steady state.
+     * speedLimits ({ at, speed }, at measured from the segment start) force braking for corners
+     */
+    integrateSegment(power, entrySpeed, distance, gradient, headwind, params, speedLimits = []) {
+        // Spinning wheels store energy too: I / r² adds to the mass being accelerated
+        const effectiveMass = params.totalMass + CONSTANTS.WHEEL_INERTIA / CONSTANTS.WHEEL_RADIUS ** 2;
+        const wheelPower = power * (1 - this.drivetrainLoss(params));
+        const clampSpeed = v => Math.max(CONSTANTS.MIN_SPEED, Math.min(v, CONSTANTS.MAX_SPEED));
+
+        // dv/dt = (P_wheel - P_resist) / (m_eff * v)
+        const acceleration = v =>
+            (wheelPower - this.resistivePower(v, gradient, headwind, params)) / (effectiveMass * v);
+
+        let speed = clampSpeed(entrySpeed);
+        let covered = 0;
+        let time = 0;
+
+        while (covered < distance) {
+            let dt = CONSTANTS.SIM_TIME_STEP;
+
+            // Heun's method (predictor-corrector) keeps low-speed climbing steps stable
+            const a1 = acceleration(speed);
+            const predicted = clampSpeed(speed + a1 * dt);
+            const a2 = acceleration(predicted);
+            let nextSpeed = clampSpeed(speed + (a1 + a2) / 2 * dt);
+            let step = (speed + nextSpeed) / 2 * dt;
+
+            // Brake if the next position is inside a corner's braking envelope
+            const limit = this.speedLimitAt(covered + step, speedLimits);
+            if (nextSpeed > limit) {
+                nextSpeed = Math.max(CONSTANTS.MIN_SPEED, limit);
+                step = (speed + nextSpeed) / 2 * dt;
+            }
+
+            // Shorten the last step so it ends exactly on the segment boundary
+            if (covered + step > distance) {
+                const fraction = (distance - covered) / step;
+                dt *= fraction;
+                nextSpeed = speed + (nextSpeed - speed) * fraction;
+                step = distance - covered;
+            }
+
+            covered += step;
+            time += dt;
+            speed = nextSpeed;
+        }
+
+        return { time, exitSpeed: speed };
+    }
+};
+
+// ============================================
+// Wind Field Module
+// ============================================
+
+const WindField = {
+    /**
+     * Parse wind timeline text, one observation per line:
+     *   HH:MM, speed km/h, direction (from) °, gust km/h[, lat, lon]
+     * Lines without a location apply to the whole route; '#' starts a comment
+     */
+    parse(text) {
+        const rows = [];
+        const errors = [];
+
+        text.split('\n').forEach((line, i) => {
+            const content = line.split('#')[0].trim();
+            if (!content) return;
+
+            const fields = content.split(/[,;\t]/).map(f => f.trim());
+            const time = this.parseClock(fields[0]);
+            const [speed, direction, gust, lat, lon] = fields.slice(1).map(f => f === '' ? NaN : parseFloat(f));
+
+            if (time === null || isNaN(speed) || isNaN(direction)) {
+                errors.push(`Line ${i + 1}: expected "HH:MM, speed, direction[, gust][, lat, lon]"`);
+                return;
+            }
+
+            rows.push({
+                time,
+                speed,
+                direction: ((direction % 360) + 360) % 360,
+                gust: isNaN(gust) ? speed : Math.max(speed, gust),
+                lat: isNaN(lat) || isNaN(lon) ? null : lat,
+                lon: isNaN(lat) || isNaN(lon) ? null : lon
+            });
+        });
+
+        return { rows, errors };
+    },
+
+    /**
+     * Parse "HH:MM" into seconds since midnight (null if invalid)
+     */
+    parseClock(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+        if (!match) return null;
+        return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60;
+    },
+
+    /**
+     * Format seconds since midnight as "HH:MM"
+     */
+    formatClock(seconds) {
+        const day = ((Math.round(seconds / 60) % 1440) + 1440) % 1440;
+        return `${Math.floor(day / 60).toString().padStart(2, '0')}:${(day % 60).toString().padStart(2, '0')}`;
+    },
+
+    /**
+     * Group observations into stations, each with a time-sorted timeline
+     * Rows without a location form one station placed at origin (the route start)
+     */
+    build(rows, startTime, origin) {
+        if (rows.length === 0) return null;
+
+        const stations = new Map();
+        rows.forEach(row => {
+            const lat = row.lat ?? origin?.lat ?? 0;
+            const lon = row.lon ?? origin?.lon ?? 0;
+            const key = `${lat.toFixed(5)},${lon.toFixed(5)}`;
+
+            if (!stations.has(key)) stations.set(key, { lat, lon, timeline: [] });
+            stations.get(key).timeline.push(row);
+        });
+
+        stations.forEach(station => station.timeline.sort((a, b) => a.time - b.time));
+
+        return { startTime, stations: [...stations.values()] };
+    },
+
+    /**
+     * Average wind observations with weights, interpolating direction as a vector
+     */
+    blend(samples) {
+        let weightSum = 0;
+        let speed = 0;
+        let gust = 0;
+        let x = 0;
+        let y = 0;
+
+        samples.forEach(({ wind, weight }) => {
+            const dirRad = wind.direction * Math.PI / 180;
+            weightSum += weight;
+            speed += wind.speed * weight;
+            gust += wind.gust * weight;
+            x += Math.sin(dirRad) * weight;
+            y += Math.cos(dirRad) * weight;
+        });
+
+        return {
+            speed: speed / weightSum,
+            gust: gust / weightSum,
+            direction: (Math.atan2(x, y) * 180 / Math.PI + 360) % 360
+        };
+    },
+
+    /**
+     * Wind at one station at a clock time, linear in time and clamped at the ends
+     */
+    stationWind(station, clock) {
+        const timeline = station.timeline;
+        if (clock <= timeline[0].time) return timeline[0];
+        if (clock >= timeline[timeline.length - 1].time) return timeline[timeline.length - 1];
+
+        for (let i = 1; i < timeline.length; i++) {
+            if (clock <= timeline[i].time) {
+                const lo = timeline[i - 1];
+                const hi = timeline[i];
+                const t = (clock - lo.time) / (hi.time - lo.time);
+                return this.blend([{ wind: lo, weight: 1 - t }, { wind: hi, weight: t }]);
+            }
+        }
+
+        return timeline[timeline.length - 1];
+    },
+
+    /**
+     * Wind at a position and elapsed ride time (seconds after the start)
+     * Stations are combined by inverse-distance-squared weighting
+     */
+    at(field, lat, lon, elapsed) {
+        const clock = field.startTime + elapsed;
+
+        const samples = field.stations.map(station => {
+            const distance = GPXParser.haversineDistance(lat, lon, station.lat, station.lon);
+            return { wind: this.stationWind(station, clock), distance };
+        });
+
+        const exact = samples.find(s => s.distance < 1);
+        if (exact) return exact.wind;
+
+        return this.blend(samples.map(s => ({ wind: s.wind, weight: 1 / s.distance ** 2 })));
+    },
+
+    /**
+     * Mean wind speed inflated by gustiness: drag goes with v², so turbulence
+     * (σ ≈ (gust - mean) / peak factor) adds σ² to the mean square wind
+     */
+    effectiveSpeed(wind) {
+        const sigma = Math.max(0, (wind.gust ?? wind.speed) - wind.speed) / CONSTANTS.GUST_PEAK_FACTOR;
+        return Math.sqrt(wind.speed ** 2 + sigma ** 2);
+    }
+};
+
+// ============================================
+// Forecast Import Module
+// ============================================
+
+const ForecastImporter = {
+    /**
+     * Parse a downloaded forecast file into hourly records
+     * Record: { time (ms UTC), lat, lon, windSpeed (km/h), windDirection (from, °),
+     *           gust (km/h), temperature (°C), pressure (hPa, sea level), humidity (%) }
+     * Missing quantities are left undefined. bbox ({ minLat, maxLat, minLon, maxLon }) limits
+     * which GRIB grid points are decoded.
+     */
+    parse(buffer, fileName, bbox) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0x47 && bytes[1] === 0x52 && bytes[2] === 0x49 && bytes[3] === 0x42) {
+            return this.parseGRIB2(bytes, bbox);
+        }
+
+        const text = new TextDecoder().decode(bytes).trim();
+        if (text.startsWith('{') || text.startsWith('[')) {
+            return this.parseJSON(JSON.parse(text));
+        }
+        if (/\.(grb2?|grib2?)$/i.test(fileName)) {
+            throw new Error('Not a GRIB file (missing "GRIB" header).');
+        }
+
+        return this.parseCSV(text);
+    },
+
+    /**
+     * Convert a wind speed to km/h from the unit named in a header or units field
+     */
+    toKmh(value, unit = 'km/h') {
+        const u = unit.toLowerCase();
+        if (u.includes('m/s') || u === 'ms') return value * 3.6;
+        if (u.includes('kn') || u.includes('kt')) return value * 1.852;
+        if (u.includes('mph')) return value * 1.609344;
+        return value;
+    },
+
+    /**
+     * Convert a temperature to °C (Kelvin and Fahrenheit recognised by unit)
+     */
+    toCelsius(value, unit = '°C') {
+        const u = unit.toLowerCase();
+        if (u === 'k' || u.includes('kelvin')) return value - 273.15;
+        if (u.includes('f')) return (value - 32) * 5 / 9;
+        return value;
+    },
+
+    /**
+     * Convert a pressure to hPa (Pa and kPa recognised by unit)
+     */
+    toHpa(value, unit = 'hPa') {
+        const u = unit.toLowerCase();
+        if (u === 'pa') return value / 100;
+        if (u === 'kpa') return value * 10;
+        return value;
+    },
+
+    /**
+     * Reduce station (surface) pressure at an elevation to sea level
+     */
+    seaLevelPressure(surfacePressure, elevation, temperature = CONSTANTS.SEA_LEVEL_TEMPERATURE) {
+        const lapse = CONSTANTS.LAPSE_RATE * elevation;
+        return surfacePressure * Math.pow(1 - lapse / (temperature + lapse + 273.15), -5.257);
+    },
+
+    /**
+     * Forecast time in ms; ISO times without a zone are UTC, as forecasts are issued
+     */
+    parseTime(value) {
+        const text = String(value).trim();
+        const local = /^(\d{4})-(\d\d)-(\d\d)[T ](\d\d):(\d\d)(?::(\d\d(?:\.\d+)?))?$/.exec(text);
+        if (!local) return new Date(text).getTime();
+
+        const [, year, month, day, hours, minutes, seconds = '0'] = local;
+        return Date.UTC(year, month - 1, day, hours, minutes) + parseFloat(seconds) * 1000;
+    },
+
+    /**
+     * Work out which forecast quantity a column/variable name holds
+     */
+    classify(name) {
+        const n = name.toLowerCase().replace(/\(.*\)/, '').trim();
+
+        // Felt temperature and dew point are not the air temperature
+        if (/apparent|dew/.test(n)) return null;
+        if (/^(time|date|datetime|timestamp|valid_?time)$/.test(n)) return 'time';
+        if (/^(lat|latitude)$/.test(n)) return 'lat';
+        if (/^(lon|lng|long|longitude)$/.test(n)) return 'lon';
+        if (/^elevation$/.test(n)) return 'elevation';
+        if (/gust/.test(n)) return 'gust';
+        if (/wind.*dir|winddir|^wd$/.test(n)) return 'windDirection';
+        if (/wind.*speed|windspeed|^ws$|^wind$/.test(n)) return 'windSpeed';
+        if (/^(u|u10|ugrd|u_?wind|u_component\w*)$/.test(n)) return 'windU';
+        if (/^(v|v10|vgrd|v_?wind|v_component\w*)$/.test(n)) return 'windV';
+        if (/temp|^t2m$|^tmp$/.test(n)) return 'temperature';
+        if (/pressure_msl|msl|sea_?level|prmsl/.test(n)) return 'pressure';
+        if (/surface_pressure|^pressure$|^sp$|^pres$/.test(n)) return 'surfacePressure';
+        if (/humid|^rh/.test(n)) return 'humidity';
+        return null;
+    },
+
+    /**
+     * Turn raw values for one time/location into a record with standard units
+     */
+    makeRecord(values, units, location) {
+        const unit = key => units[key] || undefined;
+        const record = {
+            time: values.time,
+            lat: values.lat ?? location.lat,
+            lon: values.lon ?? location.lon
+        };
+
+        if (values.windSpeed !== undefined) {
+            record.windSpeed = this.toKmh(values.windSpeed, unit('windSpeed'));
+            record.windDirection = values.windDirection;
+        } else if (values.windU !== undefined && values.windV !== undefined) {
+            const u = this.toKmh(values.windU, unit('windU') || 'm/s');
+            const v = this.toKmh(values.windV, unit('windV') || 'm/s');
+            record.windSpeed = Math.hypot(u, v);
+            // Meteorological convention: the direction the wind blows from
+            record.windDirection = (Math.atan2(-u, -v) * 180 / Math.PI + 360) % 360;
+        }
+        if (values.gust !== undefined) record.gust = this.toKmh(values.gust, unit('gust'));
+        if (values.temperature !== undefined) record.temperature = this.toCelsius(values.temperature, unit('temperature'));
+        if (values.humidity !== undefined) record.humidity = values.humidity;
+
+        if (values.pressure !== undefined) {
+            record.pressure = this.toHpa(values.pressure, unit('pressure'));
+        } else if (values.surfacePressure !== undefined) {
+            const elevation = values.elevation ?? location.elevation ?? 0;
+            record.pressure = this.seaLevelPressure(
+                this.toHpa(values.surfacePressure, unit('surfacePressure')),
+                elevation,
+                record.temperature
+            );
+        }
+
+        return record;
+    },
+
+    /**
+     * CSV with a header row, e.g. an Open-Meteo export:
+     *   latitude,longitude,elevation,...        (optional metadata block)
+     *   45.2,13.6,12,...
+     *
+     *   time,temperature_2m (°C),wind_speed_10m (km/h),wind_direction_10m (°),...
+     * Units are read from "(unit)" in each header
+     */
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/);
+        const location = {};
+        const records = [];
+        let header = null;
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            const cells = line.split(/[,;\t]/).map(c => c.trim().replace(/^"|"$/g, ''));
+            const kinds = cells.map(c => this.classify(c));
+
+            // A row of names: either the metadata header or the data header
+            if (kinds.some(k => k !== null) && cells.every(c => isNaN(parseFloat(c)))) {
+                header = cells.map((name, i) => ({
+                    kind: kinds[i],
+                    unit: (/\(([^)]+)\)/.exec(name) || [])[1]
+                }));
+                return;
+            }
+            if (!header) return;
+
+            const values = {};
+            const units = {};
+            header.forEach(({ kind, unit }, i) => {
+                if (!kind || cells[i] === undefined || cells[i] === '') return;
+                values[kind] = kind === 'time' ? this.parseTime(cells[i]) : parseFloat(cells[i]);
+                if (unit) units[kind] = unit;
+            });
+
+            // Metadata rows (location without time) apply to the rows that follow
+            if (values.time === undefined) {
+                Object.assign(location, values);
+                return;
+            }
+            if (isNaN(values.time)) return;
+
+            records.push(this.makeRecord(values, units, location));
+        });
+
+        if (records.length === 0) throw new Error('No forecast rows with a time column found in CSV.');
+        return records;
+    },
+
+    /**
+     * JSON: Open-Meteo response(s) ({ latitude, longitude, hourly: { time: [], ... }, hourly_units })
+     * or a flat array of records with recognisable field names
+     */
+    parseJSON(data) {
+        const records = [];
+        const items = Array.isArray(data) ? data : [data];
+
+        items.forEach(item => {
+            if (item.hourly && Array.isArray(item.hourly.time)) {
+                const location = { lat: item.latitude, lon: item.longitude, elevation: item.elevation };
+                const columns = Object.keys(item.hourly).map(name => ({
+                    name,
+                    kind: this.classify(name),
+                    unit: item.hourly_units?.[name]
+                })).filter(c => c.kind);
+                // Open-Meteo times are local to the requested timezone (GMT by default)
+                const offset = item.utc_offset_seconds ?? 0;
+
+                item.hourly.time.forEach((time, i) => {
+                    const values = {};
+                    const units = {};
+                    columns.forEach(({ name, kind, unit }) => {
+                        const value = item.hourly[name][i];
+                        if (value === null || value === undefined) return;
+                        values[kind] = kind === 'time' ? this.parseTime(value) - offset * 1000 : value;
+                        if (unit) units[kind] = unit;
+                    });
+                    records.push(this.makeRecord(values, units, location));
+                });
+                return;
+            }
+
+            // Flat record
+            const values = {};
+            Object.entries(item).forEach(([name, value]) => {
+                const kind = this.classify(name);
+                if (!kind || value === null) return;
+                values[kind] = kind === 'time' ? this.parseTime(value) : parseFloat(value);
+            });
+            if (values.time !== undefined && !isNaN(values.time)) {
+                records.push(this.makeRecord(values, {}, {}));
+            }
+        });
+
+        if (records.length === 0) throw new Error('No hourly forecast data found in JSON.');
+        return records;
+    },
+
+    /**
+     * GRIB2 decoder for the fields a race forecast needs
+     * Supports regular lat/lon grids (template 3.0), analysis/forecast products (4.0)
+     * and simple packing (5.0); other packings need converting first, e.g.
+     * `wgrib2 in.grb2 -set_grib_type simple -grib_out out.grb2`
+     */
+    parseGRIB2(bytes, bbox) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        // GRIB signed integers are sign-and-magnitude, not two's complement
+        const int32 = o => {
+            const raw = view.getUint32(o);
+            return raw & 0x80000000 ? -(raw & 0x7fffffff) : raw;
+        };
+        const int16 = o => {
+            const raw = view.getUint16(o);
+            return raw & 0x8000 ? -(raw & 0x7fff) : raw;
+        };
+
+        // (discipline, category, number) -> quantity
+        const PARAMETERS = {
+            '0,2,2': 'windU', '0,2,3': 'windV', '0,2,1': 'windSpeed', '0,2,0': 'windDirection',
+            '0,2,22': 'gust', '0,0,0': 'temperature', '0,3,1': 'pressure', '0,3,0': 'surfacePressure',
+            '0,1,1': 'humidity'
+        };
+        const UNITS = {
+            windU: 'm/s', windV: 'm/s', windSpeed: 'm/s', gust: 'm/s',
+            temperature: 'K', pressure: 'Pa', surfacePressure: 'Pa'
+        };
+        // Forecast time unit codes (code table 4.4) in seconds
+        const TIME_UNITS = { 0: 60, 1: 3600, 2: 86400, 10: 10800, 11: 21600, 12: 43200, 13: 1 };
+
+        const fields = new Map(); // `${time}|${lat}|${lon}` -> values
+        const inBox = (lat, lon) => !bbox || (
+            lat >= bbox.minLat && lat <= bbox.maxLat && lon >= bbox.minLon && lon <= bbox.maxLon
+        );
+
+        let offset = 0;
+        while (offset + 16 <= bytes.length) {
+            if (view.getUint32(offset) !== 0x47524942) { // "GRIB"
+                offset++;
+                continue;
+            }
+
+            const discipline = bytes[offset + 6];
+            const edition = bytes[offset + 7];
+            const messageLength = Number(view.getBigUint64(offset + 8));
+            if (edition !== 2) throw new Error(`GRIB edition ${edition} is not supported (GRIB2 only).`);
+
+            const end = offset + messageLength;
+            let pos = offset + 16;
+            let refTime = 0;
+            let grid = null;
+            let product = null;
+            let packing = null;
+            let bitmap = null;
+
+            while (pos + 4 <= end) {
+                if (view.getUint32(pos) === 0x37373737) break; // "7777"
+
+                const length = view.getUint32(pos);
+                const section = bytes[pos + 4];
+
+                if (section === 1) {
+                    refTime = Date.UTC(view.getUint16(pos + 12), bytes[pos + 14] - 1, bytes[pos + 15],
+                        bytes[pos + 16], bytes[pos + 17], bytes[pos + 18]);
+                } else if (section === 3) {
+                    const template = view.getUint16(pos + 12);
+                    if (template !== 0) throw new Error(`GRIB grid template 3.${template} is not supported (regular lat/lon only).`);
+                    const ni = view.getUint32(pos + 30);
+                    const nj = view.getUint32(pos + 34);
+                    const lat1 = int32(pos + 46) / 1e6;
+                    const lon1 = int32(pos + 50) / 1e6;
+                    const lat2 = int32(pos + 55) / 1e6;
+                    const lon2 = int32(pos + 59) / 1e6;
+                    const scan = bytes[pos + 71];
+                    const dLat = nj > 1 ? (lat2 - lat1) / (nj - 1) : 0;
+                    let dLon = ni > 1 ? (lon2 - lon1) / (ni - 1) : 0;
+                    // Grids crossing the antimeridian/Greenwich wrap their longitudes
+                    if (!(scan & 0x80) && dLon < 0) dLon = (lon2 + 360 - lon1) / (ni - 1);
+                    grid = { ni, nj, lat1, lon1, dLat, dLon, jConsecutive: Boolean(scan & 0x20) };
+                } else if (section === 4) {
+                    const template = view.getUint16(pos + 7);
+                    if (template !== 0) {
+                        product = null;
+                    } else {
+                        const unit = TIME_UNITS[bytes[pos + 17]] ?? 3600;
+                        product = {
+                            key: `${discipline},${bytes[pos + 9]},${bytes[pos + 10]}`,
+                            surface: bytes[pos + 22],
+                            time: refTime + view.getUint32(pos + 18) * unit * 1000
+                        };
+                    }
+                } else if (section === 5) {
+                    const template = view.getUint16(pos + 9);
+                    packing = {
+                        template,
+                        count: view.getUint32(pos + 5),
+                        reference: view.getFloat32(pos + 11),
+                        binaryScale: int16(pos + 15),
+                        decimalScale: int16(pos + 17),
+                        bits: bytes[pos + 19]
+                    };
+                } else if (section === 6) {
+                    const indicator = bytes[pos + 5];
+                    if (indicator === 0) bitmap = bytes.subarray(pos + 6, pos + length);
+                    else if (indicator === 255) bitmap = null;
+                } else if (section === 7) {
+                    const quantity = product && PARAMETERS[product.key];
+                    // Upper-air levels (isobaric surfaces) are not what the rider feels
+                    if (quantity && grid && product.surface !== 100) {
+                        if (packing.template !== 0) {
+                            throw new Error(`GRIB packing template 5.${packing.template} is not supported; convert to simple packing (5.0).`);
+                        }
+                        this.unpackGRIBField(bytes, pos + 5, grid, packing, bitmap, (lat, lon, value) => {
+                            if (!inBox(lat, lon)) return;
+                            const key = `${product.time}|${lat.toFixed(4)}|${lon.toFixed(4)}`;
+                            if (!fields.has(key)) fields.set(key, { time: product.time, lat, lon });
+                            fields.get(key)[quantity] = value;
+                        });
+                    }
+                }
+
+                pos += length;
+            }
+
+            offset = end;
+        }
+
+        const records = [...fields.values()].map(values => this.makeRecord(values, UNITS, {}));
+        if (records.length === 0) throw new Error('No usable wind/temperature fields in the GRIB file for this route.');
+        return records;
+    },
+
+    /**
+     * Unpack one simple-packed GRIB2 field: Y = (R + X * 2^E) / 10^D
+     */
+    unpackGRIBField(bytes, dataStart, grid, packing, bitmap, emit) {
+        const { reference, binaryScale, decimalScale, bits } = packing;
+        const binary = Math.pow(2, binaryScale);
+        const decimal = Math.pow(10, decimalScale);
+        const points = grid.ni * grid.nj;
+        let bitPos = 0;
+
+        const readBits = () => {
+            let value = 0;
+            for (let b = 0; b < bits; b++) {
+                const byte = bytes[dataStart + ((bitPos + b) >> 3)];
+                value = value * 2 + ((byte >> (7 - ((bitPos + b) & 7))) & 1);
+            }
+            bitPos += bits;
+            return value;
+        };
+
+        for (let n = 0; n < points; n++) {
+            if (bitmap && !((bitmap[n >> 3] >> (7 - (n & 7))) & 1)) continue;
+
+            const raw = bits > 0 ? readBits() : 0;
+            const i = grid.jConsecutive ? Math.floor(n / grid.nj) : n % grid.ni;
+            const j = grid.jConsecutive ? n % grid.nj : Math.floor(n / grid.ni);
+            let lon = grid.lon1 + i * grid.dLon;
+            if (lon > 180) lon -= 360;
+
+            emit(grid.lat1 + j * grid.dLat, lon, (reference + raw * binary) / decimal);
+        }
+    },
+
+    /**
+     * Pick the forecast for the route and race window
+     * raceDate and startTime are race-local; utcOffset (s) is the race's offset from UTC.
+     * Returns wind timeline rows (one location: route-wide; several: stations) and the
+     * conditions at the start hour averaged over the chosen locations
+     */
+    select(records, { bbox, raceDate, startTime, duration, utcOffset = 0 }) {
+        const margin = CONSTANTS.FORECAST_BBOX_MARGIN;
+        const inBox = r => r.lat >= bbox.minLat - margin && r.lat <= bbox.maxLat + margin &&
+            r.lon >= bbox.minLon - margin && r.lon <= bbox.maxLon + margin;
+
+        let chosen = records.filter(r => r.lat !== undefined && inBox(r));
+        if (chosen.length === 0) {
+            // Nothing inside the box (or no locations at all): use the nearest grid point
+            const centerLat = (bbox.minLat + bbox.maxLat) / 2;
+            const centerLon = (bbox.minLon + bbox.maxLon) / 2;
+            const distance = r => r.lat === undefined ? 0 :
+                GPXParser.haversineDistance(centerLat, centerLon, r.lat, r.lon);
+            const nearest = records.reduce((best, r) => distance(r) < distance(best) ? r : best);
+            chosen = records.filter(r => r.lat === nearest.lat && r.lon === nearest.lon);
+        }
+
+        // Race-local calendar date and clock, whatever the browser's timezone
+        const localDate = time => new Date(time + utcOffset * 1000).toISOString().slice(0, 10);
+        const clock = time => {
+            const d = new Date(time + utcOffset * 1000);
+            return d.getUTCHours() * 3600 + d.getUTCMinutes() * 60;
+        };
+
+        const day = raceDate || localDate(Math.min(...chosen.map(r => r.time)));
+        const windowStart = startTime - CONSTANTS.FORECAST_WINDOW_PADDING;
+        const windowEnd = startTime + duration + CONSTANTS.FORECAST_WINDOW_PADDING;
+        const inWindow = chosen.filter(r => {
+            const c = clock(r.time);
+            return localDate(r.time) === day && c >= windowStart && c <= windowEnd;
+        });
+
+        if (inWindow.length === 0) {
+            throw new Error(`Forecast has no data for ${day} between ${WindField.formatClock(windowStart)} and ${WindField.formatClock(windowEnd)}.`);
+        }
+
+        const locations = new Set(inWindow.map(r => `${r.lat},${r.lon}`));
+        const withWind = inWindow.filter(r => r.windSpeed !== undefined && r.windDirection !== undefined);
+        const rows = withWind
+            .sort((a, b) => a.time - b.time)
+            .map(r => ({
+                time: clock(r.time),
+                speed: r.windSpeed,
+                direction: r.windDirection,
+                gust: r.gust ?? r.windSpeed,
+                lat: locations.size > 1 ? r.lat : null,
+                lon: locations.size > 1 ? r.lon : null
+            }));
+
+        // Conditions at the hour closest to the start, averaged over locations
+        const closest = Math.min(...inWindow.map(r => Math.abs(clock(r.time) - startTime)));
+        const atStart = inWindow.filter(r => Math.abs(clock(r.time) - startTime) === closest);
+        const average = key => {
+            const values = atStart.map(r => r[key]).filter(v => v !== undefined);
+            return values.length ? values.reduce((a, b) => a + b, 0) / values.length : undefined;
+        };
+        const startWind = atStart.filter(r => r.windSpeed !== undefined);
+
+        return {
+            day,
+            locations: locations.size,
+            rows,
+            conditions: {
+                temperature: average('temperature'),
+                pressure: average('pressure'),
+                humidity: average('humidity'),
+                wind: startWind.length ? WindField.blend(startWind.map(r => ({
+                    wind: { speed: r.windSpeed, direction: r.windDirection, gust: r.gust ?? r.windSpeed },
+                    weight: 1
+                }))) : undefined
+            }
+        };
+    },
+
+    /**
+     * Format timeline rows for the wind timeline box
+     */
+    formatRows(rows) {
+        return rows.map(r => {
+            const fields = [
+                WindField.formatClock(r.time),
+                r.speed.toFixed(1),
+                Math.round(r.direction),
+                r.gust.toFixed(1)
+            ];
+            if (r.lat !== null) fields.push(r.lat.toFixed(4), r.lon.toFixed(4));
+            return fields.join(', ');
+        }).join('\n');
+    }
+};
+
+// ============================================
+// W' Balance Module
+// ============================================
+
+const WPrimeBalance = {
+    /**
+     * Recovery time constant for the integral model
+     * The further below CP the rider recovers (D_CP), the faster W' comes back
+     */
+    tau(dcp) {
+        return CONSTANTS.WBAL_TAU_A * Math.exp(-CONSTANTS.WBAL_TAU_B * dcp) + CONSTANTS.WBAL_TAU_C;
+    },
+
+    /**
+     * Compute W' balance at the end of every segment and store it as seg.wBalance
+     * Segments must already carry optimizedPower and time; returns the minimum balance
+     */
+    apply(segments, params) {
+        return params.wbalModel === 'integral'
+            ? this.integral(segments, params)
+            : this.differential(segments, params);
+    },
+
+    /**
+     * Skiba differential model (Skiba et al. 2015)
+     * Above CP: dW'/dt = -(P - CP). Below CP: W' recovers exponentially towards full
+     * at a rate proportional to D_CP / W', so easy spinning refills faster than tempo
+     */
+    differential(segments, params) {
+        const { wprime } = params;
+        const cp = params.cp || params.ftp;
+        let wBalance = wprime;
+        let minWBalance = wprime;
+
+        segments.forEach(seg => {
+            if (seg.optimizedPower > cp) {
+                wBalance -= (seg.optimizedPower - cp) * seg.time;
+            } else {
+                const dcp = cp - seg.optimizedPower;
+                wBalance = wprime - (wprime - wBalance) * Math.exp(-dcp * seg.time / wprime);
+            }
+
+            seg.wBalance = wBalance;
+            minWBalance = Math.min(minWBalance, wBalance);
+        });
+
+        return minWBalance;
+    },
+
+    /**
+     * Skiba integral model (Skiba et al. 2012)
+     * W'bal(t) = W' - Σ W'exp(u) * e^(-(t - u) / tau), with tau set by the average
+     * sub-CP power over the ride
+     */
+    integral(segments, params) {
+        const { wprime } = params;
+        const cp = params.cp || params.ftp;
+
+        // Average depth below CP across all recovery segments
+        let recoveryTime = 0;
+        let recoveryDeficit = 0;
+        segments.forEach(seg => {
+            if (seg.optimizedPower < cp) {
+                recoveryTime += seg.time;
+                recoveryDeficit += (cp - seg.optimizedPower) * seg.time;
+            }
+        });
+        const tau = this.tau(recoveryTime > 0 ? recoveryDeficit / recoveryTime : 0);
+
+        // Running sum of decayed expenditures: S_k = S_(k-1) * e^(-t_k / tau) + W'exp_k
+        let expended = 0;
+        let minWBalance = wprime;
+
+        segments.forEach(seg => {
+            expended = expended * Math.exp(-seg.time / tau) +
+                Math.max(0, seg.optimizedPower - cp) * seg.time;
+
+            seg.wBalance = wprime - expended;
+            minWBalance = Math.min(minWBalance, seg.wBalance);
+        });
+
+        return minWBalance;
+    }
+};
+
+// ============================================
+// Power-Duration Curve Module
+// ============================================
+
+const PowerDuration = {
+    // Curve models: 'data' reads the efforts themselves, the others fit a model to them
+    MODELS: {
+        data: 'best efforts',
+        cp: "CP / W' (2-parameter)",
+        morton: 'Morton 3-parameter'
+    },
+
+    // Durations (s) kept when a full mean-maximal curve is imported
+    STANDARD_DURATIONS: [5, 15, 30, 60, 120, 180, 300, 480, 600, 720, 1200, 1800, 2400, 3600, 5400,
+        7200, 10800, 14400, 18000, 21600],
+
+    /**
+     * Parse mean-maximal power text, one effort per line: duration, watts
+     * Durations are seconds, m:ss, h:mm:ss or carry a unit (30 s, 20 min, 1.5 h); '#' starts a comment
+     * A first line that is not an effort (a CSV header) is skipped; the best power per duration is kept
+     */
+    parse(text) {
+        const best = new Map();
+        const errors = [];
+        let first = true;
+
+        text.split('\n').forEach((line, i) => {
+            const content = line.split('#')[0].trim();
+            if (!content) return;
+
+            const fields = content.split(/[,;\t]/).map(f => f.trim());
+            const duration = this.parseDuration(fields[0]);
+            const power = parseFloat(fields[1]);
+            const header = first;
+            first = false;
+
+            if (!(duration > 0) || !(power > 0)) {
+                if (!header) errors.push(`Line ${i + 1}: expected "duration, watts" (e.g. "20:00, 300")`);
+                return;
+            }
+            best.set(duration, Math.max(power, best.get(duration) ?? 0));
+        });
+
+        const rows = [...best].map(([duration, power]) => ({ duration, power })).sort((a, b) => a.duration - b.duration);
+        return { rows, errors };
+    },
+
+    /**
+     * Read an exported mean-maximal file: JSON ([{ secs|duration, watts|power }] or
+     * { secs: [], watts: [] }) or text as in parse; long curves are thinned to STANDARD_DURATIONS
+     * Returns { rows, errors }
+     */
+    load(text) {
+        let result;
+        if (/^\s*[[{]/.test(text)) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                return { rows: [], errors: [`Not a power curve file (${e.message}).`] };
+            }
+            const pairs = Array.isArray(data)
+                ? data.map(d => [d.secs ?? d.duration ?? d.seconds, d.watts ?? d.power])
+                : (data.secs || []).map((secs, i) => [secs, data.watts?.[i]]);
+            result = this.parse(pairs.map(pair => pair.join(',')).join('\n'));
+        } else {
+            result = this.parse(text);
+        }
+
+        const { rows, errors } = result;
+        if (rows.length <= this.STANDARD_DURATIONS.length) return result;
+
+        const kept = new Set(this.STANDARD_DURATIONS.map(target => rows.reduce((a, b) =>
+            Math.abs(Math.log(b.duration / target)) < Math.abs(Math.log(a.duration / target)) ? b : a)));
+        return { rows: rows.filter(row => kept.has(row)), errors };
+    },
+
+    /**
+     * Efforts back to text for the input box, one "m:ss, watts" (or "h:mm:ss, watts") per line
+     */
+    toText(rows) {
+        return rows.map(({ duration, power }) => {
+            const total = Math.round(duration);
+            const secs = (total % 60).toString().padStart(2, '0');
+            const mins = Math.floor(total / 60);
+            const clock = mins >= 60
+                ? `${Math.floor(mins / 60)}:${(mins % 60).toString().padStart(2, '0')}:${secs}`
+                : `${mins}:${secs}`;
+            return `${clock}, ${Math.round(power)}`;
+        }).join('\n');
+    },
+
+    /**
+     * Duration text to seconds (null if unreadable)
+     */
+    parseDuration(text) {
+        const clock = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec(text || '');
+        if (clock) return (parseInt(clock[1] || 0) * 60 + parseInt(clock[2])) * 60 + parseInt(clock[3]);
+
+        const unit = /^(\d+(?:\.\d+)?)\s*(s|sec|secs|m|min|mins|h|hr|hrs|hour|hours)?$/i.exec(text || '');
+        if (!unit) return null;
+        const scale = { s: 1, m: 60, h: 3600 }[(unit[2] || 's')[0].toLowerCase()];
+        return parseFloat(unit[1]) * scale;
+    },
+
+    /**
+     * Short duration label: 30 s, 5 min, 1 h, 1 h 30 min
+     */
+    formatDuration(seconds) {
+        if (seconds < 60) return `${Math.round(seconds)} s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+        const hours = Math.floor(seconds / 3600);
+        const mins = Math.round((seconds % 3600) / 60);
+        return mins > 0 ? `${hours} h ${mins} min` : `${hours} h`;
+    },
+
+    /**
+     * Build a curve from efforts; throws when they cannot support the model
+     * Returns { model, efforts } plus cp (W) and wprime (J) for cp, and also pmax (W) and k (s) for morton
+     */
+    fit(model, efforts) {
+        if (efforts.length === 0) throw new Error('Enter at least one best effort.');
+
+        if (model === 'cp') return { model, efforts, ...this.fitCP(efforts) };
+        if (model === 'morton') return { model, efforts, ...this.fitMorton(efforts) };
+        if (model === 'data') return { model, efforts };
+        throw new Error(`Unknown power-duration model "${model}".`);
+    },
+
+    /**
+     * 2-parameter CP: work = CP·t + W', fitted by least squares to efforts from 2 to 30 min
+     */
+    fitCP(efforts) {
+        const used = efforts.filter(e =>
+            e.duration >= CONSTANTS.PD_FIT_MIN_DURATION && e.duration <= CONSTANTS.PD_CP_DURATION);
+        if (used.length < 2) throw new Error("CP / W' needs at least two efforts between 2 and 30 min.");
+
+        const { slope, intercept } = this.regress(used.map(e => e.duration), used.map(e => e.power * e.duration));
+        if (!(slope > 0) || !(intercept > 0)) throw new Error("These efforts do not give a positive CP and W'.");
+
+        return { cp: slope, wprime: intercept };
+    },
+
+    /**
+     * Morton 3-parameter: P = W' / (t - k) + CP with k = W' / (CP - Pmax) < 0
+     * For a given k the model is linear in 1/(t - k); the k with the least power error wins
+     */
+    fitMorton(efforts) {
+        const used = efforts.filter(e => e.duration <= CONSTANTS.PD_CP_DURATION);
+        if (used.length < 3) throw new Error('The 3-parameter model needs at least three efforts up to 30 min.');
+
+        let best = null;
+        for (let offset = 1; offset <= CONSTANTS.PD_MORTON_MAX_K; offset++) {
+            const k = -offset;
+            const { slope, intercept } = this.regress(used.map(e => 1 / (e.duration - k)), used.map(e => e.power));
+            const error = used.reduce((sum, e) => sum + (slope / (e.duration - k) + intercept - e.power) ** 2, 0);
+            if (slope > 0 && intercept > 0 && (!best || error < best.error)) {
+                best = { cp: intercept, wprime: slope, k, error };
+            }
+        }
+        if (!best) throw new Error("These efforts do not give a positive CP and W'.");
+
+        return { cp: best.cp, wprime: best.wprime, pmax: best.cp - best.wprime / best.k, k: best.k };
+    },
+
+    /**
+     * Least-squares line y = slope·x + intercept
+     */
+    regress(xs, ys) {
+        const n = xs.length;
+        const meanX = xs.reduce((a, b) => a + b, 0) / n;
+        const meanY = ys.reduce((a, b) => a + b, 0) / n;
+        let sxy = 0;
+        let sxx = 0;
+        xs.forEach((x, i) => {
+            sxy += (x - meanX) * (ys[i] - meanY);
+            sxx += (x - meanX) ** 2;
+        });
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        return { slope, intercept: meanY - slope * meanX };
+    },
+
+    /**
+     * Best sustainable power for a duration (s) on a curve, and the efforts behind it
+     * Returns { power, efforts (the one or two efforts that set it), basis } with basis
+     * 'measured', 'interpolated' (between two efforts), 'extrapolated' (decayed past the longest),
+     * 'shorter' (below the shortest effort) or 'model' (fitted curve, decayed past 30 min;
+     * efforts holds the one closest in duration)
+     */
+    predict(curve, duration) {
+        const decay = (power, from) =>
+            duration > from ? power * Math.max(0, 1 - CONSTANTS.PD_LONG_DECAY * Math.log(duration / from)) : power;
+        const distance = effort => Math.abs(Math.log(effort.duration / duration));
+
+        const { efforts } = curve;
+        const nearest = efforts.reduce((a, b) => distance(b) < distance(a) ? b : a);
+
+        if (curve.model !== 'data') {
+            const t = Math.min(duration, CONSTANTS.PD_CP_DURATION);
+            const power = curve.wprime / (t - (curve.k ?? 0)) + curve.cp;
+            return { power: decay(power, CONSTANTS.PD_CP_DURATION), efforts: [nearest], basis: 'model' };
+        }
+
+        const first = efforts[0];
+        const last = efforts[efforts.length - 1];
+        if (distance(nearest) < 0.01) return { power: nearest.power, efforts: [nearest], basis: 'measured' };
+        if (duration < first.duration) return { power: first.power, efforts: [first], basis: 'shorter' };
+        if (duration > last.duration) {
+            return { power: decay(last.power, last.duration), efforts: [last], basis: 'extrapolated' };
+        }
+
+        // Power falls roughly linearly with log duration between neighbouring efforts
+        const i = efforts.findIndex(e => e.duration > duration);
+        const [a, b] = [efforts[i - 1], efforts[i]];
+        const t = Math.log(duration / a.duration) / Math.log(b.duration / a.duration);
+        return { power: a.power + t * (b.power - a.power), efforts: [a, b], basis: 'interpolated' };
+    }
+};
+
+// ============================================
+// Power Optimization Module
+// ============================================
+
+const PowerOptimizer = {
+    /**
+     * Optimize power distribution across segments to minimise total course time
+     * Strategy: Lagrangian allocation - every segment is ridden at the power where the
+     * seconds saved by one more watt equal that watt's cost against the pacing budget
+     * (target normalized power or W' floor), so watts flow to where they buy the most time
+     * onProgress(done, total) is called after every bisection step
+     */
+    optimize(segments, params, onProgress = () => {}) {
+        const field = params.windField;
+        const steps = CONSTANTS.OPTIMIZER_ITERATIONS;
+
+        if (!field) {
+            const wind = { speed: params.windSpeed, direction: params.windDirection, gust: params.windSpeed };
+            const result = this.solve(segments, params, () => wind, done => onProgress(done, steps));
+            onProgress(steps, steps);
+            return result;
+        }
+
+        // Wind depends on when the rider gets there, and arrival times depend on the wind:
+        // re-solve with the latest predicted arrivals until the finish time settles
+        let arrivals = this.estimateArrivals(segments, params);
+        let result;
+        const total = steps * CONSTANTS.WIND_ITERATIONS;
+
+        for (let i = 0; i < CONSTANTS.WIND_ITERATIONS; i++) {
+            result = this.solve(segments, params, (seg, index) => WindField.at(
+                field,
+                (seg.startLat + seg.endLat) / 2,
+                (seg.startLon + seg.endLon) / 2,
+                arrivals[index]
+            ), done => onProgress(i * steps + done, total));
+
+            const next = result.segments.map(seg => seg.elapsedTime - seg.time / 2);
+            const drift = Math.abs(next[next.length - 1] - arrivals[arrivals.length - 1]);
+            arrivals = next;
+
+            if (drift < CONSTANTS.WIND_ARRIVAL_TOLERANCE) break;
+        }
+
+        onProgress(total, total);
+        return result;
+    },
+
+    /**
+     * Sustainable intensity (% of FTP) for this course
+     * With params.powerCurve (from PowerDuration.fit) the rider's own curve is read at the finish
+     * time, re-estimated once at the recommended power; without one a generic duration table is
+     * applied to the finish time at 100% FTP
+     * Returns { intensity, estimatedHours, prediction } (prediction from PowerDuration.predict, or null)
+     */
+    recommendIntensity(segments, params, onProgress = () => {}) {
+        const curve = params.powerCurve;
+        const passes = curve ? 2 : 1;
+        let intensity = 100;
+        let estimatedHours;
+        let prediction = null;
+
+        for (let pass = 0; pass < passes; pass++) {
+            const result = this.optimize(segments, { ...params, targetIntensity: intensity },
+                (done, total) => onProgress(pass * total + done, passes * total));
+            estimatedHours = result.metrics.totalTime / 3600;
+
+            if (curve) {
+                prediction = PowerDuration.predict(curve, result.metrics.totalTime);
+                intensity = prediction.power / params.ftp * 100;
+            }
+        }
+
+        if (!curve) {
+            // Generic power-duration table:
+            // 1 hour = 95-100%, 2 hours = 85-90%, 3 hours = 78-82%, 4 hours = 72-76%, 5+ hours = 65-70%
+            if (estimatedHours <= 1) {
+                intensity = 95;
+            } else if (estimatedHours <= 2) {
+                intensity = 95 - (estimatedHours - 1) * 10; // 95 -> 85
+            } else if (estimatedHours <= 3) {
+                intensity = 85 - (estimatedHours - 2) * 7; // 85 -> 78
+            } else if (estimatedHours <= 4) {
+                intensity = 78 - (estimatedHours - 3) * 6; // 78 -> 72
+            } else {
+                intensity = Math.max(65, 72 - (estimatedHours - 4) * 3); // Gradually decrease to 65%
+            }
+        }
+
+        return { intensity, estimatedHours, prediction };
+    },
+
+    /**
+     * First guess at when the rider reaches each segment midpoint: target power, still air
+     */
+    estimateArrivals(segments, params) {
+        const power = params.ftp * params.targetIntensity / 100;
+        let elapsed = 0;
+
+        return segments.map(seg => {
+            const speed = PhysicsEngine.speedAtPower(power, seg.gradient, 0, params);
+            const time = seg.distance / speed;
+            elapsed += time;
+            return elapsed - time / 2;
+        });
+    },
+
+    /**
+     * Solve the pacing problem for fixed per-segment winds
+     * windAt(seg, index) returns { speed (km/h), direction (from, °), gust (km/h) }
+     * onStep(done) is called after every bisection step
+     */
+    solve(segments, params, windAt, onStep = () => {}) {
+        const { ftp, wprime, targetIntensity } = params;
+        const pacingConstraint = params.pacingConstraint || 'np';
+        const wprimeFloor = wprime * (params.wprimeFloor ?? 15) / 100;
+
+        // Target power based on intensity (for duration sustainability)
+        const basePower = ftp * (targetIntensity / 100);
+        // maxPower must allow going above FTP on steep climbs (that's the point of W')
+        const maxPower = ftp * CONSTANTS.MAX_POWER_FACTOR;
+        const minPower = basePower * 0.5; // Don't go below 50% of target
+        // Power the allocation penalty is normalised against; in W' floor mode that is the same
+        // threshold the W' balance is spent against
+        const refPower = pacingConstraint === 'np' ? basePower : (params.cp || ftp);
+        // Durability: FTP fades by ftpDecay per hour ridden, so later watts cost more and the plan
+        // eases off as the ride goes on; arrivals start from a first guess and follow each simulation
+        const decay = params.ftpDecay || 0;
+        const arrivals = decay > 0 ? this.estimateArrivals(segments, params) : null;
+        const fade = seg => Math.max(CONSTANTS.FATIGUE_MIN_FACTOR, 1 - decay * seg.elapsedTime / 3600);
+
+        const results = segments.map((seg, i) => {
+            const wind = windAt(seg, i);
+            const windSpeed = WindField.effectiveSpeed(wind) / 3.6; // Convert km/h to m/s
+
+            return {
+                ...seg,
+                wind: wind,
+                headwind: PhysicsEngine.calculateHeadwind(windSpeed, wind.direction, seg.bearing),
+                crosswind: PhysicsEngine.calculateCrosswind(windSpeed, wind.direction, seg.bearing),
+                airDensity: PhysicsEngine.airDensity(seg.elevation, params, segments[0].elevation),
+                optimizedPower: basePower,
+                ...(arrivals && { elapsedTime: arrivals[i] })
+            };
+        });
+
+        // Feasibility is judged on the same speed model that times the final plan, so the
+        // W' floor and NP cap hold for the plan that is reported
+        const speedModel = params.speedModel || 'kinetic';
+        const isFeasible = metrics =>
+            metrics.minWBalance >= wprimeFloor &&
+            (pacingConstraint !== 'np' || metrics.normPower <= basePower + CONSTANTS.NP_TOLERANCE);
+
+        const allocate = lambda => {
+            results.forEach(seg => {
+                const segmentRef = decay > 0 ? refPower * fade(seg) : refPower;
+                seg.optimizedPower = this.segmentOptimalPower(seg, lambda, segmentRef, minPower, maxPower, params);
+            });
+            return this.simulate(results, params, speedModel);
+        };
+
+        // Bisect the multiplier (in log space): a larger lambda makes watts more expensive.
+        // Keep the cheapest feasible allocation, i.e. the fastest plan inside the budget.
+        let logLo = Math.log(CONSTANTS.OPTIMIZER_LAMBDA_MIN);
+        let logHi = Math.log(CONSTANTS.OPTIMIZER_LAMBDA_MAX);
+        let bestLambda = CONSTANTS.OPTIMIZER_LAMBDA_MAX;
+
+        for (let i = 0; i < CONSTANTS.OPTIMIZER_ITERATIONS; i++) {
+            const logMid = (logLo + logHi) / 2;
+            const metrics = allocate(Math.exp(logMid));
+            onStep(i + 1);
+
+            if (isFeasible(metrics)) {
+                bestLambda = Math.exp(logMid);
+                logHi = logMid;
+                // Close enough to the NP target that further bisection changes nothing visible
+                if (pacingConstraint === 'np' && basePower - metrics.normPower < CONSTANTS.NP_TOLERANCE) break;
+            } else {
+                logLo = logMid;
+            }
+        }
+
+        const metrics = allocate(bestLambda);
+
+        return {
+            segments: results,
+            metrics
+        };
+    },
+
+    /**
+     * Find the power minimising t(P) * (1 + lambda * ((P / refPower)^4 - 1)) on one segment
+     * Uses golden-section search over [minPower, maxPower]
+     */
+    segmentOptimalPower(seg, lambda, refPower, minPower, maxPower, params) {
+        const physics = this.segmentPhysics(seg, params);
+        const cost = power => {
+            const speed = PhysicsEngine.speedAtPower(power, seg.gradient, seg.headwind, physics);
+            const relative = power / refPower;
+            return (seg.distance / speed) * (1 + lambda * (relative ** 4 - 1));
+        };
+
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = minPower;
+        let b = maxPower;
+        let c = b - ratio * (b - a);
+        let d = a + ratio * (b - a);
+        let fc = cost(c);
+        let fd = cost(d);
+
+        while (b - a > CONSTANTS.POWER_TOLERANCE) {
+            if (fc < fd) {
+                b = d;
+                d = c;
+                fd = fc;
+                c = b - ratio * (b - a);
+                fc = cost(c);
+            } else {
+                a = c;
+                c = d;
+                fc = fd;
+                d = a + ratio * (b - a);
+                fd = cost(d);
+            }
+        }
+
+        return (a + b) / 2;
+    },
+
+    /**
+     * Ride the current power plan: per-segment speed, time and W' balance plus summary metrics
+     * speedModel 'steady' solves each segment independently, 'kinetic' carries speed across them
+     */
+    simulate(results, params, speedModel = 'steady') {
+        let entrySpeed = CONSTANTS.START_SPEED;
+        const corners = this.cornerSpeeds(results, params);
+        let totalTime = 0;
+
+        results.forEach(seg => {
+            const physics = this.segmentPhysics(seg, params);
+
+            if (speedModel === 'kinetic') {
+                const { time, exitSpeed } = PhysicsEngine.integrateSegment(
+                    seg.optimizedPower,
+                    entrySpeed,
+                    seg.distance,
+                    seg.gradient,
+                    seg.headwind,
+                    physics,
+                    this.speedLimitsAhead(seg, corners)
+                );
+                seg.entrySpeed = entrySpeed;
+                seg.exitSpeed = exitSpeed;
+                seg.time = time;
+                seg.speed = seg.distance / time;
+                entrySpeed = exitSpeed;
+            } else {
+                const speed = PhysicsEngine.speedAtPower(
+                    seg.optimizedPower,
+                    seg.gradient,
+                    seg.headwind,
+                    physics
+                );
+                seg.speed = speed;
+                seg.time = seg.distance / speed + this.cornerTimeLoss(seg, speed, params);
+                seg.speed = seg.distance / seg.time;
+            }
+
+            seg.yaw = PhysicsEngine.yawAngle(seg.speed, seg.headwind, physics.crosswind);
+
+            totalTime += seg.time;
+            seg.elapsedTime = totalTime;
+        });
+
+        return this.summarize(results, params);
+    },
+
+    /**
+     * Summary metrics for segments that carry optimizedPower and time (planned or ridden)
+     * Also stores W' balance on every segment
+     */
+    summarize(results, params) {
+        const { ftp, wprime } = params;
+
+        let totalTime = 0;
+        let totalDistance = 0;
+        let powerSum = 0;
+        let power4Sum = 0;
+        let densitySum = 0;
+
+        results.forEach(seg => {
+            totalTime += seg.time;
+            totalDistance += seg.distance;
+            powerSum += seg.optimizedPower * seg.time;
+            power4Sum += Math.pow(seg.optimizedPower, 4) * seg.time;
+            densitySum += (seg.airDensity ?? CONSTANTS.AIR_DENSITY) * seg.distance;
+        });
+
+        const minWBalance = WPrimeBalance.apply(results, params);
+
+        const avgPower = powerSum / totalTime;
+        const normPower = Math.pow(power4Sum / totalTime, 0.25);
+        const intensityFactor = normPower / ftp;
+        const tss = (totalTime / 3600) * intensityFactor * intensityFactor * 100;
+        const avgSpeed = (totalDistance / 1000) / (totalTime / 3600);
+        const avgAirDensity = densitySum / totalDistance;
+
+        return {
+            totalTime,
+            avgPower,
+            normPower,
+            intensityFactor,
+            tss,
+            avgSpeed,
+            avgAirDensity,
+            minWBalance,
+            wprimePercent: (minWBalance / wprime) * 100
+        };
+    },
+
+    /**
+     * Format a duration in seconds as h:mm:ss (or m:ss under an hour), signed when negative
+     */
+    formatTime(seconds) {
+        const sign = seconds < 0 ? '-' : '';
+        const total = Math.round(Math.abs(seconds));
+        const hours = Math.floor(total / 3600);
+        const mins = Math.floor((total % 3600) / 60);
+        const secs = (total % 60).toString().padStart(2, '0');
+        return hours > 0 ? `${sign}${hours}:${mins.toString().padStart(2, '0')}:${secs}` : `${sign}${mins}:${secs}`;
+    },
+
+    /**
+     * Physics parameters for one segment (rider/bike constants plus local conditions)
+     */
+    segmentPhysics(seg, params) {
+        return {
+            totalMass: params.totalMass,
+            cda: params.cda,
+            crr: params.crr,
+            yawTable: params.yawTable,
+            drivetrainLoss: params.drivetrainLoss,
+            crosswind: seg.crosswind || 0,
+            airDensity: seg.airDensity ?? CONSTANTS.AIR_DENSITY
+        };
+    },
+
+    /**
+     * Corner apexes along the route with their absolute position and speed limit
+     * Also records the tightest limit on each segment as seg.cornerSpeed for display
+     */
+    cornerSpeeds(results, params) {
+        const corners = [];
+        if (!params.leanAngle) return corners;
+
+        results.forEach(seg => {
+            const start = seg.cumulativeDistance - seg.distance;
+            seg.cornerSpeed = null;
+
+            (seg.corners || []).forEach(corner => {
+                const speed = PhysicsEngine.corneringSpeed(corner.radius, params.leanAngle);
+                corners.push({ position: start + corner.offset, speed });
+                seg.cornerSpeed = Math.min(seg.cornerSpeed ?? Infinity, speed);
+            });
+        });
+
+        return corners;
+    },
+
+    /**
+     * Corner limits relevant to a segment, relative to its start
+     * Looks as far ahead as the longest possible braking zone
+     */
+    speedLimitsAhead(seg, corners) {
+        const start = seg.cumulativeDistance - seg.distance;
+        const lookahead = seg.distance + CONSTANTS.MAX_SPEED ** 2 / (2 * CONSTANTS.BRAKING_DECEL);
+
+        return corners
+            .filter(c => c.position >= start && c.position <= start + lookahead)
+            .map(c => ({ at: c.position - start, speed: c.speed }));
+    },
+
+    /**
+     * Extra seconds a steady-state segment costs for braking into its corner and
+     * accelerating back out (approximated as a symmetric ramp at braking deceleration)
+     */
+    cornerTimeLoss(seg, speed, params) {
+        const cornerSpeed = seg.cornerSpeed;
+        if (!params.leanAngle || !cornerSpeed || cornerSpeed >= speed) return 0;
+
+        const rampDistance = (speed ** 2 - cornerSpeed ** 2) / (2 * CONSTANTS.BRAKING_DECEL);
+        const rampTime = rampDistance / ((speed + cornerSpeed) / 2);
+
+        return 2 * (rampTime - rampDistance / speed);
+    }
+};
+
+// ============================================
+// Plan Simplification Module
+// ============================================
+
+const PlanSimplifier = {
+    /**
+     * Group an optimized plan into constant-power blocks a rider can follow
+     * options: { blocks (max count, 0 = as many as minLength allows), minLength (m) }
+     * Block powers keep the optimized plan's normalized power, rounded to POWER_TARGET_STEP
+     * without going over it
+     * Returns { blocks, segments (plan ridden at block power), metrics, penalty (s vs optimized) }
+     */
+    simplify(optimized, params, options) {
+        const segments = optimized.segments;
+        const speedModel = params.speedModel || 'kinetic';
+        const bounds = this.partition(segments, options);
+
+        // Start from each block's time-weighted mean, then rescale until NP matches again
+        // (flattening power inside a block lowers NP, so the blocks get a little harder)
+        let blockPower = bounds.map(([first, last]) => {
+            let work = 0;
+            let time = 0;
+            for (let i = first; i <= last; i++) {
+                work += segments[i].optimizedPower * segments[i].time;
+                time += segments[i].time;
+            }
+            return work / time;
+        });
+
+        for (let i = 0; i < CONSTANTS.BLOCK_RESCALE_ITERATIONS; i++) {
+            const { metrics } = this.ride(segments, bounds, blockPower, params, speedModel);
+            const scale = optimized.metrics.normPower / metrics.normPower;
+            blockPower = blockPower.map(p => p * scale);
+        }
+
+        // Round to the target step, then take back the biggest round-ups until NP is no
+        // higher than the optimized plan's, so the blocks never ride harder than the optimum
+        const step = CONSTANTS.POWER_TARGET_STEP;
+        const exact = blockPower;
+        blockPower = exact.map(p => Math.round(p / step) * step);
+        let { plan, metrics } = this.ride(segments, bounds, blockPower, params, speedModel);
+        while (metrics.normPower > optimized.metrics.normPower) {
+            const excess = blockPower.map((p, b) => p - exact[b]);
+            const b = excess.indexOf(Math.max(...excess));
+            if (excess[b] <= 0) break;
+            blockPower[b] -= step;
+            ({ plan, metrics } = this.ride(segments, bounds, blockPower, params, speedModel));
+        }
+
+        const blocks = bounds.map(([first, last], b) => {
+            const start = plan[first].cumulativeDistance - plan[first].distance;
+            const end = plan[last].cumulativeDistance;
+            // Segment elevations are at their ends, so the block climbs from the one before
+            const startElevation = first > 0
+                ? plan[first - 1].elevation
+                : plan[first].elevation - plan[first].distance * plan[first].gradient;
+            return {
+                start,
+                end,
+                distance: end - start,
+                duration: plan[last].elapsedTime - plan[first].elapsedTime + plan[first].time,
+                elapsed: plan[first].elapsedTime - plan[first].time,
+                power: blockPower[b],
+                gradient: (plan[last].elevation - startElevation) / Math.max(end - start, 1),
+                first,
+                last
+            };
+        });
+
+        return {
+            blocks,
+            segments: plan,
+            metrics,
+            penalty: metrics.totalTime - optimized.metrics.totalTime
+        };
+    },
+
+    /**
+     * Ride the segments at their block's power
+     */
+    ride(segments, bounds, blockPower, params, speedModel) {
+        const plan = segments.map(seg => ({ ...seg }));
+        bounds.forEach(([first, last], b) => {
+            for (let i = first; i <= last; i++) {
+                plan[i].optimizedPower = blockPower[b];
+                plan[i].block = b;
+            }
+        });
+
+        const metrics = PowerOptimizer.simulate(plan, params, speedModel);
+        return { plan, metrics };
+    },
+
+    /**
+     * Split segments into contiguous blocks by dynamic programming
+     * Near the optimum the time lost by flattening power is roughly quadratic in the
+     * deviation, so the partition minimises the time-weighted variance of optimized
+     * power around each block's mean. Returns [[firstIndex, lastIndex], ...]
+     */
+    partition(segments, { blocks, minLength }) {
+        const n = segments.length;
+        const time = [0];
+        const work = [0];
+        const square = [0];
+        const distance = [0];
+
+        segments.forEach((seg, i) => {
+            time.push(time[i] + seg.time);
+            work.push(work[i] + seg.optimizedPower * seg.time);
+            square.push(square[i] + seg.optimizedPower ** 2 * seg.time);
+            distance.push(distance[i] + seg.distance);
+        });
+
+        // Cost of one block over segments [i, j)
+        const cost = (i, j) => {
+            const t = time[j] - time[i];
+            const w = work[j] - work[i];
+            return square[j] - square[i] - w * w / t;
+        };
+
+        const total = distance[n];
+        const minimum = Math.min(minLength, total);
+        const longEnough = (i, j) => distance[j] - distance[i] >= minimum - 1e-6;
+
+        // Unlimited block count when blocks = 0; otherwise one DP layer per block
+        const layers = blocks > 0 ? Math.min(blocks, n) : 1;
+        let best = new Float64Array(n + 1).fill(Infinity);
+        best[0] = 0;
+        const back = [];
+        let bestEnd = { cost: Infinity, layer: 0 };
+
+        if (blocks > 0) {
+            for (let k = 0; k < layers; k++) {
+                const next = new Float64Array(n + 1).fill(Infinity);
+                const from = new Int32Array(n + 1).fill(-1);
+
+                for (let j = 1; j <= n; j++) {
+                    for (let i = 0; i < j && longEnough(i, j); i++) {
+                        if (best[i] === Infinity) continue;
+                        const candidate = best[i] + cost(i, j);
+                        if (candidate < next[j]) {
+                            next[j] = candidate;
+                            from[j] = i;
+                        }
+                    }
+                }
+
+                back.push(from);
+                best = next;
+                if (best[n] < bestEnd.cost) bestEnd = { cost: best[n], layer: k };
+            }
+        } else {
+            const from = new Int32Array(n + 1).fill(-1);
+            for (let j = 1; j <= n; j++) {
+                for (let i = 0; i < j && longEnough(i, j); i++) {
+                    if (best[i] === Infinity) continue;
+                    const candidate = best[i] + cost(i, j);
+                    if (candidate < best[j]) {
+                        best[j] = candidate;
+                        from[j] = i;
+                    }
+                }
+            }
+            back.push(from);
+        }
+
+        // Walk the back pointers from the end of the route
+        const bounds = [];
+        let j = n;
+        let layer = bestEnd.layer;
+        while (j > 0) {
+            const i = back[blocks > 0 ? layer : 0][j];
+            bounds.unshift([i, j - 1]);
+            j = i;
+            layer--;
+        }
+
+        return bounds;
+    }
+};
+
+// ============================================
+// Ride Analysis Module
+// ============================================
+
+const RideAnalyzer = {
+    /**
+     * Read a recorded ride (FIT, GPX or TCX) into time-ordered samples
+     * [{ time (s from start), lat, lon, distance (m, recorded), power, heartRate, speed }]
+     */
+    load(buffer, fileName) {
+        const bytes = new Uint8Array(buffer);
+        const format = CourseImporter.detect(bytes, fileName);
+        // FIT records without a position (indoor, GPS dropouts) still carry distance
+        const records = format === 'fit'
+            ? FITDecoder.extract(FITDecoder.decode(buffer)).records
+            : CourseImporter.parse(buffer, fileName).points;
+
+        const timed = records.filter(r => r.time !== undefined && !isNaN(r.time)).sort((a, b) => a.time - b.time);
+        if (timed.length < 2) throw new Error('The ride has no timestamps.');
+        if (!timed.some(r => r.power !== undefined)) throw new Error('The ride has no power data.');
+
+        const start = timed[0].time;
+        return timed.map(r => ({
+            time: (r.time - start) / 1000,
+            lat: r.lat,
+            lon: r.lon,
+            distance: r.distance,
+            power: r.power ?? 0,
+            heartRate: r.heartRate,
+            speed: r.speed
+        }));
+    },
+
+    /**
+     * Distance along the planned route for every sample
+     * Positions are projected onto the route, searching ahead of the last match and
+     * taking the first close approach, so hairpins, out-and-back and lapped courses
+     * stay in order; without positions the recorded distance is stretched to the route length
+     */
+    match(samples, routePoints, totalDistance) {
+        const located = samples.filter(s => s.lat !== undefined && s.lon !== undefined).length;
+
+        if (located < samples.length / 2) {
+            const recorded = samples.map(s => s.distance);
+            if (recorded.every(d => d === undefined)) throw new Error('The ride has neither positions nor distance.');
+            let last = 0;
+            const filled = recorded.map(d => (last = d ?? last));
+            const scale = totalDistance / (filled[filled.length - 1] || 1);
+            return filled.map(d => d * scale);
+        }
+
+        const distances = ElevationCleaner.cumulativeDistances(routePoints);
+        const scale = totalDistance / (distances[distances.length - 1] || 1);
+        const metersPerDegree = CONSTANTS.EARTH_RADIUS * Math.PI / 180;
+
+        let index = 0;
+        let progress = 0;
+        return samples.map(sample => {
+            if (sample.lat === undefined || sample.lon === undefined) return progress;
+
+            const cosLat = Math.cos(sample.lat * Math.PI / 180);
+            let best = { offset: Infinity, distance: progress, index };
+
+            for (let k = index; k < routePoints.length - 1 &&
+                distances[k] - distances[index] <= CONSTANTS.MATCH_SEARCH_WINDOW; k++) {
+                // Project onto the route leg k -> k+1 in a local flat frame (meters)
+                const ax = (routePoints[k].lon - sample.lon) * cosLat * metersPerDegree;
+                const ay = (routePoints[k].lat - sample.lat) * metersPerDegree;
+                const bx = (routePoints[k + 1].lon - sample.lon) * cosLat * metersPerDegree;
+                const by = (routePoints[k + 1].lat - sample.lat) * metersPerDegree;
+                const lengthSq = (bx - ax) ** 2 + (by - ay) ** 2;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSq)) : 0;
+                const offset = Math.hypot(ax + t * (bx - ax), ay + t * (by - ay));
+                const distance = (distances[k] + t * (distances[k + 1] - distances[k])) * scale;
+
+                // Behind the rider, e.g. the outbound side of an out-and-back
+                if (distance < progress - CONSTANTS.MATCH_BACKTRACK) continue;
+
+                if (offset <= CONSTANTS.MATCH_MAX_OFFSET && offset < best.offset) {
+                    best = { offset, distance, index: k };
+                } else if (best.offset <= CONSTANTS.MATCH_MAX_OFFSET &&
+                    offset > best.offset + CONSTANTS.MATCH_MAX_OFFSET / 2) {
+                    // Past the first close approach; a later pass of the same road is not this one
+                    break;
+                }
+            }
+
+            // Off course (warm-up, detour): hold position until the rider rejoins
+            if (best.offset <= CONSTANTS.MATCH_MAX_OFFSET) {
+                index = best.index;
+                progress = Math.max(progress, best.distance);
+            }
+            return progress;
+        });
+    },
+
+    /**
+     * Compare a ride against the plan segment by segment
+     * Returns { rows, planned, actual (metrics over the ridden part), losses, coverage, timeDelta }
+     */
+    analyze(samples, routeDistance, plan, params) {
+        // Cumulative work, heart-beat time, stopped time at each sample
+        // A sample's power covers the interval since the previous sample
+        const work = [0];
+        const beats = [0];
+        const heartTime = [0];
+        const stopped = [0];
+        for (let i = 1; i < samples.length; i++) {
+            const dt = samples[i].time - samples[i - 1].time;
+            const moved = routeDistance[i] - routeDistance[i - 1];
+            const speed = samples[i].speed ?? moved / (dt || 1);
+            const hr = samples[i].heartRate;
+
+            work.push(work[i - 1] + samples[i].power * dt);
+            beats.push(beats[i - 1] + (hr !== undefined ? hr * dt : 0));
+            heartTime.push(heartTime[i - 1] + (hr !== undefined ? dt : 0));
+            stopped.push(stopped[i - 1] + (speed < CONSTANTS.STOPPED_SPEED ? dt : 0));
+        }
+
+        // Time the rider first reached a route distance, and the cumulative streams there
+        let cursor = 0;
+        const crossing = distance => {
+            while (cursor < samples.length && routeDistance[cursor] < distance) cursor++;
+            if (cursor >= samples.length) return null;
+            if (cursor === 0) return { i: 0, f: 0 };
+
+            const span = routeDistance[cursor] - routeDistance[cursor - 1];
+            return { i: cursor, f: span > 0 ? (distance - routeDistance[cursor - 1]) / span : 1 };
+        };
+        const at = (series, c) => c.i === 0 ? series[0] : series[c.i - 1] + c.f * (series[c.i] - series[c.i - 1]);
+
+        // The ride starts when the rider leaves the start line, not when the file starts
+        const times = samples.map(s => s.time);
+        const rows = [];
+        const departure = routeDistance.findIndex(d => d > 0);
+        if (departure > 0) cursor = departure;
+        let previous = departure > 0 ? { i: departure, f: 0 } : crossing(0);
+
+        plan.forEach(seg => {
+            const next = previous && crossing(seg.cumulativeDistance);
+            if (!previous || !next) {
+                rows.push({ ...seg, ridden: false });
+                previous = next;
+                return;
+            }
+
+            const time = at(times, next) - at(times, previous);
+            const heartSpan = at(heartTime, next) - at(heartTime, previous);
+            rows.push({
+                ...seg,
+                ridden: time > 0,
+                actualTime: time,
+                actualPower: time > 0 ? (at(work, next) - at(work, previous)) / time : 0,
+                actualSpeed: time > 0 ? seg.distance / time : 0,
+                heartRate: heartSpan > 0 ? (at(beats, next) - at(beats, previous)) / heartSpan : undefined,
+                stoppedTime: at(stopped, next) - at(stopped, previous),
+                timeDelta: time - seg.time
+            });
+            previous = next;
+        });
+
+        const ridden = rows.filter(r => r.ridden);
+        if (ridden.length === 0) throw new Error('The ride does not follow the planned route.');
+
+        // Same metrics as the optimizer, over the part of the route that was ridden
+        const planned = PowerOptimizer.summarize(ridden.map(r => ({ ...r })), params);
+        const actualSegments = ridden.map(r => ({ ...r, optimizedPower: r.actualPower, time: r.actualTime }));
+        const actual = PowerOptimizer.summarize(actualSegments, params);
+        ridden.forEach((r, i) => {
+            r.actualWBalance = actualSegments[i].wBalance;
+        });
+
+        let cumulative = 0;
+        rows.forEach(r => {
+            if (r.ridden) cumulative += r.timeDelta;
+            r.cumulativeDelta = cumulative;
+        });
+
+        return {
+            rows,
+            planned,
+            actual,
+            losses: this.losses(rows),
+            coverage: ridden.reduce((sum, r) => sum + r.distance, 0) / plan.reduce((sum, s) => sum + s.distance, 0),
+            timeDelta: cumulative
+        };
+    },
+
+    /**
+     * Stretches of consecutive segments where time was lost, biggest first, with a likely cause
+     */
+    losses(rows) {
+        const zones = [];
+        let zone = null;
+
+        rows.forEach(r => {
+            if (r.ridden && r.timeDelta > 0) {
+                if (!zone) {
+                    zone = {
+                        start: r.cumulativeDistance - r.distance,
+                        timeLost: 0,
+                        plannedTime: 0,
+                        plannedWork: 0,
+                        actualTime: 0,
+                        actualWork: 0,
+                        stoppedTime: 0
+                    };
+                    zones.push(zone);
+                }
+                zone.end = r.cumulativeDistance;
+                zone.timeLost += r.timeDelta;
+                zone.plannedTime += r.time;
+                zone.plannedWork += r.optimizedPower * r.time;
+                zone.actualTime += r.actualTime;
+                zone.actualWork += r.actualPower * r.actualTime;
+                zone.stoppedTime += r.stoppedTime;
+            } else {
+                zone = null;
+            }
+        });
+
+        return zones
+            .filter(z => z.timeLost >= CONSTANTS.ANALYSIS_MIN_LOSS)
+            .sort((a, b) => b.timeLost - a.timeLost)
+            .slice(0, CONSTANTS.ANALYSIS_MAX_LOSSES)
+            .map(z => {
+                const plannedPower = z.plannedWork / z.plannedTime;
+                const actualPower = z.actualWork / z.actualTime;
+
+                let reason;
+                if (z.stoppedTime >= Math.max(CONSTANTS.ANALYSIS_MIN_LOSS, z.timeLost / 2)) {
+                    reason = `Stopped ${Math.round(z.stoppedTime)} s`;
+                } else if (actualPower < plannedPower * (1 - CONSTANTS.INTERVAL_POWER_TOLERANCE)) {
+                    reason = 'Below target power';
+                } else {
+                    reason = 'Slower at target power (wind, position or surface)';
+                }
+
+                return { start: z.start, end: z.end, timeLost: z.timeLost, plannedPower, actualPower, reason };
+            });
+    }
+};
+
+// ============================================
+// Field Test Module (CdA / Crr estimation)
+// ============================================
+
+const FieldTest = {
+    /**
+     * Read a test ride into { samples, laps }
+     * samples: [{ time (s), power, speed (m/s), ele }]; laps: [{ start, end }] in seconds,
+     * the whole ride as one lap when the file has none
+     */
+    load(buffer, fileName) {
+        const format = CourseImporter.detect(new Uint8Array(buffer), fileName);
+        let records;
+        let laps;
+        if (format === 'fit') {
+            ({ records, laps } = FITDecoder.extract(FITDecoder.decode(buffer)));
+        } else {
+            ({ points: records, laps } = CourseImporter.parse(buffer, fileName));
+        }
+
+        const timed = records.filter(r => r.time !== undefined && !isNaN(r.time)).sort((a, b) => a.time - b.time);
+        if (timed.length < 2) throw new Error('The ride has no timestamps.');
+        if (!timed.some(r => r.power !== undefined)) throw new Error('The ride has no power data.');
+        if (!timed.some(r => r.ele)) throw new Error('The ride has no elevation data.');
+
+        // Speed from the sensor when recorded, otherwise from distance or position changes
+        const start = timed[0].time;
+        const samples = timed.map((r, i) => {
+            let speed = r.speed;
+            if (speed === undefined && i > 0) {
+                const previous = timed[i - 1];
+                const dt = (r.time - previous.time) / 1000;
+                const moved = r.distance !== undefined && previous.distance !== undefined
+                    ? r.distance - previous.distance
+                    : GPXParser.haversineDistance(previous.lat, previous.lon, r.lat, r.lon);
+                speed = dt > 0 ? moved / dt : 0;
+            }
+            return { time: (r.time - start) / 1000, power: r.power ?? 0, speed: speed || 0, ele: r.ele };
+        });
+
+        const end = samples[samples.length - 1].time;
+        const fileLaps = (laps || [])
+            .map(lap => ({ start: (lap.start - start) / 1000, end: (lap.end - start) / 1000 }))
+            .filter(lap => lap.end > 0 && lap.start < end);
+
+        return { samples, laps: fileLaps.length > 0 ? fileLaps : [{ start: 0, end }] };
+    },
+
+    /**
+     * Chung virtual-elevation fit of CdA and Crr
+     * Each interval's energy balance gives the height the rider must have gained:
+     *   m·g·Δh = P·(1 - ε)·dt - ½·m_eff·Δ(v²) - Crr·(rolling per unit Crr) - CdA·(drag per unit CdA)
+     * with the resistances taken from PhysicsEngine.resistivePower (calm air assumed).
+     * Virtual elevation is linear in CdA and Crr, so matching it to the recorded elevation
+     * is an ordinary least-squares problem. Intervals outside the selected laps, below
+     * FIELD_MIN_SPEED, after long gaps or while braking are dropped; each kept stretch
+     * restarts from its recorded elevation.
+     * options: { laps: [{ start, end }], excludeBraking, totalMass, drivetrainLoss?, conditions }
+     * Returns { cda, crr, cdaError, crrError (95% half-widths), rmse, duration (s fitted), braking, trace }
+     */
+    estimate(samples, options) {
+        const { laps, excludeBraking, totalMass, conditions } = options;
+        const drivetrainLoss = PhysicsEngine.drivetrainLoss(options);
+        const mg = totalMass * CONSTANTS.GRAVITY;
+        const effectiveMass = totalMass + CONSTANTS.WHEEL_INERTIA / CONSTANTS.WHEEL_RADIUS ** 2;
+        const braking = excludeBraking ? this.brakingMask(samples) : samples.map(() => false);
+        const inLap = time => laps.some(lap => time > lap.start && time <= lap.end);
+        // The entered temperature was measured at the test site
+        const refElevation = samples[0].ele;
+
+        // Cumulative terms per kept interval: y = -Crr·B - CdA·C
+        const rows = [];
+        let stretch = null;
+        let brakingTime = 0;
+        let duration = 0;
+
+        for (let i = 1; i < samples.length; i++) {
+            const a = samples[i - 1];
+            const b = samples[i];
+            const dt = b.time - a.time;
+            const speed = (a.speed + b.speed) / 2;
+
+            if (braking[i] && inLap(b.time)) brakingTime += dt;
+            const keep = dt > 0 && dt <= CONSTANTS.FIELD_MAX_GAP && inLap(b.time) && !braking[i] &&
+                Math.min(a.speed, b.speed) >= CONSTANTS.FIELD_MIN_SPEED;
+            if (!keep) {
+                stretch = null;
+                continue;
+            }
+            if (!stretch) stretch = { startEle: a.ele, A: 0, B: 0, C: 0 };
+            duration += dt;
+
+            const airDensity = PhysicsEngine.airDensity(b.ele, conditions, refElevation);
+            const unit = { totalMass, airDensity };
+            const rolling = PhysicsEngine.resistivePower(speed, 0, 0, { ...unit, cda: 0, crr: 1 }) * dt;
+            const drag = PhysicsEngine.resistivePower(speed, 0, 0, { ...unit, cda: 1, crr: 0 }) * dt;
+            const energy = b.power * (1 - drivetrainLoss) * dt -
+                0.5 * effectiveMass * (b.speed ** 2 - a.speed ** 2);
+
+            stretch.A += energy / mg;
+            stretch.B += rolling / mg;
+            stretch.C += drag / mg;
+            rows.push({
+                time: b.time,
+                ele: b.ele,
+                startEle: stretch.startEle,
+                y: b.ele - stretch.startEle - stretch.A,
+                A: stretch.A,
+                B: stretch.B,
+                C: stretch.C
+            });
+        }
+
+        if (rows.length < CONSTANTS.FIELD_MIN_SAMPLES) {
+            throw new Error('Not enough usable data in the selected laps.');
+        }
+
+        // Normal equations for [Crr, CdA] with regressors -B and -C
+        let sBB = 0, sBC = 0, sCC = 0, sBy = 0, sCy = 0;
+        rows.forEach(({ B, C, y }) => {
+            sBB += B * B;
+            sBC += B * C;
+            sCC += C * C;
+            sBy -= B * y;
+            sCy -= C * y;
+        });
+
+        const det = sBB * sCC - sBC * sBC;
+        // Near-collinear drag and rolling terms: everything was ridden at one speed
+        if (det <= 1e-9 * sBB * sCC) {
+            throw new Error('Speeds are too uniform to separate CdA from Crr; ride the laps at two or more speeds.');
+        }
+
+        const crr = (sCC * sBy - sBC * sCy) / det;
+        const cda = (sBB * sCy - sBC * sBy) / det;
+
+        let rss = 0;
+        const trace = rows.map(r => {
+            const virtual = r.startEle + r.A - crr * r.B - cda * r.C;
+            rss += (r.ele - virtual) ** 2;
+            return { time: r.time, ele: r.ele, virtual };
+        });
+
+        // Standard errors assume independent residuals; consecutive samples are
+        // correlated, so treat the intervals as a lower bound on the uncertainty
+        const variance = rss / (rows.length - 2);
+        const z = 1.96;
+
+        return {
+            cda,
+            crr,
+            cdaError: z * Math.sqrt(variance * sBB / det),
+            crrError: z * Math.sqrt(variance * sCC / det),
+            rmse: Math.sqrt(rss / rows.length),
+            duration,
+            braking: brakingTime,
+            trace
+        };
+    },
+
+    /**
+     * Samples while braking: hard deceleration without pedalling, padded by a couple of
+     * seconds either side because riders brake before and after the recorded drop
+     */
+    brakingMask(samples) {
+        const braking = samples.map((s, i) => {
+            if (i === 0) return false;
+            const dt = s.time - samples[i - 1].time;
+            const decel = dt > 0 ? (samples[i - 1].speed - s.speed) / dt : 0;
+            return s.power < CONSTANTS.FIELD_COAST_POWER && decel > CONSTANTS.FIELD_BRAKE_DECEL;
+        });
+
+        const brakeTimes = samples.filter((_, i) => braking[i]).map(s => s.time);
+        let next = 0;
+        return samples.map(s => {
+            while (next < brakeTimes.length && brakeTimes[next] < s.time - CONSTANTS.FIELD_BRAKE_MARGIN) next++;
+            return next < brakeTimes.length && brakeTimes[next] <= s.time + CONSTANTS.FIELD_BRAKE_MARGIN;
+        });
+    }
+};
+
+// ============================================
+// Plan Export Module
+// ============================================
+
+const PlanExporter = {
+    FORMATS: {
+        gpx: { extension: 'gpx', mime: 'application/gpx+xml' },
+        tcx: { extension: 'tcx', mime: 'application/vnd.garmin.tcx+xml' },
+        fit: { extension: 'fit', mime: 'application/vnd.ant.fit' },
+        zwo: { extension: 'zwo', mime: 'application/xml' },
+        erg: { extension: 'erg', mime: 'text/plain' },
+        mrc: { extension: 'mrc', mime: 'text/plain' },
+        csv: { extension: 'csv', mime: 'text/csv' }
+    },
+
+    /**
+     * When the race starts: startTime (s after midnight) on raceDate ('yyyy-mm-dd', today when
+     * empty), race-local to utcOffset (s); without an offset the local timezone is assumed
+     */
+    startDate(raceDate, startTime, utcOffset = null) {
+        if (utcOffset === null) {
+            const day = raceDate ? new Date(`${raceDate}T00:00`) : new Date();
+            day.setHours(0, 0, 0, 0);
+            return new Date(day.getTime() + startTime * 1000);
+        }
+
+        const dayMs = 86400000;
+        const day = raceDate
+            ? Date.parse(`${raceDate}T00:00Z`)
+            : Math.floor((Date.now() + utcOffset * 1000) / dayMs) * dayMs;
+        return new Date(day + (startTime - utcOffset) * 1000);
+    },
+
+    /**
+     * Export an optimized plan in one of FORMATS
+     * plan: { name, segments (optimized), points (cleaned route), params, start (Date), intervals? }
+     * Intervals default to merging the segments; pass simplified blocks to export those instead
+     * Returns { content (string | Uint8Array), fileName, mime }
+     */
+    export(format, plan) {
+        const intervals = plan.intervals || this.intervals(plan.segments, plan.params.ftp);
+        const builders = {
+            gpx: () => this.toGPX(plan, intervals),
+            tcx: () => this.toTCX(plan, intervals),
+            fit: () => this.toFIT(plan, intervals),
+            zwo: () => this.toZWO(plan, intervals),
+            erg: () => this.toERG(plan, intervals, 'erg'),
+            mrc: () => this.toERG(plan, intervals, 'mrc'),
+            csv: () => this.toCSV(plan, intervals)
+        };
+
+        const { extension, mime } = this.FORMATS[format];
+        const baseName = plan.name.replace(/[^\w\-. ]+/g, '').trim().replace(/\s+/g, '_') || 'plan';
+        return { content: builders[format](), fileName: `${baseName}_pacing.${extension}`, mime };
+    },
+
+    /**
+     * Merge segments into distance-based intervals at a steady target power
+     * Consecutive segments join while within INTERVAL_POWER_TOLERANCE of the running
+     * average; intervals shorter than INTERVAL_MIN_LENGTH are absorbed by the neighbour
+     * closest in power. Returns [{ start, end, distance, duration, elapsed, power, first, last }]
+     */
+    intervals(segments, ftp) {
+        const tolerance = CONSTANTS.INTERVAL_POWER_TOLERANCE * ftp;
+        const merge = (a, b) => ({
+            start: a.start,
+            end: b.end,
+            distance: a.distance + b.distance,
+            duration: a.duration + b.duration,
+            elapsed: a.elapsed,
+            power: (a.power * a.duration + b.power * b.duration) / (a.duration + b.duration),
+            first: a.first,
+            last: b.last
+        });
+
+        let intervals = [];
+        segments.forEach((seg, i) => {
+            const interval = {
+                start: seg.cumulativeDistance - seg.distance,
+                end: seg.cumulativeDistance,
+                distance: seg.distance,
+                duration: seg.time,
+                elapsed: seg.elapsedTime - seg.time,
+                power: seg.optimizedPower,
+                first: i,
+                last: i
+            };
+            const current = intervals[intervals.length - 1];
+            if (current && Math.abs(seg.optimizedPower - current.power) <= tolerance) {
+                intervals[intervals.length - 1] = merge(current, interval);
+            } else {
+                intervals.push(interval);
+            }
+        });
+
+        // Absorb short intervals, shortest first
+        while (intervals.length > 1) {
+            let shortest = -1;
+            intervals.forEach((interval, i) => {
+                if (interval.distance < CONSTANTS.INTERVAL_MIN_LENGTH &&
+                    (shortest < 0 || interval.distance < intervals[shortest].distance)) {
+                    shortest = i;
+                }
+            });
+            if (shortest < 0) break;
+
+            const interval = intervals[shortest];
+            const before = intervals[shortest - 1];
+            const after = intervals[shortest + 1];
+            const intoBefore = before && (!after ||
+                Math.abs(before.power - interval.power) <= Math.abs(after.power - interval.power));
+
+            if (intoBefore) {
+                intervals.splice(shortest - 1, 2, merge(before, interval));
+            } else {
+                intervals.splice(shortest, 2, merge(interval, after));
+            }
+        }
+
+        // Round targets and join neighbours that end up with the same one
+        intervals = intervals.map(interval => ({
+            ...interval,
+            power: Math.round(interval.power / CONSTANTS.POWER_TARGET_STEP) * CONSTANTS.POWER_TARGET_STEP
+        }));
+        return intervals.reduce((merged, interval) => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.power === interval.power) {
+                merged[merged.length - 1] = { ...merge(previous, interval), power: interval.power };
+            } else {
+                merged.push(interval);
+            }
+            return merged;
+        }, []);
+    },
+
+    /**
+     * Human-readable interval label, e.g. "km 12.3–15.8: 265 W"
+     */
+    label(interval) {
+        return `km ${(interval.start / 1000).toFixed(1)}–${(interval.end / 1000).toFixed(1)}: ${interval.power} W`;
+    },
+
+    /**
+     * Interval covering a distance along the route
+     */
+    intervalAt(intervals, distance) {
+        return intervals.find(interval => distance < interval.end) || intervals[intervals.length - 1];
+    },
+
+    /**
+     * Route points with distance, planned elapsed time and target power
+     * Elapsed time is interpolated inside each segment by distance
+     */
+    coursePoints(plan, intervals) {
+        const { points, segments } = plan;
+        const distances = ElevationCleaner.cumulativeDistances(points);
+        const scale = segments[segments.length - 1].cumulativeDistance / (distances[distances.length - 1] || 1);
+        let s = 0;
+
+        return points.map((p, i) => {
+            const distance = distances[i] * scale;
+            while (s < segments.length - 1 && segments[s].cumulativeDistance < distance) s++;
+
+            const seg = segments[s];
+            const into = Math.max(0, Math.min(1, 1 - (seg.cumulativeDistance - distance) / seg.distance));
+            return {
+                lat: p.lat,
+                lon: p.lon,
+                ele: p.ele,
+                distance,
+                elapsed: seg.elapsedTime - seg.time + into * seg.time,
+                power: this.intervalAt(intervals, distance).power
+            };
+        });
+    },
+
+    escapeXML(text) {
+        return String(text).replace(/[<>&"']/g, c => ({
+            '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+        })[c]);
+    },
+
+    isoTime(start, elapsed) {
+        return new Date(start.getTime() + Math.round(elapsed) * 1000).toISOString().replace('.000Z', 'Z');
+    },
+
+    /**
+     * GPX course: planned times on every point (virtual partner), target power in
+     * <extensions><power>, and a waypoint at the start of each interval
+     */
+    toGPX(plan, intervals) {
+        const points = this.coursePoints(plan, intervals);
+        const name = this.escapeXML(plan.name);
+
+        const waypoints = intervals.map(interval => {
+            const p = points.find(point => point.distance >= interval.start) || points[0];
+            return `  <wpt lat="${p.lat.toFixed(6)}" lon="${p.lon.toFixed(6)}">
+    <name>${interval.power} W</name>
+    <desc>${this.escapeXML(this.label(interval))}</desc>
+  </wpt>`;
+        });
+
+        const trackpoints = points.map(p => `      <trkpt lat="${p.lat.toFixed(6)}" lon="${p.lon.toFixed(6)}">
+        <ele>${p.ele.toFixed(1)}</ele>
+        <time>${this.isoTime(plan.start, p.elapsed)}</time>
+        <extensions><power>${p.power}</power></extensions>
+      </trkpt>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Bike Power Optimizer" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${name}</name></metadata>
+${waypoints.join('\n')}
+  <trk>
+    <name>${name}</name>
+    <trkseg>
+${trackpoints.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+    },
+
+    /**
+     * TCX course: trackpoints with planned time and Watts, a course point per interval
+     */
+    toTCX(plan, intervals) {
+        const points = this.coursePoints(plan, intervals);
+        const total = points[points.length - 1];
+        // TCX course names are limited to 15 characters
+        const name = this.escapeXML(plan.name.slice(0, 15));
+
+        const trackpoints = points.map(p => `          <Trackpoint>
+            <Time>${this.isoTime(plan.start, p.elapsed)}</Time>
+            <Position><LatitudeDegrees>${p.lat.toFixed(6)}</LatitudeDegrees><LongitudeDegrees>${p.lon.toFixed(6)}</LongitudeDegrees></Position>
+            <AltitudeMeters>${p.ele.toFixed(1)}</AltitudeMeters>
+            <DistanceMeters>${p.distance.toFixed(1)}</DistanceMeters>
+            <Extensions><TPX xmlns="http://www.garmin.com/xmlschemas/ActivityExtension/v2"><Watts>${p.power}</Watts></TPX></Extensions>
+          </Trackpoint>`);
+
+        const coursePoints = intervals.map(interval => {
+            const p = points.find(point => point.distance >= interval.start) || points[0];
+            return `        <CoursePoint>
+          <Name>${interval.power} W</Name>
+          <Time>${this.isoTime(plan.start, p.elapsed)}</Time>
+          <Position><LatitudeDegrees>${p.lat.toFixed(6)}</LatitudeDegrees><LongitudeDegrees>${p.lon.toFixed(6)}</LongitudeDegrees></Position>
+          <PointType>Generic</PointType>
+          <Notes>${this.escapeXML(this.label(interval))}</Notes>
+        </CoursePoint>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Courses>
+    <Course>
+      <Name>${name}</Name>
+      <Lap>
+        <TotalTimeSeconds>${Math.round(total.elapsed)}</TotalTimeSeconds>
+        <DistanceMeters>${total.distance.toFixed(1)}</DistanceMeters>
+        <BeginPosition><LatitudeDegrees>${points[0].lat.toFixed(6)}</LatitudeDegrees><LongitudeDegrees>${points[0].lon.toFixed(6)}</LongitudeDegrees></BeginPosition>
+        <EndPosition><LatitudeDegrees>${total.lat.toFixed(6)}</LatitudeDegrees><LongitudeDegrees>${total.lon.toFixed(6)}</LongitudeDegrees></EndPosition>
+        <Intensity>Active</Intensity>
+      </Lap>
+      <Track>
+${trackpoints.join('\n')}
+      </Track>
+${coursePoints.join('\n')}
+    </Course>
+  </Courses>
+</TrainingCenterDatabase>
+`;
+    },
+
+    /**
+     * FIT workout for head units: one distance-based step per interval with a power range
+     */
+    toFIT(plan, intervals) {
+        const range = CONSTANTS.POWER_TARGET_RANGE;
+        // Custom power targets are offset by 1000 (0-1000 is reserved for % FTP)
+        const watts = w => Math.max(0, Math.round(w)) + 1000;
+        const created = Math.round(Date.now() / 1000) - FITDecoder.EPOCH_OFFSET;
+
+        const messages = [
+            {
+                global: 0, // file_id
+                fields: [
+                    { number: 0, type: 'enum', value: 5 }, // workout
+                    { number: 1, type: 'uint16', value: 255 }, // development
+                    { number: 2, type: 'uint16', value: 0 },
+                    { number: 3, type: 'uint32z', value: 1 },
+                    { number: 4, type: 'uint32', value: created }
+                ]
+            },
+            {
+                global: 26, // workout
+                fields: [
+                    { number: 4, type: 'enum', value: 2 }, // cycling
+                    { number: 6, type: 'uint16', value: intervals.length },
+                    { number: 8, type: 'string', value: plan.name, size: 32 }
+                ]
+            },
+            ...intervals.map((interval, i) => ({
+                global: 27, // workout_step
+                fields: [
+                    { number: 254, type: 'uint16', value: i },
+                    { number: 0, type: 'string', value: this.label(interval).replace('–', '-'), size: 32 },
+                    { number: 1, type: 'enum', value: 1 }, // duration: distance
+                    { number: 2, type: 'uint32', value: Math.round(interval.distance * 100) },
+                    { number: 3, type: 'enum', value: 4 }, // target: power
+                    { number: 4, type: 'uint32', value: 0 }, // custom range
+                    { number: 5, type: 'uint32', value: watts(interval.power - range) },
+                    { number: 6, type: 'uint32', value: watts(interval.power + range) },
+                    { number: 7, type: 'enum', value: 0 } // active
+                ]
+            }))
+        ];
+
+        return FITEncoder.encode(messages);
+    },
+
+    /**
+     * Zwift workout: one steady-state block per interval at its planned duration
+     */
+    toZWO(plan, intervals) {
+        const ftp = plan.params.ftp;
+        const blocks = intervals.map(interval => `    <SteadyState Duration="${Math.round(interval.duration)}" Power="${(interval.power / ftp).toFixed(3)}">
+      <textevent timeoffset="0" message="${this.escapeXML(this.label(interval))}"/>
+    </SteadyState>`);
+
+        return `<workout_file>
+  <author>Bike Power Optimizer</author>
+  <name>${this.escapeXML(plan.name)}</name>
+  <description>Race pacing plan at FTP ${ftp} W. Durations are the planned outdoor times.</description>
+  <sportType>bike</sportType>
+  <tags/>
+  <workout>
+${blocks.join('\n')}
+  </workout>
+</workout_file>
+`;
+    },
+
+    /**
+     * ERG (absolute watts) or MRC (% FTP) trainer file with square steps
+     */
+    toERG(plan, intervals, kind) {
+        const ftp = plan.params.ftp;
+        const value = interval => kind === 'erg' ? interval.power : (interval.power / ftp * 100).toFixed(1);
+        const rows = intervals.flatMap(interval => [
+            `${(interval.elapsed / 60).toFixed(2)}\t${value(interval)}`,
+            `${((interval.elapsed + interval.duration) / 60).toFixed(2)}\t${value(interval)}`
+        ]);
+
+        return [
+            '[COURSE HEADER]',
+            'VERSION = 2',
+            'UNITS = ENGLISH',
+            `DESCRIPTION = ${plan.name} pacing plan`,
+            `FILE NAME = ${plan.name}`,
+            ...(kind === 'erg' ? [`FTP = ${ftp}`, 'MINUTES WATTS'] : ['MINUTES PERCENT']),
+            '[END COURSE HEADER]',
+            '[COURSE DATA]',
+            ...rows,
+            '[END COURSE DATA]',
+            ''
+        ].join('\r\n');
+    },
+
+    /**
+     * CSV with one row per segment and the interval it belongs to
+     */
+    toCSV(plan, intervals) {
+        const header = [
+            'segment', 'start_km', 'end_km', 'distance_m', 'elevation_m', 'gradient_pct', 'power_w',
+            'target_w', 'speed_kmh', 'time_s', 'elapsed_s', 'clock', 'headwind_kmh', 'wbal_kj', 'interval'
+        ];
+
+        const rows = plan.segments.map((seg, i) => {
+            const interval = intervals.find(iv => i >= iv.first && i <= iv.last);
+            return [
+                i + 1,
+                ((seg.cumulativeDistance - seg.distance) / 1000).toFixed(3),
+                (seg.cumulativeDistance / 1000).toFixed(3),
+                seg.distance.toFixed(1),
+                seg.elevation.toFixed(1),
+                (seg.gradient * 100).toFixed(2),
+                Math.round(seg.optimizedPower),
+                interval.power,
+                (seg.speed * 3.6).toFixed(2),
+                seg.time.toFixed(1),
+                seg.elapsedTime.toFixed(1),
+                seg.clockTime !== undefined ? WindField.formatClock(seg.clockTime) : '',
+                (seg.headwind * 3.6).toFixed(1),
+                seg.wBalance !== undefined ? (seg.wBalance / 1000).toFixed(2) : '',
+                `"${this.label(interval)}"`
+            ].join(',');
+        });
+
+        return [header.join(','), ...rows].join('\n') + '\n';
+    }
+};
+
+// ============================================
+// Monte Carlo Uncertainty Module
+// ============================================
+
+const MonteCarlo = {
+    // Inputs that can be sampled, with their tornado chart labels
+    INPUTS: {
+        windSpeed: 'Wind speed',
+        windDirection: 'Wind direction',
+        cda: 'CdA',
+        crr: 'Crr',
+        ftp: 'FTP on the day',
+        elevation: 'Elevation'
+    },
+
+    /**
+     * Re-optimise the course under sampled conditions
+     * spread holds one standard deviation per input: windSpeed (km/h), windDirection (°),
+     * cda, crr and ftp (% of value), elevation (m on the highest point, relative to the lowest)
+     * The rider re-paces for the wind, kit and road they meet and for the FTP (and CP, which
+     * moves with it) they actually have on the day
+     * options: { spread, runs, threshold (% of W'), seed }; onProgress(done, total)
+     * Returns { nominal, times (sorted), percentiles, wprimeRisk, tornado }
+     */
+    run(segments, params, options, onProgress = () => {}) {
+        const { spread, runs, threshold } = options;
+        const random = this.random(options.seed ?? CONSTANTS.MONTE_CARLO_SEED);
+        const keys = Object.keys(this.INPUTS).filter(key => spread[key] > 0);
+        const total = 1 + runs + 2 * keys.length;
+        let done = 0;
+
+        const ride = draw => {
+            const outcome = this.ride(segments, params, spread, draw);
+            onProgress(++done, total);
+            return outcome;
+        };
+
+        const nominal = ride({});
+
+        const outcomes = [];
+        for (let i = 0; i < runs; i++) {
+            const draw = {};
+            keys.forEach(key => { draw[key] = this.normal(random); });
+            outcomes.push(ride(draw));
+        }
+
+        // One input at a time at -1σ and +1σ, everything else nominal
+        const tornado = keys.map(key => {
+            const low = ride({ [key]: -1 }).time - nominal.time;
+            const high = ride({ [key]: 1 }).time - nominal.time;
+            return { key, label: this.INPUTS[key], low, high, swing: Math.abs(high - low) };
+        }).sort((a, b) => b.swing - a.swing);
+
+        const times = outcomes.map(o => o.time).sort((a, b) => a - b);
+        const atRisk = outcomes.filter(o => o.wprimePercent < threshold).length;
+
+        return {
+            nominal,
+            times,
+            percentiles: {
+                p10: this.percentile(times, 10),
+                p50: this.percentile(times, 50),
+                p90: this.percentile(times, 90)
+            },
+            wprimeRisk: runs > 0 ? atRisk / runs : 0,
+            tornado
+        };
+    },
+
+    /**
+     * Optimise one sampled world; draw holds standard normal scores per input (missing = 0)
+     * Returns { time (s), wprimePercent (lowest W' balance as % of W') }
+     */
+    ride(segments, params, spread, draw) {
+        const z = key => (draw[key] ?? 0) * (spread[key] ?? 0);
+        const factor = key => Math.max(CONSTANTS.MONTE_CARLO_MIN_FACTOR, 1 + z(key) / 100);
+
+        const windShift = wind => ({
+            ...wind,
+            speed: Math.max(0, wind.speed + z('windSpeed')),
+            gust: Math.max(0, (wind.gust ?? wind.speed) + z('windSpeed')),
+            direction: ((wind.direction + z('windDirection')) % 360 + 360) % 360
+        });
+
+        const windField = params.windField && {
+            ...params.windField,
+            stations: params.windField.stations.map(station => ({
+                ...station,
+                timeline: station.timeline.map(windShift)
+            }))
+        };
+        const wind = windShift({ speed: params.windSpeed, direction: params.windDirection });
+        const cdaFactor = factor('cda');
+        const ftpFactor = factor('ftp');
+
+        const sampled = {
+            ...params,
+            ftp: params.ftp * ftpFactor,
+            cp: params.cp && params.cp * ftpFactor,
+            windSpeed: wind.speed,
+            windDirection: wind.direction,
+            windField,
+            cda: params.cda * cdaFactor,
+            yawTable: params.yawTable && params.yawTable.map(row => ({ ...row, cda: row.cda * cdaFactor })),
+            crr: params.crr * factor('crr')
+        };
+
+        const result = PowerOptimizer.optimize(this.scaleRelief(segments, z('elevation')), sampled);
+
+        return {
+            time: result.metrics.totalTime,
+            wprimePercent: result.metrics.wprimePercent
+        };
+    },
+
+    /**
+     * Stretch the profile so its highest point moves by error metres relative to its lowest
+     * A systematic barometer or DEM bias scales every climb and descent the same way
+     */
+    scaleRelief(segments, error) {
+        if (!error) return segments;
+
+        const elevations = segments.map(seg => seg.elevation);
+        const low = Math.min(...elevations);
+        const range = Math.max(...elevations) - low;
+        if (range <= 0) return segments;
+
+        const scale = Math.max(0, 1 + error / range);
+        return segments.map(seg => ({
+            ...seg,
+            elevation: low + (seg.elevation - low) * scale,
+            gradient: seg.gradient * scale
+        }));
+    },
+
+    /**
+     * Linear-interpolated percentile of a sorted array
+     */
+    percentile(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const rank = (sorted.length - 1) * p / 100;
+        const i = Math.floor(rank);
+        const next = sorted[Math.min(i + 1, sorted.length - 1)];
+        return sorted[i] + (next - sorted[i]) * (rank - i);
+    },
+
+    /**
+     * Seeded uniform generator on [0, 1) (mulberry32)
+     */
+    random(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = Math.imul(a ^ (a >>> 15), a | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Standard normal score (Box-Muller)
+     */
+    normal(random) {
+        const u = 1 - random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    }
+};
+
+// ============================================
+// Triathlon Module
+// ============================================
+
+const Triathlon = {
+    // Run durability settings: multiplier on the bike-to-run fatigue rate
+    DURABILITY: {
+        low: 1.5,
+        normal: 1,
+        high: 0.67
+    },
+
+    /**
+     * Open (fresh) run time in seconds for a distance (m), by Riegel's law with
+     * threshold pace (s/km) taken as the pace held for one hour
+     */
+    freshRunTime(distance, thresholdPace) {
+        const hourDistance = 3600 / thresholdPace * 1000;
+        return 3600 * Math.pow(distance / hourDistance, CONSTANTS.RIEGEL_EXPONENT);
+    },
+
+    /**
+     * Fraction added to the fresh run time by the bike before it
+     * Grows with bike hours and with IF above a floor squared: TSS counted from that floor
+     */
+    runSlowdown(metrics, race) {
+        const hours = metrics.totalTime / 3600;
+        const excess = Math.max(0, metrics.intensityFactor - CONSTANTS.TRI_FATIGUE_IF_FLOOR);
+        const rate = CONSTANTS.TRI_FATIGUE_RATE * (this.DURABILITY[race.durability] ?? 1);
+        return CONSTANTS.TRI_FATIGUE_BASE + rate * hours * excess * excess;
+    },
+
+    /**
+     * Whole-race prediction for one bike plan's metrics
+     * race: { swimTime (s), transitionTime (s, T1 + T2), runDistance (m), thresholdPace (s/km), durability }
+     * Returns { swimTime, transitionTime, bikeTime, runTime, slowdown, total } in seconds
+     */
+    finish(metrics, race) {
+        const slowdown = this.runSlowdown(metrics, race);
+        const runTime = this.freshRunTime(race.runDistance, race.thresholdPace) * (1 + slowdown);
+
+        return {
+            swimTime: race.swimTime,
+            transitionTime: race.transitionTime,
+            bikeTime: metrics.totalTime,
+            runTime,
+            slowdown,
+            total: race.swimTime + race.transitionTime + metrics.totalTime + runTime
+        };
+    },
+
+    /**
+     * Optimise the bike at each intensity from TRI_MIN_INTENSITY to TRI_MAX_INTENSITY and
+     * predict the finish for each; best is the point with the lowest total
+     * Returns { points: [{ intensity, intensityFactor, tss, ...finish }], best }
+     */
+    sweep(segments, params, race, onProgress = () => {}) {
+        const intensities = [];
+        for (let i = CONSTANTS.TRI_MIN_INTENSITY; i <= CONSTANTS.TRI_MAX_INTENSITY; i += CONSTANTS.TRI_INTENSITY_STEP) {
+            intensities.push(i);
+        }
+
+        const points = intensities.map((intensity, i) => {
+            const { metrics } = PowerOptimizer.optimize(segments, { ...params, targetIntensity: intensity });
+            onProgress(i + 1, intensities.length);
+            return {
+                intensity,
+                intensityFactor: metrics.intensityFactor,
+                tss: metrics.tss,
+                ...this.finish(metrics, race)
+            };
+        });
+
+        const best = points.reduce((a, b) => b.total < a.total ? b : a);
+        return { points, best };
+    }
+};
+
+// ============================================
+// Course Sections Module
+// ============================================
+
+const Sections = {
+    /**
+     * Categorised climbs and descents along the segments, in course order
+     * Road whose trend gradient reaches CLIMB_RUN_GRADIENT forms runs, joined across gaps up to
+     * CLIMB_MAX_GAP and trimmed of level ends; a run counts when long and steep enough and its
+     * score reaches CLIMB_MIN_SCORE (descents are found the same way and never categorised)
+     */
+    detect(segments) {
+        const trend = this.trend(segments);
+        const found = [];
+
+        [['climb', 1], ['descent', -1]].forEach(([kind, sign]) => {
+            this.runs(segments, trend.map(g => sign * g)).forEach(([first, last]) => {
+                while (first < last && sign * segments[first].gradient <= 0) first++;
+                while (last > first && sign * segments[last].gradient <= 0) last--;
+
+                const section = this.section(segments, kind, '', first, last);
+                const gain = sign * section.gain;
+                if (section.length < CONSTANTS.CLIMB_MIN_LENGTH) return;
+                if (gain / section.length < CONSTANTS.CLIMB_MIN_GRADIENT || gain * 100 < CONSTANTS.CLIMB_MIN_SCORE) return;
+
+                if (kind === 'climb') {
+                    section.category = CONSTANTS.CLIMB_CATEGORIES.find(([, score]) => gain * 100 >= score)?.[0] ?? null;
+                }
+                found.push(section);
+            });
+        });
+
+        found.sort((a, b) => a.start - b.start);
+        const counts = { climb: 0, descent: 0 };
+        found.forEach(section => {
+            section.name = `${section.kind === 'climb' ? 'C' : 'D'}${++counts[section.kind]}`;
+        });
+        return found;
+    },
+
+    /**
+     * Profile points: the course start, then every segment end
+     */
+    profile(segments) {
+        const first = segments[0];
+        return {
+            distances: [0, ...segments.map(seg => seg.cumulativeDistance)],
+            elevations: [first ? first.elevation - first.gradient * first.distance : 0,
+                ...segments.map(seg => seg.elevation)]
+        };
+    },
+
+    /**
+     * Gradient over CLIMB_WINDOW of road centred on each segment, so short kicks and
+     * dips do not break up a climb
+     */
+    trend(segments) {
+        const { distances, elevations } = this.profile(segments);
+        const half = CONSTANTS.CLIMB_WINDOW / 2;
+        let from = 0;
+        let to = 0;
+
+        return segments.map((seg, i) => {
+            const middle = distances[i] + seg.distance / 2;
+            while (distances[from + 1] <= middle - half) from++;
+            while (to < distances.length - 1 && distances[to] < middle + half) to++;
+            return (elevations[to] - elevations[from]) / (distances[to] - distances[from]);
+        });
+    },
+
+    /**
+     * Segment index pairs [first, last] of road at CLIMB_RUN_GRADIENT or steeper
+     */
+    runs(segments, grades) {
+        const runs = [];
+
+        grades.forEach((grade, i) => {
+            if (grade < CONSTANTS.CLIMB_RUN_GRADIENT) return;
+
+            const previous = runs[runs.length - 1];
+            const gap = previous ? segments[i - 1].cumulativeDistance - segments[previous[1]].cumulativeDistance : 0;
+            if (previous && gap <= CONSTANTS.CLIMB_MAX_GAP) {
+                previous[1] = i;
+            } else {
+                runs.push([i, i]);
+            }
+        });
+
+        return runs;
+    },
+
+    /**
+     * Parse named segments, one per line: name, start km, end km ('#' starts a comment)
+     * Returns { segments: [{ name, start, end (m) }], errors }
+     */
+    parse(text) {
+        const segments = [];
+        const errors = [];
+
+        text.split('\n').forEach((line, i) => {
+            const content = line.split('#')[0].trim();
+            if (!content) return;
+
+            const fields = content.split(/[,;\t]/).map(f => f.trim());
+            const start = parseFloat(fields[1]);
+            const end = parseFloat(fields[2]);
+            if (fields.length !== 3 || !fields[0] || !(start >= 0) || !(end > start)) {
+                errors.push(`Line ${i + 1}: expected "name, start km, end km" (e.g. "Motovun, 38.2, 44.5")`);
+                return;
+            }
+            segments.push({ name: fields[0], start: start * 1000, end: end * 1000 });
+        });
+
+        return { segments, errors };
+    },
+
+    /**
+     * Sections for named segments, snapped to the nearest segment ends; those off the course are dropped
+     */
+    named(segments, named) {
+        const { distances } = this.profile(segments);
+        const nearest = target => distances.reduce((best, d, i) =>
+            Math.abs(d - target) < Math.abs(distances[best] - target) ? i : best, 0);
+
+        return named
+            .filter(({ start }) => start < distances[distances.length - 1])
+            .map(({ name, start, end }) => [name, nearest(start), nearest(end)])
+            .filter(([, from, to]) => to > from)
+            .map(([name, from, to]) => this.section(segments, 'segment', name, from, to - 1));
+    },
+
+    /**
+     * Section over segments first..last: { kind, name, category, first, last, start, end (m),
+     * length (m), gain (m, negative when descending), avgGradient, maxGradient (steepest
+     * segment in the section's direction) }
+     */
+    section(segments, kind, name, first, last) {
+        const { distances, elevations } = this.profile(segments);
+        const stretch = segments.slice(first, last + 1).map(seg => seg.gradient);
+        const length = distances[last + 1] - distances[first];
+        const gain = elevations[last + 1] - elevations[first];
+
+        return {
+            kind,
+            name,
+            category: null,
+            first,
+            last,
+            start: distances[first],
+            end: distances[last + 1],
+            length,
+            gain,
+            avgGradient: gain / length,
+            maxGradient: kind === 'descent' ? Math.min(...stretch) : Math.max(...stretch)
+        };
+    },
+
+    /**
+     * How a plan (segments with optimizedPower, time and wBalance) rides a section
+     * Returns { power (W, time-weighted), wkg, time (s), vam (m/h), wprimeUsed (J, from entry to the low point) }
+     */
+    ride(section, plan, params) {
+        const stretch = plan.slice(section.first, section.last + 1);
+        const time = stretch.reduce((sum, seg) => sum + seg.time, 0);
+        const power = stretch.reduce((sum, seg) => sum + seg.optimizedPower * seg.time, 0) / time;
+        const entry = plan[section.first - 1]?.wBalance ?? params.wprime;
+
+        return {
+            power,
+            wkg: power / params.riderWeight,
+            time,
+            vam: section.gain / time * 3600,
+            wprimeUsed: Math.max(0, entry - Math.min(...stretch.map(seg => seg.wBalance)))
+        };
+    }
+};
+
+// ============================================
+// Fuelling Module
+// ============================================
+
+const Nutrition = {
+    /**
+     * Parse aid station distances in km, separated by commas, semicolons, spaces or new lines
+     * Returns { distances (m, ascending), errors }
+     */
+    parseStations(text) {
+        const distances = [];
+        const errors = [];
+
+        text.split(/[,;\s]+/).filter(Boolean).forEach(field => {
+            if (!/^\d*\.?\d+$/.test(field)) {
+                errors.push(`"${field}" is not a distance in km.`);
+                return;
+            }
+            distances.push(parseFloat(field) * 1000);
+        });
+
+        return { distances: distances.sort((a, b) => a - b), errors };
+    },
+
+    /**
+     * Distance along the route (m) of every pass by a waypoint lying near it, ascending
+     * Segment ends within STATION_MAX_OFFSET belong to one pass until the route leaves the
+     * radius or comes back round to the waypoint (a hairpin or turnaround: much further along
+     * the route than in a straight line); each pass is placed at its closest end
+     */
+    stationsFromWaypoints(waypoints, segments) {
+        const stations = [];
+        waypoints.forEach(wp => {
+            let pass = null;
+            segments.forEach(seg => {
+                const offset = GPXParser.haversineDistance(wp.lat, wp.lon, seg.endLat, seg.endLon);
+                if (offset > CONSTANTS.STATION_MAX_OFFSET) {
+                    if (pass) stations.push(pass.distance);
+                    pass = null;
+                    return;
+                }
+
+                const returned = pass && seg.cumulativeDistance - pass.distance > CONSTANTS.STATION_PASS_DETOUR *
+                    GPXParser.haversineDistance(pass.lat, pass.lon, seg.endLat, seg.endLon);
+                if (returned) stations.push(pass.distance);
+                if (!pass || returned || offset < pass.offset) {
+                    pass = { offset, distance: seg.cumulativeDistance, lat: seg.endLat, lon: seg.endLon };
+                }
+            });
+            if (pass) stations.push(pass.distance);
+        });
+        return stations.sort((a, b) => a - b);
+    },
+
+    /**
+     * Share of energy burned from carbohydrate at a power; rises with %FTP
+     */
+    carbFraction(power, ftp) {
+        const fraction = CONSTANTS.CARB_FRACTION_AT_HALF_FTP + CONSTANTS.CARB_FRACTION_SLOPE * (power / ftp - 0.5);
+        return Math.max(CONSTANTS.CARB_FRACTION_MIN, Math.min(CONSTANTS.CARB_FRACTION_MAX, fraction));
+    },
+
+    /**
+     * Sweat rate (L/h) for a power: the heat not turned into work, of which sweating sheds a
+     * share growing with air temperature (°C); humid air needs more sweat for the same cooling
+     */
+    sweatRate(power, efficiency, temperature, humidity = 50) {
+        const heat = power * (1 / efficiency - 1);
+        const share = Math.max(CONSTANTS.SWEAT_SHARE_MIN, Math.min(1,
+            CONSTANTS.SWEAT_SHARE_MIN + CONSTANTS.SWEAT_SHARE_PER_DEGREE * (temperature - CONSTANTS.SWEAT_SHARE_FROM)));
+        const humid = 1 + CONSTANTS.SWEAT_HUMIDITY_FACTOR * Math.max(0, humidity - 50) / 50;
+        return heat * 3600 / CONSTANTS.SWEAT_HEAT_PER_LITRE * share * humid;
+    },
+
+    /**
+     * Energy, carbohydrate and fluid plan for planned segments (optimizedPower, time, elapsedTime)
+     * options: { efficiency (gross, 0-1), carbsPerHour (g), fluidPerHour (L, most drunk), sodium (mg/L),
+     *   stations (m along the route) or, without stations, interval (s between feeds) }
+     * Each feed replaces the carbohydrate target and the sweat (up to fluidPerHour) since the last one
+     * Returns { totals: { work (kJ), kcal, carbsBurned, carbsEaten (g), sweat, fluid (L), sodium (mg),
+     *   massLoss (% body mass) }, feeds: [{ distance, elapsed, carbs, fluid, sodium, lat, lon }],
+     *   lowest: { distance, glycogen (g) } }
+     */
+    plan(segments, params, options) {
+        const { efficiency, carbsPerHour, fluidPerHour, sodium, interval, stations } = options;
+        const startElevation = segments[0]?.elevation ?? 0;
+
+        const totals = { work: 0, kcal: 0, carbsBurned: 0, carbsEaten: 0, sweat: 0, fluid: 0, sodium: 0, massLoss: 0 };
+        const feeds = [];
+        let glycogen = CONSTANTS.GLYCOGEN_PER_KG * params.riderWeight;
+        let lowest = { distance: 0, glycogen };
+        let since = { time: 0, sweat: 0 };
+        let nextStation = 0;
+        let nextFeedTime = interval;
+
+        segments.forEach((seg, i) => {
+            const kcal = seg.optimizedPower * seg.time / efficiency / CONSTANTS.JOULES_PER_KCAL;
+            const carbs = kcal * this.carbFraction(seg.optimizedPower, params.ftp) / CONSTANTS.KCAL_PER_G_CARB;
+            const temperature = params.temperature - CONSTANTS.LAPSE_RATE * (seg.elevation - startElevation);
+            const sweat = this.sweatRate(seg.optimizedPower, efficiency, temperature, params.humidity) * seg.time / 3600;
+
+            totals.work += seg.optimizedPower * seg.time / 1000;
+            totals.kcal += kcal;
+            totals.carbsBurned += carbs;
+            totals.sweat += sweat;
+            glycogen -= carbs;
+            since = { time: since.time + seg.time, sweat: since.sweat + sweat };
+
+            const last = i === segments.length - 1;
+            let feedHere = false;
+            if (stations) {
+                while (nextStation < stations.length && stations[nextStation] <= seg.cumulativeDistance) {
+                    feedHere = true;
+                    nextStation++;
+                }
+            } else if (interval > 0) {
+                while (seg.elapsedTime >= nextFeedTime) {
+                    feedHere = true;
+                    nextFeedTime += interval;
+                }
+            }
+
+            if (feedHere && !last) {
+                const feed = {
+                    distance: seg.cumulativeDistance,
+                    elapsed: seg.elapsedTime,
+                    carbs: carbsPerHour * since.time / 3600,
+                    fluid: Math.min(since.sweat, fluidPerHour * since.time / 3600),
+                    lat: seg.endLat,
+                    lon: seg.endLon
+                };
+                feed.sodium = feed.fluid * sodium;
+                feeds.push(feed);
+
+                totals.carbsEaten += feed.carbs;
+                totals.fluid += feed.fluid;
+                totals.sodium += feed.sodium;
+                glycogen += feed.carbs;
+                since = { time: 0, sweat: 0 };
+            }
+
+            if (glycogen < lowest.glycogen) lowest = { distance: seg.cumulativeDistance, glycogen };
+        });
+
+        totals.massLoss = (totals.sweat - totals.fluid) / (params.riderWeight || 1) * 100;
+        return { totals, feeds, lowest };
+    }
+};
+
+// ============================================
+// Scenario Comparison Module
+// ============================================
+
+const Scenarios = {
+    // Plan metrics compared side by side: [key, label, sense] with sense +1 when more is
+    // better, -1 when less is and 0 when neither
+    METRICS: [
+        ['totalTime', 'Time', -1],
+        ['avgSpeed', 'Avg Speed (km/h)', 1],
+        ['avgPower', 'Avg Power (W)', 0],
+        ['normPower', 'Normalized Power (W)', 0],
+        ['intensityFactor', 'Intensity Factor', 0],
+        ['tss', 'TSS', -1],
+        ['wprimePercent', "Min W' Balance (%)", 1]
+    ],
+
+    // Inputs listed when they differ between the compared scenarios: [key, label]
+    INPUTS: [
+        ['ftp', 'FTP (W)'],
+        ['cp', 'CP (W)'],
+        ['riderWeight', 'Rider Weight (kg)'],
+        ['bikeWeight', 'Bike Weight (kg)'],
+        ['cda', 'CdA (m²)'],
+        ['crr', 'Crr'],
+        ['drivetrainLoss', 'Drivetrain Loss'],
+        ['targetIntensity', 'Target Intensity (%)'],
+        ['wprime', "W' (J)"],
+        ['ftpDecay', 'FTP Fade per Hour'],
+        ['pacingConstraint', 'Pacing Constraint'],
+        ['startTime', 'Start Time'],
+        ['windSpeed', 'Wind Speed (km/h)'],
+        ['windDirection', 'Wind Direction (°)'],
+        ['temperature', 'Temperature (°C)']
+    ],
+
+    /**
+     * Named snapshot of one calculation: its inputs (params without the wind field), metrics
+     * and a trace [{ distance (m, segment end), power (W), speed (m/s), elapsed (s) }]
+     */
+    create(name, params, segments, metrics) {
+        const { windField, ...inputs } = params;
+
+        return {
+            name,
+            inputs,
+            metrics: { ...metrics },
+            trace: segments.map(seg => ({
+                distance: seg.cumulativeDistance,
+                power: seg.optimizedPower,
+                speed: seg.speed,
+                elapsed: seg.elapsedTime
+            }))
+        };
+    },
+
+    /**
+     * Compare scenarios against the first one, with traces resampled at the given distances
+     * (m, ascending; defaults to the first scenario's segment ends)
+     * Returns { distances, metrics: [{ key, label, sense, values, deltas }],
+     * inputs: [{ key, label, values }] (only those that differ),
+     * traces: [{ name, power, speed, gap (s behind the first, negative when ahead) }] }
+     */
+    compare(scenarios, distances = scenarios[0]?.trace.map(p => p.distance)) {
+        if (scenarios.length === 0) throw new Error('Nothing to compare.');
+
+        const reference = this.resample(scenarios[0].trace, distances);
+
+        const metrics = this.METRICS.map(([key, label, sense]) => {
+            const values = scenarios.map(s => s.metrics[key]);
+            return { key, label, sense, values, deltas: values.map(v => v - values[0]) };
+        });
+
+        const inputs = this.INPUTS
+            .map(([key, label]) => ({ key, label, values: scenarios.map(s => s.inputs[key]) }))
+            .filter(row => row.values.some(v => v !== row.values[0]));
+
+        const traces = scenarios.map(scenario => {
+            const points = this.resample(scenario.trace, distances);
+            return {
+                name: scenario.name,
+                power: points.map(p => p.power),
+                speed: points.map(p => p.speed),
+                gap: points.map((p, i) => p.elapsed - reference[i].elapsed)
+            };
+        });
+
+        return { distances, metrics, inputs, traces };
+    },
+
+    /**
+     * A trace at other distances (ascending): power and speed of the segment each distance
+     * falls in and the elapsed time there, interpolated within the segment, so plans on
+     * differently cleaned segments still line up
+     */
+    resample(trace, distances) {
+        let i = 0;
+        return distances.map(distance => {
+            while (i < trace.length - 1 && trace[i].distance < distance) i++;
+
+            const end = trace[i];
+            const startDistance = i > 0 ? trace[i - 1].distance : 0;
+            const startElapsed = i > 0 ? trace[i - 1].elapsed : 0;
+            const t = end.distance > startDistance
+                ? Math.max(0, Math.min(1, (distance - startDistance) / (end.distance - startDistance)))
+                : 1;
+
+            return {
+                power: end.power,
+                speed: end.speed,
+                elapsed: startElapsed + t * (end.elapsed - startElapsed)
+            };
+        });
+    }
+};
+
+// ============================================
+// Profiles Module
+// ============================================
+
+const Profiles = {
+    VERSION: 1,
+
+    // Fields saved with each kind of profile, with the form defaults they fall back to
+    FIELDS: {
+        riders: {
+            ftp: 250,
+            cp: null,
+            riderWeight: 75,
+            wprime: 20000,
+            rideMode: 'race',
+            targetIntensity: 85,
+            ftpDecay: 0,
+            powerCurve: '',
+            powerModel: 'table'
+        },
+        equipment: {
+            bikeWeight: 8,
+            cda: 0.32,
+            aeroSetup: 'road',
+            yawTable: null,
+            crr: 0.005,
+            drivetrainLoss: CONSTANTS.DRIVETRAIN_LOSS
+        }
+    },
+
+    /**
+     * Empty library: { riders: [], equipment: [] }, each a list of named profiles
+     */
+    empty() {
+        return { riders: [], equipment: [] };
+    },
+
+    /**
+     * Keep the known fields of one profile, fill gaps with defaults and check the numbers
+     * kind is 'riders' or 'equipment'; throws when the name or a value is unusable
+     */
+    normalize(kind, profile) {
+        const fields = this.FIELDS[kind];
+        const name = typeof profile?.name === 'string' ? profile.name.trim() : '';
+        if (!name) throw new Error('Every profile needs a name.');
+
+        const normalized = { name };
+        Object.entries(fields).forEach(([key, fallback]) => {
+            const value = profile[key];
+
+            if (value === undefined || value === null || value === '') {
+                normalized[key] = fallback;
+            } else if (key === 'yawTable') {
+                normalized[key] = this.yawTable(name, value);
+            } else if (typeof fallback === 'string') {
+                normalized[key] = String(value);
+            } else {
+                const number = Number(value);
+                if (!isFinite(number)) throw new Error(`${name}: ${key} must be a number.`);
+                normalized[key] = number;
+            }
+        });
+
+        return normalized;
+    },
+
+    /**
+     * CdA-vs-yaw rows ([{ yaw, cda }]) with numeric values
+     */
+    yawTable(name, rows) {
+        if (!Array.isArray(rows)) throw new Error(`${name}: yawTable must be a list of { yaw, cda } rows.`);
+
+        return rows.map(row => {
+            const yaw = Number(row?.yaw);
+            const cda = Number(row?.cda);
+            if (!isFinite(yaw) || !isFinite(cda)) {
+                throw new Error(`${name}: yawTable rows need numeric yaw and cda.`);
+            }
+            return { yaw, cda };
+        });
+    },
+
+    /**
+     * Library as JSON for download or storage
+     */
+    serialize(library) {
+        return JSON.stringify({ version: this.VERSION, riders: library.riders, equipment: library.equipment }, null, 2);
+    },
+
+    /**
+     * Read a library from JSON; throws with a readable message on bad input
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Not a profile file (${e.message}).`);
+        }
+
+        if (!data || typeof data !== 'object' || (!Array.isArray(data.riders) && !Array.isArray(data.equipment))) {
+            throw new Error('Not a profile file: expected "riders" and/or "equipment" lists.');
+        }
+        if (data.version > this.VERSION) {
+            throw new Error(`Profile file version ${data.version} is newer than this app supports.`);
+        }
+
+        return {
+            riders: (data.riders || []).map(p => this.normalize('riders', p)),
+            equipment: (data.equipment || []).map(p => this.normalize('equipment', p))
+        };
+    },
+
+    /**
+     * Add profiles to a library, replacing any with the same name; returns a new library
+     */
+    merge(library, incoming) {
+        const mergeList = (current, added) => {
+            const byName = new Map(current.map(p => [p.name, p]));
+            added.forEach(p => byName.set(p.name, p));
+            return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+        };
+
+        return {
+            riders: mergeList(library.riders, incoming.riders || []),
+            equipment: mergeList(library.equipment, incoming.equipment || [])
+        };
+    },
+
+    /**
+     * Library without the named profile
+     */
+    remove(library, kind, name) {
+        return { ...library, [kind]: library[kind].filter(p => p.name !== name) };
+    }
+};
+
+export {
+    CONSTANTS,
+    XMLReader,
+    GPXParser,
+    Laps,
+    ElevationCleaner,
+    DEMTile,
+    FITDecoder,
+    FITEncoder,
+    CourseImporter,
+    PhysicsEngine,
+    WindField,
+    ForecastImporter,
+    WPrimeBalance,
+    PowerDuration,
+    PowerOptimizer,
+    PlanSimplifier,
+    RideAnalyzer,
+    FieldTest,
+    PlanExporter,
+    MonteCarlo,
+    Triathlon,
+    Sections,
+    Nutrition,
+    Scenarios,
+    Profiles
+};
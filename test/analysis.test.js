@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Laps, PlanExporter, PowerOptimizer, RideAnalyzer } from '../core.js';
+import { RIDER, loadPoints } from './helpers.js';
+
+const course = Laps.build(loadPoints('test/fixtures/hill-loop.gpx'));
+const { segments } = PowerOptimizer.optimize(course.segments, RIDER);
+const total = segments[segments.length - 1].cumulativeDistance;
+const route = PlanExporter.coursePoints({ points: course.points, segments }, PlanExporter.intervals(segments, RIDER.ftp));
+
+/**
+ * A ride that follows the plan point by point after a warm-up off the course
+ * slow: { from, to (m), factor } rides that stretch slower at 80% power
+ * stop: { at (m), seconds } stands still on the course
+ */
+function ride({ slow, stop } = {}) {
+    const samples = [];
+    for (let t = 0; t < 120; t++) {
+        samples.push({ time: t, lat: route[0].lat + 0.01, lon: route[0].lon, power: 150, heartRate: 120 });
+    }
+
+    let late = 0;
+    let previous = route[0];
+    route.forEach(point => {
+        const seg = segments.find(s => point.distance <= s.cumulativeDistance) || segments[segments.length - 1];
+        const slower = slow && point.distance > slow.from && point.distance <= slow.to;
+        if (slower) late += (point.elapsed - previous.elapsed) * (slow.factor - 1);
+        if (stop && previous.distance < stop.at && point.distance >= stop.at) {
+            for (let s = 1; s <= stop.seconds; s++) {
+                samples.push({
+                    time: 120 + previous.elapsed + late + s,
+                    lat: previous.lat,
+                    lon: previous.lon,
+                    power: 0,
+                    heartRate: 100,
+                    speed: 0
+                });
+            }
+            late += stop.seconds;
+        }
+
+        samples.push({
+            time: 120 + point.elapsed + late,
+            lat: point.lat,
+            lon: point.lon,
+            power: seg.optimizedPower * (slower ? 0.8 : 1),
+            heartRate: 150
+        });
+        previous = point;
+    });
+    return samples;
+}
+
+const analyze = samples => {
+    const distance = RideAnalyzer.match(samples, course.points, total);
+    return { distance, analysis: RideAnalyzer.analyze(samples, distance, segments, RIDER) };
+};
+
+describe('RideAnalyzer.match', () => {
+    it('holds the start while off course, then moves forward along the whole route', () => {
+        const { distance } = analyze(ride());
+
+        assert.ok(distance.slice(0, 120).every(d => d === 0));
+        distance.slice(1).forEach((d, i) => assert.ok(d >= distance[i]));
+        assert.ok(Math.abs(distance[distance.length - 1] - total) < 1);
+    });
+
+    it('stretches recorded distance to the route without positions', () => {
+        const samples = [0, 500, 1000].map((d, time) => ({ time, distance: d, power: 200 }));
+        assert.deepEqual(RideAnalyzer.match(samples, course.points, 2000), [0, 1000, 2000]);
+    });
+});
+
+describe('RideAnalyzer.analyze', () => {
+    it('finds no loss on a ride that follows the plan', () => {
+        const { analysis } = analyze(ride());
+
+        assert.ok(Math.abs(analysis.coverage - 1) < 1e-9);
+        assert.ok(Math.abs(analysis.timeDelta) < 1, `delta ${analysis.timeDelta}`);
+        assert.ok(Math.abs(analysis.actual.normPower - analysis.planned.normPower) < 2);
+        assert.deepEqual(analysis.losses, []);
+    });
+
+    it('flags a stretch ridden below target and a stop, biggest loss first', () => {
+        const slow = { from: 4000, to: 7000, factor: 1.25 };
+        const { analysis } = analyze(ride({ slow, stop: { at: 15000, seconds: 60 } }));
+        const [below, stopped] = analysis.losses;
+        const elapsed = distance => route.find(point => point.distance >= distance).elapsed;
+        const slowLoss = (elapsed(slow.to) - elapsed(slow.from)) * (slow.factor - 1);
+
+        assert.equal(analysis.losses.length, 2);
+        assert.ok(below.start <= slow.from && below.end >= slow.to);
+        assert.equal(below.reason, 'Below target power');
+        assert.ok(Math.abs(below.timeLost - slowLoss) < 2, `${below.timeLost} vs ${slowLoss}`);
+        assert.ok(stopped.start <= 15000 && stopped.end >= 15000);
+        assert.equal(stopped.reason, 'Stopped 60 s');
+        assert.ok(Math.abs(stopped.timeLost - 60) < 1);
+        assert.ok(Math.abs(analysis.timeDelta - slowLoss - 60) < 2);
+    });
+});
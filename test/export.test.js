@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONSTANTS, CourseImporter, FITDecoder, Laps, PlanExporter, PowerOptimizer } from '../core.js';
+import { RIDER, loadPoints } from './helpers.js';
+
+const course = Laps.build(loadPoints('test/fixtures/hill-loop.gpx'));
+const { segments, metrics } = PowerOptimizer.optimize(course.segments, RIDER);
+const START = new Date(Date.UTC(2025, 5, 14, 5, 30));
+const PLAN = { name: 'Hill loop', segments, points: course.points, params: RIDER, start: START };
+const INTERVALS = PlanExporter.intervals(segments, RIDER.ftp);
+const total = segments[segments.length - 1].cumulativeDistance;
+
+const buffer = content => {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+
+describe('PlanExporter.intervals', () => {
+    it('tiles the course with rounded targets that change at every boundary', () => {
+        assert.equal(INTERVALS[0].start, 0);
+        assert.ok(Math.abs(INTERVALS[INTERVALS.length - 1].end - total) < 1e-6);
+        INTERVALS.slice(1).forEach((interval, i) => {
+            assert.ok(Math.abs(interval.start - INTERVALS[i].end) < 1e-6);
+            assert.equal(interval.first, INTERVALS[i].last + 1);
+            assert.notEqual(interval.power, INTERVALS[i].power);
+        });
+        INTERVALS.forEach(interval => assert.equal(interval.power % CONSTANTS.POWER_TARGET_STEP, 0));
+
+        const duration = INTERVALS.reduce((sum, interval) => sum + interval.duration, 0);
+        assert.ok(Math.abs(duration - metrics.totalTime) < 1e-6);
+    });
+});
+
+describe('PlanExporter.startDate', () => {
+    it('starts at the race-local clock time in the given UTC offset', () => {
+        assert.equal(PlanExporter.startDate('2025-06-14', 7.5 * 3600, 2 * 3600).getTime(), START.getTime());
+        assert.equal(PlanExporter.startDate('2025-06-14', 3600, -5 * 3600).toISOString(), '2025-06-14T06:00:00.000Z');
+    });
+});
+
+describe('PlanExporter formats', () => {
+    it('writes FIT workout steps that decode back to the intervals', () => {
+        const messages = FITDecoder.decode(buffer(PlanExporter.export('fit', PLAN).content));
+        const workout = messages.find(m => m.global === 26);
+        const steps = messages.filter(m => m.global === 27);
+        const range = CONSTANTS.POWER_TARGET_RANGE;
+
+        assert.equal(messages[0].fields[0], 5);
+        assert.equal(workout.fields[6], INTERVALS.length);
+        assert.equal(workout.fields[8], 'Hill loop');
+        assert.equal(steps.length, INTERVALS.length);
+        steps.forEach((step, i) => {
+            assert.equal(step.fields[254], i);
+            assert.equal(step.fields[2], Math.round(INTERVALS[i].distance * 100));
+            assert.equal(step.fields[5] - 1000, INTERVALS[i].power - range);
+            assert.equal(step.fields[6] - 1000, INTERVALS[i].power + range);
+        });
+    });
+
+    it('writes GPX and TCX courses timed from the start with the target power on every point', () => {
+        ['gpx', 'tcx'].forEach(format => {
+            const { content } = PlanExporter.export(format, PLAN);
+            const { points, waypoints } = CourseImporter.parse(buffer(content), `plan.${format}`);
+
+            assert.equal(points.length, course.points.length, format);
+            assert.equal(points[0].time, START.getTime(), format);
+            assert.ok(Math.abs(points[points.length - 1].time - START.getTime() - metrics.totalTime * 1000) <= 1000, format);
+            assert.equal(points[0].power, INTERVALS[0].power, format);
+            assert.equal(points[points.length - 1].power, INTERVALS[INTERVALS.length - 1].power, format);
+            assert.equal(waypoints.length, INTERVALS.length, format);
+        });
+    });
+
+    it('writes trainer files whose steps add up to the plan', () => {
+        const zwo = PlanExporter.export('zwo', PLAN).content;
+        const durations = [...zwo.matchAll(/Duration="(\d+)"/g)].map(m => parseInt(m[1]));
+        assert.equal(durations.length, INTERVALS.length);
+        assert.ok(Math.abs(durations.reduce((a, b) => a + b, 0) - metrics.totalTime) <= INTERVALS.length);
+
+        const rows = content => content.split('[COURSE DATA]\r\n')[1].split('\r\n[END')[0].split('\r\n');
+        const erg = rows(PlanExporter.export('erg', PLAN).content);
+        const mrc = rows(PlanExporter.export('mrc', PLAN).content);
+        assert.equal(erg.length, 2 * INTERVALS.length);
+        assert.equal(erg[1], `${(INTERVALS[0].duration / 60).toFixed(2)}\t${INTERVALS[0].power}`);
+        assert.equal(mrc[0], `0.00\t${(INTERVALS[0].power / RIDER.ftp * 100).toFixed(1)}`);
+    });
+
+    it('writes one CSV row per segment', () => {
+        const lines = PlanExporter.export('csv', PLAN).content.trim().split('\n');
+
+        assert.equal(lines.length, segments.length + 1);
+        assert.equal(lines[0].split(',').length, 15);
+        assert.equal(lines[lines.length - 1].split(',')[2], (total / 1000).toFixed(3));
+    });
+
+    it('names the file after the plan', () => {
+        assert.equal(PlanExporter.export('gpx', { ...PLAN, name: 'Hill / loop #1' }).fileName, 'Hill_loop_1_pacing.gpx');
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONSTANTS, FieldTest, PhysicsEngine } from '../core.js';
+
+const CDA = 0.28;
+const CRR = 0.0045;
+const MASS = 80;
+const LOSS = 0.03;
+const CONDITIONS = { temperature: 18, pressure: 1015 };
+
+/**
+ * 1 Hz laps ridden around the given mean speeds (m/s), with elevation from the same
+ * energy balance the fit inverts, so the true CdA and Crr explain it exactly
+ */
+function ride(speeds, { cda = CDA, crr = CRR } = {}) {
+    const mg = MASS * CONSTANTS.GRAVITY;
+    const effectiveMass = MASS + CONSTANTS.WHEEL_INERTIA / CONSTANTS.WHEEL_RADIUS ** 2;
+    const samples = [];
+    const laps = [];
+
+    speeds.forEach(mean => {
+        const start = samples.length;
+        for (let t = 0; t < 300; t++) {
+            const time = samples.length;
+            const speed = mean * (1 + 0.1 * Math.sin(2 * Math.PI * t / 60));
+            const steady = PhysicsEngine.resistivePower(speed, 0, 0, { totalMass: MASS, cda, crr }) / (1 - LOSS);
+            const power = steady * (1 + 0.2 * Math.sin(2 * Math.PI * t / 90));
+            const previous = samples[time - 1];
+            if (!previous) {
+                samples.push({ time, power, speed, ele: 100 });
+                continue;
+            }
+
+            // Air density depends on the new elevation, so settle it by iteration
+            const mid = (previous.speed + speed) / 2;
+            const energy = power * (1 - LOSS) - 0.5 * effectiveMass * (speed ** 2 - previous.speed ** 2);
+            let ele = previous.ele;
+            for (let k = 0; k < 5; k++) {
+                const airDensity = PhysicsEngine.airDensity(ele, CONDITIONS, 100);
+                const resistance = PhysicsEngine.resistivePower(mid, 0, 0, { totalMass: MASS, airDensity, cda, crr });
+                ele = previous.ele + (energy - resistance) / mg;
+            }
+            samples.push({ time, power, speed, ele });
+        }
+        laps.push({ start, end: samples.length - 1 });
+    });
+
+    return { samples, laps };
+}
+
+const estimate = ({ samples, laps }, excludeBraking = false) => FieldTest.estimate(samples, {
+    laps, excludeBraking, totalMass: MASS, drivetrainLoss: LOSS, conditions: CONDITIONS
+});
+
+describe('FieldTest.estimate', () => {
+    it('recovers the CdA and Crr that generated the ride', () => {
+        const result = estimate(ride([6, 9, 12]));
+
+        assert.ok(Math.abs(result.cda - CDA) < 1e-4, `CdA ${result.cda}`);
+        assert.ok(Math.abs(result.crr - CRR) < 1e-5, `Crr ${result.crr}`);
+        assert.ok(result.rmse < 0.01);
+        assert.equal(result.duration, 3 * 299);
+        assert.equal(result.braking, 0);
+    });
+
+    it('fits only the selected laps', () => {
+        const test = ride([6, 12]);
+        const slowLap = ride([9], { cda: 0.4, crr: 0.008 });
+        const offset = test.samples.length;
+        const samples = [...test.samples, ...slowLap.samples.map(s => ({ ...s, time: s.time + offset }))];
+        const result = estimate({ samples, laps: test.laps });
+
+        assert.ok(Math.abs(result.cda - CDA) < 1e-4, `CdA ${result.cda}`);
+        assert.ok(Math.abs(result.crr - CRR) < 1e-5, `Crr ${result.crr}`);
+    });
+
+    it('drops braking and still recovers the values', () => {
+        const test = ride([6, 12]);
+        // Coast and brake hard for a few seconds mid-lap; the power meter reads zero
+        for (let i = 100; i < 104; i++) {
+            const s = test.samples[i];
+            test.samples[i] = { ...s, power: 0, speed: test.samples[i - 1].speed - 1.5, ele: s.ele + 3 };
+        }
+        const result = estimate(test, true);
+
+        assert.ok(result.braking > 0);
+        assert.ok(Math.abs(result.cda - CDA) < 1e-4, `CdA ${result.cda}`);
+        assert.ok(Math.abs(result.crr - CRR) < 1e-5, `Crr ${result.crr}`);
+    });
+
+    it('refuses laps ridden at one steady speed', () => {
+        const samples = Array.from({ length: 200 }, (_, time) => ({ time, power: 200, speed: 10, ele: 100 }));
+        assert.throws(() => estimate({ samples, laps: [{ start: 0, end: 199 }] }), /Speeds are too uniform/);
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ForecastImporter } from '../core.js';
+
+const BBOX = { minLat: 45, maxLat: 45.1, minLon: 13, maxLon: 13.1 };
+
+// Hourly UTC records at one grid point, wind speed equal to the UTC hour
+const hourly = day => Array.from({ length: 24 }, (_, hour) => ({
+    time: Date.UTC(2024, 5, day, hour),
+    lat: 45.05,
+    lon: 13.05,
+    windSpeed: hour,
+    windDirection: 270,
+    temperature: 20
+}));
+
+describe('ForecastImporter.parseTime', () => {
+    it('takes times without a zone as UTC', () => {
+        assert.equal(ForecastImporter.parseTime('2024-06-01 12:00'), Date.UTC(2024, 5, 1, 12));
+        assert.equal(ForecastImporter.parseTime('2024-06-01T12:00:30'), Date.UTC(2024, 5, 1, 12, 0, 30));
+        assert.equal(ForecastImporter.parseTime('2024-06-01T12:00:00+02:00'), Date.UTC(2024, 5, 1, 10));
+        assert.equal(ForecastImporter.parseTime('2024-06-01T12:00Z'), Date.UTC(2024, 5, 1, 12));
+    });
+
+    it('converts Open-Meteo local times back to UTC', () => {
+        const [record] = ForecastImporter.parseJSON({
+            latitude: 45, longitude: 13, utc_offset_seconds: 7200,
+            hourly: { time: ['2024-06-01T12:00'], wind_speed_10m: [10] }
+        });
+
+        assert.equal(record.time, Date.UTC(2024, 5, 1, 10));
+    });
+});
+
+describe('ForecastImporter.select', () => {
+    it('matches the race date and start time in the race timezone', () => {
+        const records = [...hourly(1), ...hourly(2)];
+        const forecast = ForecastImporter.select(records, {
+            bbox: BBOX, raceDate: '2024-06-02', startTime: 0, duration: 3600, utcOffset: 2 * 3600
+        });
+
+        // Midnight race time on the 2nd is 22:00 UTC on the 1st
+        assert.equal(forecast.day, '2024-06-02');
+        assert.deepEqual(forecast.rows.map(r => r.time), [0, 3600, 7200]);
+        assert.deepEqual(forecast.rows.map(r => r.speed), [22, 23, 0]);
+        assert.equal(forecast.conditions.wind.speed, 22);
+    });
+});
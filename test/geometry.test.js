@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPXParser, CONSTANTS } from '../core.js';
+import { loadSegments } from './helpers.js';
+
+describe('GPXParser geometry', () => {
+    it('measures one degree of latitude as about 111.2 km', () => {
+        const distance = GPXParser.haversineDistance(45, 13, 46, 13);
+        assert.ok(Math.abs(distance - 111195) < 5, `got ${distance}`);
+    });
+
+    it('shrinks a degree of longitude with the cosine of latitude', () => {
+        const equator = GPXParser.haversineDistance(0, 0, 0, 1);
+        const sixty = GPXParser.haversineDistance(60, 0, 60, 1);
+        assert.ok(Math.abs(sixty / equator - 0.5) < 1e-3);
+    });
+
+    it('is symmetric and zero for the same point', () => {
+        assert.equal(GPXParser.haversineDistance(45.1, 13.6, 45.1, 13.6), 0);
+        assert.equal(
+            GPXParser.haversineDistance(45.1, 13.6, 45.2, 13.8),
+            GPXParser.haversineDistance(45.2, 13.8, 45.1, 13.6)
+        );
+    });
+
+    it('gives compass bearings in [0, 360)', () => {
+        const cases = [
+            [[45, 13, 45.01, 13], 0],
+            [[45, 13, 45, 13.01], 90],
+            [[45, 13, 44.99, 13], 180],
+            [[45, 13, 45, 12.99], 270]
+        ];
+        cases.forEach(([points, expected]) => {
+            const bearing = GPXParser.calculateBearing(...points);
+            assert.ok(bearing >= 0 && bearing < 360);
+            // Along a parallel the initial great-circle bearing is a hair off 90/270
+            assert.ok(Math.abs(bearing - expected) < 0.01, `expected ${expected}, got ${bearing}`);
+        });
+    });
+
+    it('skips points closer than a metre apart', () => {
+        const segments = GPXParser.processRoute([
+            { lat: 45, lon: 13, ele: 0 },
+            { lat: 45.000001, lon: 13, ele: 0 },
+            { lat: 45.001, lon: 13, ele: 1 }
+        ]);
+        assert.equal(segments.length, 1);
+    });
+});
+
+describe('GPXParser.smoothSegments', () => {
+    const raw = GPXParser.processRoute(GPXParser.parse(`<?xml version="1.0"?>
+        <gpx><trk><trkseg>
+            ${Array.from({ length: 200 }, (_, i) =>
+                `<trkpt lat="${45 + i * 0.0002}" lon="${13 + Math.sin(i / 10) * 0.0003}"><ele>${10 + Math.sin(i / 15) * 8}</ele></trkpt>`
+            ).join('\n')}
+        </trkseg></trk></gpx>`));
+    const smoothed = GPXParser.smoothSegments(raw);
+    const total = segments => segments.reduce((sum, seg) => sum + seg.distance, 0);
+
+    it('conserves total distance', () => {
+        assert.ok(Math.abs(total(smoothed) - total(raw)) < 1e-6);
+    });
+
+    it('keeps cumulative distance consistent with segment lengths', () => {
+        let cumulative = 0;
+        smoothed.forEach(seg => {
+            cumulative += seg.distance;
+            assert.ok(Math.abs(seg.cumulativeDistance - cumulative) < 1e-6);
+        });
+    });
+
+    it('merges into segments of at least the target length except the last', () => {
+        smoothed.slice(0, -1).forEach(seg => assert.ok(seg.distance >= CONSTANTS.SEGMENT_LENGTH));
+        assert.ok(smoothed.length < raw.length);
+    });
+
+    it('conserves distance on a real course', () => {
+        const segments = loadSegments('test/fixtures/hill-loop.gpx');
+        const last = segments[segments.length - 1];
+        assert.ok(Math.abs(total(segments) - last.cumulativeDistance) < 1e-6);
+        assert.ok(Math.abs(last.cumulativeDistance - 20000) < 50, `got ${last.cumulativeDistance}`);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Golden plans for reference courses: any change to the physics or the optimiser that
+ * moves a race plan shows up here. After an intended change, regenerate with
+ *   UPDATE_GOLDEN=1 npm test
+ * and review the diff of test/golden/ like any other code change.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { CONSTANTS, PowerOptimizer, WindField } from '../core.js';
+import { RIDER, loadSegments, repoPath } from './helpers.js';
+
+const CASES = [
+    {
+        name: 'porec-70.3',
+        course: 'IM 70.3 Porec Croatia Bike 2025.gpx',
+        params: RIDER
+    },
+    {
+        name: 'hill-loop',
+        course: 'test/fixtures/hill-loop.gpx',
+        params: RIDER
+    },
+    {
+        name: 'hill-loop-windy-steady',
+        course: 'test/fixtures/hill-loop.gpx',
+        params: { ...RIDER, windSpeed: 20, windDirection: 270, speedModel: 'steady', wbalModel: 'integral' }
+    },
+    {
+        name: 'hill-loop-wind-timeline',
+        course: 'test/fixtures/hill-loop.gpx',
+        params: {
+            ...RIDER,
+            pacingConstraint: 'wprime',
+            windField: WindField.build(WindField.parse('07:00, 10, 180, 15\n09:00, 25, 200, 40').rows, RIDER.startTime, null)
+        }
+    }
+];
+
+// Allowed drift from floating-point noise, in the units stored
+const TOLERANCE = { time: 0.5, power: 0.1, speed: 0.01, wprime: 1 };
+
+/**
+ * Plan reduced to what a rider would notice: headline metrics and each kilometre's
+ * average power, speed and time
+ */
+function summarize(result) {
+    const { metrics, segments } = result;
+    const kilometres = [];
+
+    segments.forEach(seg => {
+        const km = Math.floor((seg.cumulativeDistance - seg.distance / 2) / 1000);
+        kilometres[km] = kilometres[km] || { km, work: 0, time: 0, distance: 0 };
+        kilometres[km].work += seg.optimizedPower * seg.time;
+        kilometres[km].time += seg.time;
+        kilometres[km].distance += seg.distance;
+    });
+
+    const round = (value, digits) => +value.toFixed(digits);
+    return {
+        metrics: {
+            totalTime: round(metrics.totalTime, 1),
+            avgPower: round(metrics.avgPower, 2),
+            normPower: round(metrics.normPower, 2),
+            avgSpeed: round(metrics.avgSpeed, 3),
+            minWBalance: round(metrics.minWBalance, 0)
+        },
+        kilometres: kilometres.filter(Boolean).map(k => ({
+            km: k.km,
+            power: round(k.work / k.time, 2),
+            speed: round(k.distance / k.time * 3.6, 3),
+            time: round(k.time, 1)
+        }))
+    };
+}
+
+const close = (actual, expected, tolerance, label) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+};
+
+describe('golden plans', () => {
+    CASES.forEach(({ name, course, params }) => {
+        it(name, () => {
+            const actual = summarize(PowerOptimizer.optimize(loadSegments(course), params));
+            const file = repoPath(`test/golden/${name}.json`);
+
+            if (process.env.UPDATE_GOLDEN || !existsSync(file)) {
+                writeFileSync(file, JSON.stringify(actual, null, 2) + '\n');
+                if (!process.env.UPDATE_GOLDEN) assert.fail(`${name}: no golden file yet, wrote ${file}`);
+                return;
+            }
+
+            const expected = JSON.parse(readFileSync(file, 'utf8'));
+            close(actual.metrics.totalTime, expected.metrics.totalTime, TOLERANCE.time, 'total time');
+            close(actual.metrics.avgPower, expected.metrics.avgPower, TOLERANCE.power, 'average power');
+            close(actual.metrics.normPower, expected.metrics.normPower, TOLERANCE.power, 'normalized power');
+            close(actual.metrics.avgSpeed, expected.metrics.avgSpeed, TOLERANCE.speed, 'average speed');
+            close(actual.metrics.minWBalance, expected.metrics.minWBalance, TOLERANCE.wprime, 'lowest W\' balance');
+
+            assert.equal(actual.kilometres.length, expected.kilometres.length);
+            expected.kilometres.forEach((km, i) => {
+                close(actual.kilometres[i].power, km.power, TOLERANCE.power, `km ${km.km} power`);
+                close(actual.kilometres[i].speed, km.speed, TOLERANCE.speed, `km ${km.km} speed`);
+                close(actual.kilometres[i].time, km.time, TOLERANCE.time, `km ${km.km} time`);
+            });
+        });
+    });
+});
+
+describe('PowerOptimizer constraints', () => {
+    it('keeps the reported plan above the W\' floor and inside the NP cap', () => {
+        CASES.forEach(({ name, course, params }) => {
+            const { metrics } = PowerOptimizer.optimize(loadSegments(course), params);
+
+            assert.ok(metrics.minWBalance >= params.wprime * params.wprimeFloor / 100 - TOLERANCE.wprime, name);
+            if (params.pacingConstraint === 'np') {
+                assert.ok(metrics.normPower <= params.ftp * params.targetIntensity / 100 + CONSTANTS.NP_TOLERANCE, name);
+            }
+        });
+    });
+});
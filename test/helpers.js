@@ -0,0 +1,64 @@
+/**
+ * Shared fixtures for the test suite
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { CourseImporter, ElevationCleaner, GPXParser } from '../core.js';
+
+// Form defaults from index.html, as getParams() would return them with constant CdA
+export const RIDER = {
+    ftp: 250,
+    cp: 250,
+    riderWeight: 75,
+    bikeWeight: 8,
+    totalMass: 83,
+    windSpeed: 0,
+    windDirection: 0,
+    startTime: 7.5 * 3600,
+    windField: null,
+    temperature: 20,
+    pressure: 1013,
+    humidity: 50,
+    cda: 0.32,
+    yawTable: null,
+    crr: 0.005,
+    drivetrainLoss: 0.03,
+    wprime: 20000,
+    wbalModel: 'differential',
+    pacingConstraint: 'np',
+    speedModel: 'kinetic',
+    leanAngle: 35,
+    wprimeFloor: 15,
+    targetIntensity: 85
+};
+
+/**
+ * Path of a file relative to the repository root
+ */
+export function repoPath(relative) {
+    return fileURLToPath(new URL(`../${relative}`, import.meta.url));
+}
+
+/**
+ * Course file to points, cleaned the way the form does by default
+ */
+export function loadPoints(relative) {
+    const bytes = readFileSync(repoPath(relative));
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const { points } = CourseImporter.parse(buffer, relative);
+    return ElevationCleaner.clean(points, {
+        dem: [],
+        spikeThreshold: 5,
+        smoothing: 'savgol',
+        window: 60,
+        maxGradient: 20
+    });
+}
+
+/**
+ * Course file to optimizer segments, cleaned the way the form does by default
+ */
+export function loadSegments(relative) {
+    return GPXParser.smoothSegments(GPXParser.processRoute(loadPoints(relative)));
+}
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Laps, PowerOptimizer, GPXParser } from '../core.js';
+import { RIDER, loadPoints } from './helpers.js';
+
+// Cleaned points of the loop fixture
+const loop = loadPoints('test/fixtures/hill-loop.gpx');
+
+describe('Laps.build', () => {
+    it('is the plain course for one lap', () => {
+        const { segments, lapEnds, points } = Laps.build(loop);
+
+        assert.deepEqual(segments, GPXParser.smoothSegments(GPXParser.processRoute(loop)));
+        assert.deepEqual(lapEnds, [segments[segments.length - 1].cumulativeDistance]);
+        assert.equal(points.length, loop.length);
+    });
+
+    it('repeats a loop with every lap finishing on a segment end', () => {
+        const { segments, lapEnds, points } = Laps.build(loop, { laps: 3 });
+        const ends = new Set(segments.map(seg => seg.cumulativeDistance));
+
+        assert.equal(lapEnds.length, 3);
+        assert.ok(lapEnds.every(end => ends.has(end)));
+        assert.equal(lapEnds[2], segments[segments.length - 1].cumulativeDistance);
+        assert.ok(Math.abs(lapEnds[1] - 2 * lapEnds[0]) < 1e-6);
+        assert.equal(points.length, 3 * loop.length);
+    });
+
+    it('rides out and back, and refuses laps of a course that does not return to its start', () => {
+        const half = loop.slice(0, Math.floor(loop.length / 2));
+        const there = Laps.build(half).lapEnds[0];
+
+        assert.throws(() => Laps.build(half, { laps: 2 }), /cannot be ridden as laps/);
+        const { lapEnds } = Laps.build(half, { laps: 2, outAndBack: true });
+        assert.ok(Math.abs(lapEnds[0] - 2 * there) < 1);
+        assert.equal(lapEnds.length, 2);
+    });
+
+    it('repeats first-lap distances on every lap', () => {
+        assert.deepEqual(Laps.repeat([500, 1500], [2000, 4000, 5000]), [500, 1500, 2500, 3500, 4500]);
+    });
+});
+
+describe('Laps.splits', () => {
+    const { segments, lapEnds } = Laps.build(loop, { laps: 3 });
+
+    it("adds up to the whole plan and carries W' balance across laps", () => {
+        const plan = PowerOptimizer.optimize(segments, { ...RIDER, targetIntensity: 95 }).segments;
+        const splits = Laps.splits(plan, lapEnds);
+
+        assert.ok(Math.abs(splits.reduce((sum, s) => sum + s.time, 0) - plan[plan.length - 1].elapsedTime) < 1e-6);
+        assert.equal(splits[2].elapsed, plan[plan.length - 1].elapsedTime);
+        splits.forEach((split, n) => {
+            const last = plan.findLastIndex(seg => seg.cumulativeDistance <= lapEnds[n]);
+            assert.equal(split.wBalance, plan[last].wBalance);
+        });
+    });
+
+    it('eases off lap by lap as FTP fades', () => {
+        const normPower = ftpDecay => Laps.splits(PowerOptimizer.optimize(segments, { ...RIDER, ftpDecay }).segments, lapEnds)
+            .map(s => s.normPower);
+
+        const fresh = normPower(0);
+        const fading = normPower(0.05);
+        assert.ok(Math.abs(fresh[0] - fresh[2]) < 2);
+        assert.ok(fading[0] > fading[1] && fading[1] > fading[2]);
+    });
+});
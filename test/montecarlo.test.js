@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MonteCarlo, PowerOptimizer } from '../core.js';
+import { RIDER, loadSegments } from './helpers.js';
+
+const segments = loadSegments('test/fixtures/hill-loop.gpx');
+const NONE = { windSpeed: 0, windDirection: 0, cda: 0, crr: 0, ftp: 0, elevation: 0 };
+
+describe('MonteCarlo.run', () => {
+    it('has no time spread and no tornado when nothing is uncertain', () => {
+        const progress = [];
+        const options = { spread: NONE, runs: 4, threshold: 10 };
+        const result = MonteCarlo.run(segments, RIDER, options, (done, total) => progress.push([done, total]));
+        const time = result.nominal.time;
+
+        assert.equal(time, PowerOptimizer.optimize(segments, RIDER).metrics.totalTime);
+        assert.deepEqual(result.times, Array(4).fill(time));
+        assert.deepEqual(result.percentiles, { p10: time, p50: time, p90: time });
+        assert.deepEqual(result.tornado, []);
+        assert.equal(result.wprimeRisk, 0);
+        assert.deepEqual(progress[progress.length - 1], [5, 5]);
+    });
+
+    it('repeats the same draws for the same seed and re-paces for FTP on the day', () => {
+        const options = { spread: { ...NONE, ftp: 5 }, runs: 4, threshold: 10, seed: 7 };
+        const first = MonteCarlo.run(segments, RIDER, options);
+        const second = MonteCarlo.run(segments, RIDER, options);
+
+        assert.deepEqual(second.times, first.times);
+        assert.ok(first.times[first.times.length - 1] > first.times[0]);
+        assert.ok(first.percentiles.p10 <= first.percentiles.p50 && first.percentiles.p50 <= first.percentiles.p90);
+
+        const [ftp] = first.tornado;
+        assert.equal(first.tornado.length, 1);
+        assert.equal(ftp.key, 'ftp');
+        assert.ok(ftp.low > 0 && ftp.high < 0, `${ftp.low} / ${ftp.high}`);
+    });
+});
+
+describe('MonteCarlo helpers', () => {
+    it('interpolates percentiles of a sorted array', () => {
+        assert.equal(MonteCarlo.percentile([1, 2, 3, 4], 50), 2.5);
+        assert.equal(MonteCarlo.percentile([1, 2, 3, 4], 100), 4);
+        assert.ok(isNaN(MonteCarlo.percentile([], 50)));
+    });
+
+    it('stretches the relief about its lowest point', () => {
+        const elevations = segments.map(seg => seg.elevation);
+        const low = Math.min(...elevations);
+        const range = Math.max(...elevations) - low;
+        const stretched = MonteCarlo.scaleRelief(segments, range);
+
+        assert.equal(MonteCarlo.scaleRelief(segments, 0), segments);
+        stretched.forEach((seg, i) => {
+            assert.ok(Math.abs(seg.elevation - low - 2 * (segments[i].elevation - low)) < 1e-9);
+            assert.ok(Math.abs(seg.gradient - 2 * segments[i].gradient) < 1e-12);
+        });
+    });
+
+    it('draws the same uniform sequence for the same seed', () => {
+        const a = MonteCarlo.random(42);
+        const b = MonteCarlo.random(42);
+        const draws = Array.from({ length: 5 }, () => a());
+
+        assert.deepEqual(Array.from({ length: 5 }, () => b()), draws);
+        draws.forEach(u => assert.ok(u >= 0 && u < 1));
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Nutrition, CONSTANTS } from '../core.js';
+import { RIDER } from './helpers.js';
+
+const OPTIONS = { efficiency: 0.22, carbsPerHour: 80, fluidPerHour: 0.8, sodium: 800, interval: 1200 };
+
+// Flat course of 1 km segments ridden at a constant power and speed (m/s)
+const course = (count, power = 200, speed = 10) => Array.from({ length: count }, (_, i) => ({
+    cumulativeDistance: (i + 1) * 1000,
+    elevation: 0,
+    endLat: 45,
+    endLon: 13 + (i + 1) * 0.01,
+    optimizedPower: power,
+    time: 1000 / speed,
+    elapsedTime: (i + 1) * 1000 / speed
+}));
+
+describe('Nutrition.parseStations', () => {
+    it('reads km in any separator, sorted, and reports the rest', () => {
+        const { distances, errors } = Nutrition.parseStations('45; 22.5, .5\n90 km');
+
+        assert.deepEqual(distances, [500, 22500, 45000, 90000]);
+        assert.deepEqual(errors, ['"km" is not a distance in km.']);
+    });
+});
+
+describe('Nutrition rates', () => {
+    it('burns more carbohydrate the harder the effort, within bounds', () => {
+        assert.equal(Nutrition.carbFraction(125, 250), CONSTANTS.CARB_FRACTION_AT_HALF_FTP);
+        assert.ok(Nutrition.carbFraction(225, 250) > Nutrition.carbFraction(175, 250));
+        assert.equal(Nutrition.carbFraction(0, 250), CONSTANTS.CARB_FRACTION_MIN);
+        assert.equal(Nutrition.carbFraction(500, 250), CONSTANTS.CARB_FRACTION_MAX);
+    });
+
+    it('sweats more in heat, humidity and at higher power', () => {
+        const rate = (power, temperature, humidity) => Nutrition.sweatRate(power, 0.22, temperature, humidity);
+
+        assert.ok(rate(200, 30, 50) > rate(200, 15, 50));
+        assert.ok(rate(200, 25, 90) > rate(200, 25, 50));
+        assert.ok(rate(250, 25, 50) > rate(200, 25, 50));
+        assert.equal(rate(200, 25, 30), rate(200, 25, 50));
+    });
+});
+
+describe('Nutrition.plan', () => {
+    it('adds up work and energy from gross efficiency', () => {
+        const { totals } = Nutrition.plan(course(36), RIDER, OPTIONS);
+
+        assert.equal(totals.work, 200 * 3600 / 1000);
+        assert.ok(Math.abs(totals.kcal - 720000 / 0.22 / CONSTANTS.JOULES_PER_KCAL) < 1e-9);
+        assert.ok(Math.abs(totals.massLoss - (totals.sweat - totals.fluid) / RIDER.riderWeight * 100) < 1e-9);
+    });
+
+    it('feeds on the interval, never on the last segment', () => {
+        const { feeds, totals } = Nutrition.plan(course(36), RIDER, OPTIONS);
+
+        assert.deepEqual(feeds.map(f => f.elapsed), [1200, 2400]);
+        assert.ok(Math.abs(feeds[0].carbs - 80 / 3) < 1e-9);
+        assert.equal(feeds[0].sodium, feeds[0].fluid * 800);
+        assert.equal(totals.carbsEaten, feeds[0].carbs + feeds[1].carbs);
+    });
+
+    it('feeds at stations instead, and not at all with none', () => {
+        const atStations = Nutrition.plan(course(36), RIDER, { ...OPTIONS, stations: [5500, 20000, 40000] });
+        assert.deepEqual(atStations.feeds.map(f => f.distance), [6000, 20000]);
+
+        assert.deepEqual(Nutrition.plan(course(36), RIDER, { ...OPTIONS, stations: [] }).feeds, []);
+    });
+
+    it('finds the glycogen low point', () => {
+        const fasting = Nutrition.plan(course(36, 250), RIDER, { ...OPTIONS, carbsPerHour: 0 });
+        const fed = Nutrition.plan(course(36, 250), RIDER, OPTIONS);
+
+        assert.equal(fasting.lowest.distance, 36000);
+        assert.ok(Math.abs(fasting.lowest.glycogen -
+            (CONSTANTS.GLYCOGEN_PER_KG * RIDER.riderWeight - fasting.totals.carbsBurned)) < 1e-9);
+        assert.ok(fed.lowest.glycogen > fasting.lowest.glycogen);
+    });
+});
+
+describe('Nutrition.stationsFromWaypoints', () => {
+    it('places waypoints near the route at the nearest segment end', () => {
+        const waypoints = [{ lat: 45, lon: 13.2001 }, { lat: 45.1, lon: 13.05 }, { lat: 45.0005, lon: 13.05 }];
+
+        assert.deepEqual(Nutrition.stationsFromWaypoints(waypoints, course(36)), [5000, 20000]);
+    });
+
+    it('places a waypoint once on each leg of an out-and-back', () => {
+        const out = course(10);
+        const back = out.slice(0, -1).reverse().map((seg, i) => ({ ...seg, cumulativeDistance: (11 + i) * 1000 }));
+        const turn = { lat: 45, lon: 13.1 };
+
+        assert.deepEqual(Nutrition.stationsFromWaypoints([{ lat: 45, lon: 13.03 }, turn], [...out, ...back]),
+            [3000, 10000, 17000]);
+    });
+
+    it('tells apart two passes closer together than the station radius', () => {
+        // 50 m segments out along one road, round a hairpin and back 22 m to the north
+        const step = 50 / (111320 * Math.cos(45 * Math.PI / 180));
+        const out = [1, 2, 3, 4, 5, 6, 7, 8].map(i => ({ cumulativeDistance: i * 50, endLat: 45, endLon: 13 + i * step }));
+        const back = [8, 7, 6, 5, 4, 3, 2, 1].map(i => ({
+            cumulativeDistance: 422 + (8 - i) * 50,
+            endLat: 45.0002,
+            endLon: 13 + i * step
+        }));
+
+        assert.deepEqual(Nutrition.stationsFromWaypoints([{ lat: 45, lon: 13 + 6 * step }], [...out, ...back]),
+            [300, 522]);
+    });
+});
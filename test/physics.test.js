@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, CONSTANTS } from '../core.js';
+import { RIDER } from './helpers.js';
+
+// Power at the pedals for a speed, without powerRequired's MIN_POWER floor
+const pedalPower = (speed, gradient, headwind, params) =>
+    PhysicsEngine.resistivePower(speed, gradient, headwind, params) / (1 - CONSTANTS.DRIVETRAIN_LOSS);
+
+describe('PhysicsEngine.speedAtPower', () => {
+    const gradients = [-0.12, -0.08, -0.04, 0, 0.04, 0.08];
+    const powers = [100, 200, 300, 400];
+    const winds = [-5, 0, 5];
+
+    gradients.forEach(gradient => {
+        it(`inverts the power balance on a ${(gradient * 100).toFixed(0)}% grade`, () => {
+            powers.forEach(power => winds.forEach(headwind => {
+                const speed = PhysicsEngine.speedAtPower(power, gradient, headwind, RIDER);
+                if (speed <= CONSTANTS.MIN_SPEED || speed >= CONSTANTS.MAX_SPEED) return;
+
+                const back = pedalPower(speed, gradient, headwind, RIDER);
+                assert.ok(Math.abs(back - power) < 0.05,
+                    `${power} W, ${headwind} m/s headwind: ${speed.toFixed(2)} m/s needs ${back.toFixed(2)} W`);
+            }));
+        });
+    });
+
+    it('rides steep descents faster than the flat at the same power', () => {
+        const flat = PhysicsEngine.speedAtPower(150, 0, 0, RIDER);
+        const descent = PhysicsEngine.speedAtPower(150, -0.08, 0, RIDER);
+        assert.ok(descent > flat + 5, `flat ${flat.toFixed(1)} m/s, descent ${descent.toFixed(1)} m/s`);
+    });
+
+    it('goes faster with more power, slower uphill and into the wind', () => {
+        const speed = (power, gradient, headwind) => PhysicsEngine.speedAtPower(power, gradient, headwind, RIDER);
+        assert.ok(speed(300, 0.05, 0) > speed(200, 0.05, 0));
+        assert.ok(speed(250, 0.05, 0) < speed(250, 0, 0));
+        assert.ok(speed(250, 0, 5) < speed(250, 0, 0));
+    });
+
+    it('clamps to MIN_SPEED where the grade is too steep for the power', () => {
+        assert.equal(PhysicsEngine.speedAtPower(50, 0.2, 0, RIDER), CONSTANTS.MIN_SPEED);
+    });
+
+    it('clamps to MAX_SPEED where the rider would have to brake', () => {
+        assert.equal(PhysicsEngine.speedAtPower(400, -0.25, 0, RIDER), CONSTANTS.MAX_SPEED);
+    });
+});
+
+describe('PhysicsEngine.powerRequired', () => {
+    it('never asks for less than MIN_POWER', () => {
+        assert.equal(PhysicsEngine.powerRequired(15, -0.08, 0, RIDER), CONSTANTS.MIN_POWER);
+    });
+
+    it('adds drivetrain loss on top of the resistive power', () => {
+        const wheel = PhysicsEngine.resistivePower(10, 0.02, 0, RIDER);
+        const pedals = PhysicsEngine.powerRequired(10, 0.02, 0, RIDER);
+        assert.ok(Math.abs(pedals * (1 - CONSTANTS.DRIVETRAIN_LOSS) - wheel) < 1e-9);
+    });
+
+    it('splits into aero, gravity and rolling terms', () => {
+        const still = { ...RIDER, airDensity: 1.2 };
+        const speed = 10;
+        const gradient = 0.05;
+        const aero = 0.5 * 1.2 * RIDER.cda * speed ** 3;
+        const gravity = RIDER.totalMass * CONSTANTS.GRAVITY * gradient * speed;
+        const rolling = RIDER.crr * RIDER.totalMass * CONSTANTS.GRAVITY * Math.cos(Math.atan(gradient)) * speed;
+        assert.ok(Math.abs(PhysicsEngine.resistivePower(speed, gradient, 0, still) - (aero + gravity + rolling)) < 1e-9);
+    });
+});
+
+describe('PhysicsEngine.airDensity', () => {
+    it('is about 1.225 kg/m³ in the standard atmosphere at sea level', () => {
+        const density = PhysicsEngine.airDensity(0, { temperature: 15, pressure: 1013.25, humidity: 0 });
+        assert.ok(Math.abs(density - 1.225) < 0.002, `got ${density}`);
+    });
+
+    it('falls with elevation, heat and humidity', () => {
+        const base = { temperature: 20, pressure: 1013, humidity: 0 };
+        const density = PhysicsEngine.airDensity(0, base);
+        assert.ok(PhysicsEngine.airDensity(1000, base) < density);
+        assert.ok(PhysicsEngine.airDensity(0, { ...base, temperature: 35 }) < density);
+        assert.ok(PhysicsEngine.airDensity(0, { ...base, humidity: 100 }) < density);
+    });
+});
+
+describe('PhysicsEngine.cdaAtYaw', () => {
+    const table = [{ yaw: 0, cda: 0.30 }, { yaw: 10, cda: 0.28 }, { yaw: 20, cda: 0.29 }];
+
+    it('interpolates linearly and holds the end values', () => {
+        const params = { cda: 0.30, yawTable: table };
+        assert.equal(PhysicsEngine.cdaAtYaw(0, params), 0.30);
+        assert.ok(Math.abs(PhysicsEngine.cdaAtYaw(5, params) - 0.29) < 1e-12);
+        assert.ok(Math.abs(PhysicsEngine.cdaAtYaw(-15, params) - 0.285) < 1e-12);
+        assert.equal(PhysicsEngine.cdaAtYaw(40, params), 0.29);
+    });
+
+    it('uses the constant CdA without a table', () => {
+        assert.equal(PhysicsEngine.cdaAtYaw(12, { cda: 0.31, yawTable: null }), 0.31);
+    });
+});
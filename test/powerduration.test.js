@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PowerDuration, PowerOptimizer, CONSTANTS } from '../core.js';
+import { RIDER, loadSegments } from './helpers.js';
+
+const close = (actual, expected, tolerance, label) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+
+describe('PowerDuration.parse', () => {
+    it('reads clock, unit and plain-second durations and skips a CSV header', () => {
+        const { rows, errors } = PowerDuration.parse('secs,watts\n30, 600\n5:00, 360\n20 min, 300\n1:00:00, 265\n1.5h, 240');
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(rows.map(r => r.duration), [30, 300, 1200, 3600, 5400]);
+    });
+
+    it('keeps the best power per duration and reports bad lines', () => {
+        const { rows, errors } = PowerDuration.parse('5:00, 350\n5 min, 360 # new PB\nfive, 300');
+
+        assert.deepEqual(rows, [{ duration: 300, power: 360 }]);
+        assert.deepEqual(errors, ['Line 3: expected "duration, watts" (e.g. "20:00, 300")']);
+    });
+
+    it('thins a full mean-maximal export and writes it back as parseable text', () => {
+        const secs = Array.from({ length: 7200 }, (_, i) => i + 1);
+        const { rows } = PowerDuration.load(JSON.stringify({ secs, watts: secs.map(t => 250 + 20000 / (t + 30)) }));
+
+        assert.ok(rows.length <= PowerDuration.STANDARD_DURATIONS.length);
+        assert.deepEqual(PowerDuration.parse(PowerDuration.toText(rows)).rows.map(r => r.duration),
+            rows.map(r => r.duration));
+    });
+});
+
+describe('PowerDuration models', () => {
+    const durations = [60, 180, 300, 600, 1200, 1800];
+
+    it("recovers CP and W' from efforts that follow the 2-parameter model", () => {
+        const efforts = durations.map(duration => ({ duration, power: 280 + 18000 / duration }));
+        const curve = PowerDuration.fit('cp', efforts);
+
+        close(curve.cp, 280, 1e-6, 'CP');
+        close(curve.wprime, 18000, 1e-3, "W'");
+    });
+
+    it('recovers the Morton 3-parameter curve', () => {
+        const efforts = durations.map(duration => ({ duration, power: 270 + 24000 / (duration + 60) }));
+        const curve = PowerDuration.fit('morton', efforts);
+
+        assert.equal(curve.k, -60);
+        close(curve.cp, 270, 0.01, 'CP');
+        close(curve.pmax, 670, 0.5, 'Pmax');
+    });
+
+    it('refuses too little data', () => {
+        assert.throws(() => PowerDuration.fit('cp', [{ duration: 300, power: 350 }]), /two efforts/);
+        assert.throws(() => PowerDuration.fit('data', []), /at least one/);
+    });
+
+    it('says which efforts set the prediction', () => {
+        const curve = PowerDuration.fit('data', [{ duration: 1200, power: 300 }, { duration: 3600, power: 265 }]);
+
+        assert.equal(PowerDuration.predict(curve, 3600).basis, 'measured');
+        assert.equal(PowerDuration.predict(curve, 600).basis, 'shorter');
+
+        const between = PowerDuration.predict(curve, 2400);
+        assert.equal(between.basis, 'interpolated');
+        assert.ok(between.power < 300 && between.power > 265);
+
+        const longer = PowerDuration.predict(curve, 3600 * Math.E);
+        assert.equal(longer.basis, 'extrapolated');
+        close(longer.power, 265 * (1 - CONSTANTS.PD_LONG_DECAY), 1e-9, 'decayed power');
+    });
+});
+
+describe('PowerOptimizer.recommendIntensity', () => {
+    it("reads the rider's own curve at the predicted duration", () => {
+        const segments = loadSegments('test/fixtures/hill-loop.gpx');
+        const efforts = [600, 3600, 36000].map(duration => ({ duration, power: 200 }));
+        const result = PowerOptimizer.recommendIntensity(segments,
+            { ...RIDER, powerCurve: PowerDuration.fit('data', efforts) });
+
+        close(result.intensity, 80, 1e-9, 'intensity');
+        assert.equal(result.prediction.basis, 'interpolated');
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Profiles, PhysicsEngine } from '../core.js';
+import { RIDER } from './helpers.js';
+
+describe('Profiles', () => {
+    it('fills missing fields with the form defaults and drops unknown ones', () => {
+        const rider = Profiles.normalize('riders', { name: ' Anna ', ftp: '280', colour: 'red' });
+
+        assert.equal(rider.name, 'Anna');
+        assert.equal(rider.ftp, 280);
+        assert.equal(rider.riderWeight, 75);
+        assert.equal(rider.cp, null);
+        assert.equal(rider.colour, undefined);
+    });
+
+    it('rejects profiles without a name or with non-numeric values', () => {
+        assert.throws(() => Profiles.normalize('riders', { ftp: 250 }), /needs a name/);
+        assert.throws(() => Profiles.normalize('equipment', { name: 'TT', cda: 'fast' }), /TT: cda must be a number/);
+        assert.throws(() => Profiles.normalize('equipment', { name: 'TT', yawTable: [{ yaw: 5 }] }), /yaw and cda/);
+    });
+
+    it('round-trips a library through JSON', () => {
+        const library = Profiles.merge(Profiles.empty(), {
+            riders: [Profiles.normalize('riders', { name: 'Anna', ftp: 280, wprime: 18000 })],
+            equipment: [Profiles.normalize('equipment', {
+                name: 'TT bike',
+                cda: 0.24,
+                aeroSetup: 'tt',
+                yawTable: [{ yaw: 0, cda: 0.24 }, { yaw: 10, cda: 0.23 }],
+                drivetrainLoss: 0.025
+            })]
+        });
+
+        assert.deepEqual(Profiles.parse(Profiles.serialize(library)), library);
+    });
+
+    it('refuses files that are not profile libraries', () => {
+        assert.throws(() => Profiles.parse('not json'), /Not a profile file/);
+        assert.throws(() => Profiles.parse('{"segments": []}'), /riders/);
+        assert.throws(() => Profiles.parse('{"version": 99, "riders": []}'), /newer/);
+    });
+
+    it('replaces profiles with the same name on merge and removes by name', () => {
+        const first = Profiles.merge(Profiles.empty(), {
+            riders: [{ name: 'Ben', ftp: 240 }, { name: 'Anna', ftp: 260 }]
+        });
+        const merged = Profiles.merge(first, { riders: [{ name: 'Anna', ftp: 280 }] });
+
+        assert.deepEqual(merged.riders.map(p => [p.name, p.ftp]), [['Anna', 280], ['Ben', 240]]);
+        assert.deepEqual(Profiles.remove(merged, 'riders', 'Anna').riders.map(p => p.name), ['Ben']);
+        assert.equal(first.riders.find(p => p.name === 'Anna').ftp, 260);
+    });
+});
+
+describe('Drivetrain loss', () => {
+    it('defaults to the built-in loss when a profile does not set one', () => {
+        const { drivetrainLoss, ...params } = RIDER;
+        assert.equal(
+            PhysicsEngine.speedAtPower(250, 0.02, 0, params),
+            PhysicsEngine.speedAtPower(250, 0.02, 0, { ...params, drivetrainLoss })
+        );
+    });
+
+    it('costs speed as the loss grows', () => {
+        const efficient = PhysicsEngine.speedAtPower(250, 0.02, 0, { ...RIDER, drivetrainLoss: 0.02 });
+        const worn = PhysicsEngine.speedAtPower(250, 0.02, 0, { ...RIDER, drivetrainLoss: 0.06 });
+        assert.ok(worn < efficient);
+        assert.ok(PhysicsEngine.powerRequired(10, 0.02, 0, { ...RIDER, drivetrainLoss: 0.06 }) >
+            PhysicsEngine.powerRequired(10, 0.02, 0, { ...RIDER, drivetrainLoss: 0.02 }));
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scenarios } from '../core.js';
+import { RIDER } from './helpers.js';
+
+// Plan over equal 1 km segments at constant speeds (m/s)
+const plan = (name, speeds, power, params = RIDER) => {
+    let elapsed = 0;
+    const segments = speeds.map((speed, i) => {
+        elapsed += 1000 / speed;
+        return { cumulativeDistance: (i + 1) * 1000, optimizedPower: power, speed, elapsedTime: elapsed };
+    });
+    const metrics = {
+        totalTime: elapsed, avgSpeed: 3.6 * speeds.length * 1000 / elapsed, avgPower: power, normPower: power,
+        intensityFactor: power / params.ftp, tss: 50, wprimePercent: 80
+    };
+    return Scenarios.create(name, params, segments, metrics);
+};
+
+describe('Scenarios', () => {
+    it('keeps the inputs without the wind field and a copy of the metrics', () => {
+        const scenario = plan('Road', [10, 10], 200, { ...RIDER, windField: { stations: [] } });
+
+        assert.equal(scenario.inputs.cda, RIDER.cda);
+        assert.equal('windField' in scenario.inputs, false);
+        assert.deepEqual(scenario.trace[1], { distance: 2000, power: 200, speed: 10, elapsed: 200 });
+    });
+
+    it('reports metric deltas and only the inputs that differ', () => {
+        const road = plan('Road', [10, 10, 10], 200);
+        const tt = plan('TT', [11, 11, 11], 200, { ...RIDER, cda: 0.24 });
+        const { metrics, inputs } = Scenarios.compare([road, tt]);
+
+        const time = metrics.find(m => m.key === 'totalTime');
+        assert.equal(time.deltas[0], 0);
+        assert.ok(Math.abs(time.deltas[1] - (3000 / 11 - 300)) < 1e-9);
+        assert.deepEqual(inputs, [{ key: 'cda', label: 'CdA (m²)', values: [0.32, 0.24] }]);
+    });
+
+    it('accumulates the time gap along the course', () => {
+        const steady = plan('Steady', [10, 10, 10, 10], 200);
+        const surge = plan('Surge', [10, 12.5, 10, 10], 220);
+        const [reference, other] = Scenarios.compare([steady, surge]).traces;
+
+        assert.deepEqual(reference.gap, [0, 0, 0, 0]);
+        assert.deepEqual(other.gap.map(g => Math.round(g)), [0, -20, -20, -20]);
+        assert.deepEqual(other.power, [220, 220, 220, 220]);
+    });
+
+    it('resamples plans onto other segment ends', () => {
+        const scenario = plan('Road', [10, 5], 200);
+        const points = Scenarios.resample(scenario.trace, [500, 1000, 1500, 2000]);
+
+        assert.deepEqual(points.map(p => p.elapsed), [50, 100, 200, 300]);
+        assert.deepEqual(points.map(p => p.speed), [10, 10, 5, 5]);
+    });
+
+    it('needs something to compare', () => {
+        assert.throws(() => Scenarios.compare([]), /Nothing to compare/);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Sections, PowerOptimizer, CONSTANTS } from '../core.js';
+import { RIDER, loadSegments } from './helpers.js';
+
+// 100 m segments following a gradient per segment, starting at sea level
+const course = gradients => {
+    let elevation = 0;
+    return gradients.map((gradient, i) => {
+        elevation += gradient * 100;
+        return { distance: 100, cumulativeDistance: (i + 1) * 100, elevation, gradient };
+    });
+};
+const repeat = (gradient, count) => Array(count).fill(gradient);
+
+describe('Sections.detect', () => {
+    it('finds and categorises a climb and the descent after it, trimming level ends', () => {
+        const sections = Sections.detect(course([...repeat(0, 20), ...repeat(0.06, 30), ...repeat(0, 20),
+            ...repeat(-0.06, 30), ...repeat(0, 20)]));
+
+        assert.deepEqual(sections.map(s => [s.name, s.kind, s.category, s.start, s.end]), [
+            ['C1', 'climb', '3', 2000, 5000],
+            ['D1', 'descent', null, 7000, 10000]
+        ]);
+        assert.ok(Math.abs(sections[0].gain - 180) < 1e-9);
+        assert.ok(Math.abs(sections[1].avgGradient + 0.06) < 1e-9);
+    });
+
+    it('rides through a short easing but splits at a long one', () => {
+        const steps = ease => Sections.detect(course([...repeat(0.05, 20), ...repeat(0, ease), ...repeat(0.05, 20)]));
+
+        assert.equal(steps(2).length, 1);
+        assert.equal(steps(12).length, 2);
+    });
+
+    it('leaves out false flats and small rises, and uncategorises short climbs', () => {
+        assert.deepEqual(Sections.detect(course(repeat(0.025, 100))), []);
+        assert.deepEqual(Sections.detect(course(repeat(0.1, 2))), []);
+
+        const [short] = Sections.detect(course(repeat(0.05, 10)));
+        assert.ok(short.gain * 100 >= CONSTANTS.CLIMB_MIN_SCORE);
+        assert.equal(short.category, null);
+    });
+});
+
+describe('Sections.parse and named', () => {
+    it('reads named segments and reports bad lines', () => {
+        const { segments, errors } = Sections.parse('Motovun, 38.2, 44.5 # the big one\nback, 5, 3\n\nfinish; 88; 90');
+
+        assert.deepEqual(segments, [
+            { name: 'Motovun', start: 38200, end: 44500 },
+            { name: 'finish', start: 88000, end: 90000 }
+        ]);
+        assert.deepEqual(errors, ['Line 2: expected "name, start km, end km" (e.g. "Motovun, 38.2, 44.5")']);
+    });
+
+    it('snaps named segments to segment ends and drops those off the course', () => {
+        const sections = Sections.named(course(repeat(0.02, 50)),
+            [{ name: 'Ramp', start: 1240, end: 2960 }, { name: 'Beyond', start: 6000, end: 7000 }]);
+
+        assert.deepEqual(sections.map(s => [s.name, s.kind, s.start, s.end]), [['Ramp', 'segment', 1200, 3000]]);
+    });
+});
+
+describe('Sections.ride', () => {
+    it('sums the planned time, power, VAM and W\' spent on a climb', () => {
+        const segments = loadSegments('test/fixtures/hill-loop.gpx');
+        const plan = PowerOptimizer.optimize(segments, { ...RIDER, targetIntensity: 95 }).segments;
+        const [climb] = Sections.detect(segments);
+        const ride = Sections.ride(climb, plan, RIDER);
+        const stretch = plan.slice(climb.first, climb.last + 1);
+
+        assert.equal(ride.time, stretch.reduce((sum, seg) => sum + seg.time, 0));
+        assert.ok(Math.abs(ride.wkg * RIDER.riderWeight - ride.power) < 1e-9);
+        assert.ok(Math.abs(ride.vam - climb.gain / ride.time * 3600) < 1e-9);
+        assert.ok(ride.power > plan.reduce((sum, seg) => sum + seg.optimizedPower * seg.time, 0) /
+            plan.reduce((sum, seg) => sum + seg.time, 0));
+        assert.ok(ride.wprimeUsed >= 0);
+    });
+});
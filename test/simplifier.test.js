@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONSTANTS, PlanSimplifier, PowerOptimizer } from '../core.js';
+import { RIDER, loadSegments } from './helpers.js';
+
+const segments = loadSegments('test/fixtures/hill-loop.gpx');
+const total = segments[segments.length - 1].cumulativeDistance;
+
+const CASES = [
+    { name: 'NP, 3 blocks', params: RIDER, options: { blocks: 3, minLength: 1000 } },
+    { name: 'NP, 20 blocks', params: RIDER, options: { blocks: 20, minLength: 200 } },
+    { name: "W', any count", params: { ...RIDER, pacingConstraint: 'wprime' }, options: { blocks: 0, minLength: 2000 } },
+    { name: 'steady, 8 blocks', params: { ...RIDER, speedModel: 'steady' }, options: { blocks: 8, minLength: 500 } }
+];
+
+describe('PlanSimplifier.simplify', () => {
+    for (const { name, params, options } of CASES) {
+        const optimized = PowerOptimizer.optimize(segments, params);
+        const { blocks, segments: plan, metrics, penalty } = PlanSimplifier.simplify(optimized, params, options);
+
+        it(`${name}: blocks tile the course within the count and length limits`, () => {
+            assert.ok(blocks.length <= (options.blocks || Infinity));
+            assert.equal(blocks[0].first, 0);
+            assert.equal(blocks[0].start, 0);
+            assert.equal(blocks[blocks.length - 1].last, plan.length - 1);
+            assert.ok(Math.abs(blocks[blocks.length - 1].end - total) < 1e-6);
+            blocks.slice(1).forEach((block, i) => {
+                assert.equal(block.first, blocks[i].last + 1);
+                assert.ok(Math.abs(block.start - blocks[i].end) < 1e-6);
+            });
+            blocks.forEach(block => assert.ok(block.distance >= options.minLength - 1e-6));
+
+            const duration = blocks.reduce((sum, block) => sum + block.duration, 0);
+            assert.ok(Math.abs(duration - metrics.totalTime) < 1e-6);
+        });
+
+        it(`${name}: rides rounded block powers no harder and no faster than the optimum`, () => {
+            blocks.forEach((block, b) => {
+                assert.equal(block.power % CONSTANTS.POWER_TARGET_STEP, 0);
+                for (let i = block.first; i <= block.last; i++) assert.equal(plan[i].optimizedPower, block.power);
+                assert.equal(plan[block.first].block, b);
+            });
+            assert.ok(metrics.normPower <= optimized.metrics.normPower);
+            assert.ok(penalty >= 0, `penalty ${penalty}`);
+            assert.equal(penalty, metrics.totalTime - optimized.metrics.totalTime);
+        });
+
+        it(`${name}: block gradients add up to the course's climb`, () => {
+            const first = plan[0];
+            const climb = plan[plan.length - 1].elevation - (first.elevation - first.distance * first.gradient);
+            const rise = blocks.reduce((sum, block) => sum + block.gradient * block.distance, 0);
+            assert.ok(Math.abs(rise - climb) < 1e-6, `${rise} vs ${climb}`);
+        });
+    }
+});
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Triathlon, CONSTANTS } from '../core.js';
+import { RIDER, loadSegments } from './helpers.js';
+
+const RACE = { swimTime: 2100, transitionTime: 300, runDistance: 21100, thresholdPace: 270, durability: 'normal' };
+
+describe('Triathlon', () => {
+    it('runs the one-hour distance in an hour and longer distances slower per km', () => {
+        assert.equal(Math.round(Triathlon.freshRunTime(3600 / 270 * 1000, 270)), 3600);
+
+        const half = Triathlon.freshRunTime(21100, 270);
+        assert.ok(half / 21.1 > 270);
+    });
+
+    it('slows the run more after a harder or longer bike and for less durable runners', () => {
+        const bike = (hours, intensityFactor) => ({ totalTime: hours * 3600, intensityFactor });
+        const slowdown = (metrics, durability = 'normal') => Triathlon.runSlowdown(metrics, { ...RACE, durability });
+
+        assert.equal(slowdown(bike(3, CONSTANTS.TRI_FATIGUE_IF_FLOOR)), CONSTANTS.TRI_FATIGUE_BASE);
+        assert.ok(slowdown(bike(2.5, 0.85)) > slowdown(bike(2.5, 0.75)));
+        assert.ok(slowdown(bike(5, 0.75)) > slowdown(bike(2.5, 0.75)));
+        assert.ok(slowdown(bike(2.5, 0.8), 'low') > slowdown(bike(2.5, 0.8), 'high'));
+    });
+
+    it('adds up the whole race', () => {
+        const finish = Triathlon.finish({ totalTime: 9000, intensityFactor: 0.8 }, RACE);
+
+        assert.equal(finish.total, RACE.swimTime + RACE.transitionTime + 9000 + finish.runTime);
+        assert.ok(Math.abs(finish.runTime - Triathlon.freshRunTime(21100, 270) * (1 + finish.slowdown)) < 1e-9);
+    });
+
+    it('picks the bike intensity with the fastest finish', () => {
+        const progress = [];
+        const { points, best } = Triathlon.sweep(loadSegments('test/fixtures/hill-loop.gpx'), RIDER, RACE,
+            done => progress.push(done));
+
+        assert.equal(points[0].intensity, CONSTANTS.TRI_MIN_INTENSITY);
+        assert.equal(points[points.length - 1].intensity, CONSTANTS.TRI_MAX_INTENSITY);
+        assert.equal(progress.length, points.length);
+        assert.equal(best.total, Math.min(...points.map(p => p.total)));
+        assert.ok(points[0].bikeTime > points[points.length - 1].bikeTime);
+        assert.ok(points[0].runTime < points[points.length - 1].runTime);
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { WPrimeBalance } from '../core.js';
+
+const params = model => ({ ftp: 250, cp: 250, wprime: 20000, wbalModel: model });
+const ride = efforts => efforts.map(([optimizedPower, time]) => ({ optimizedPower, time }));
+
+['differential', 'integral'].forEach(model => {
+    describe(`WPrimeBalance (${model})`, () => {
+        it('leaves W\' full when riding at or below CP', () => {
+            const segments = ride([[250, 600], [200, 600]]);
+            assert.equal(WPrimeBalance.apply(segments, params(model)), 20000);
+            segments.forEach(seg => assert.equal(seg.wBalance, 20000));
+        });
+
+        it('spends (P - CP) × t above CP', () => {
+            const segments = ride([[350, 60], [300, 100]]);
+            WPrimeBalance.apply(segments, params(model));
+            assert.ok(Math.abs(segments[0].wBalance - (20000 - 100 * 60)) < 1e-6);
+            // The integral model lets earlier expenditure decay while the second effort goes on
+            const floor = model === 'differential' ? 20000 - 100 * 60 - 50 * 100 : segments[0].wBalance - 50 * 100;
+            assert.ok(segments[1].wBalance >= floor - 1e-6 && segments[1].wBalance < segments[0].wBalance);
+            if (model === 'differential') assert.ok(Math.abs(segments[1].wBalance - floor) < 1e-6);
+        });
+
+        it('recovers towards full but never past it', () => {
+            const segments = ride([[400, 100], [150, 300], [150, 3600]]);
+            WPrimeBalance.apply(segments, params(model));
+            assert.ok(segments[1].wBalance > segments[0].wBalance);
+            assert.ok(segments[2].wBalance > segments[1].wBalance);
+            assert.ok(segments[2].wBalance <= 20000);
+        });
+
+        it('returns the lowest balance along the ride', () => {
+            const segments = ride([[200, 60], [400, 60], [150, 600], [350, 30]]);
+            const min = WPrimeBalance.apply(segments, params(model));
+            assert.equal(min, Math.min(...segments.map(seg => seg.wBalance)));
+        });
+
+        it('falls back to FTP when CP is missing', () => {
+            const segments = ride([[300, 100]]);
+            WPrimeBalance.apply(segments, { ...params(model), cp: undefined });
+            assert.ok(Math.abs(segments[0].wBalance - (20000 - 50 * 100)) < 1e-6);
+        });
+    });
+});
+
+describe('WPrimeBalance recovery rate', () => {
+    it('refills faster the further below CP the rider goes', () => {
+        const recovered = power => {
+            const segments = ride([[400, 100], [power, 120]]);
+            WPrimeBalance.apply(segments, params('differential'));
+            return segments[1].wBalance - segments[0].wBalance;
+        };
+        assert.ok(recovered(100) > recovered(200));
+    });
+});
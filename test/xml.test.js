@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { XMLReader, GPXParser, CourseImporter } from '../core.js';
+
+describe('XMLReader without DOMParser', () => {
+    it('reads elements by local name, attributes, entities and CDATA', () => {
+        const doc = XMLReader.parse(`<?xml version="1.0"?>
+            <!-- comment -->
+            <root a="1 &amp; 2"><ns:item>x&lt;y<![CDATA[<raw>]]>&#65;&#x42;</ns:item><empty/></root>`);
+        assert.equal(typeof DOMParser, 'undefined');
+        assert.equal(doc.getElementsByTagNameNS('*', 'root')[0].getAttribute('a'), '1 & 2');
+        assert.equal(doc.getElementsByTagNameNS('*', 'item')[0].textContent, 'x<y<raw>AB');
+        assert.equal(doc.getElementsByTagNameNS('*', 'empty').length, 1);
+        assert.equal(doc.getElementsByTagNameNS('*', 'root')[0].getAttribute('missing'), null);
+    });
+
+    it('parses GPX track points with power extensions', () => {
+        const points = GPXParser.parse(`<gpx xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+            <trk><trkseg>
+                <trkpt lat="45.1" lon="13.6"><ele>12.5</ele><time>2025-09-21T07:30:00Z</time>
+                    <extensions><power>210</power><gpxtpx:TrackPointExtension><gpxtpx:hr>140</gpxtpx:hr></gpxtpx:TrackPointExtension></extensions>
+                </trkpt>
+                <trkpt lat='45.2' lon='13.7'><ele>15</ele></trkpt>
+            </trkseg></trk>
+            <wpt lat="45.15" lon="13.65"><name>Aid &amp; water</name></wpt>
+        </gpx>`);
+        assert.equal(points.length, 2);
+        assert.deepEqual(
+            { lat: points[0].lat, lon: points[0].lon, ele: points[0].ele, power: points[0].power, heartRate: points[0].heartRate },
+            { lat: 45.1, lon: 13.6, ele: 12.5, power: 210, heartRate: 140 }
+        );
+        assert.equal(points[0].time, Date.UTC(2025, 8, 21, 7, 30));
+        assert.equal(points[1].lat, 45.2);
+    });
+
+    it('reads TCX trackpoints and course points', () => {
+        const { points, waypoints } = CourseImporter.parseTCX(`<TrainingCenterDatabase><Courses><Course>
+            <Track>
+                <Trackpoint><Position><LatitudeDegrees>45</LatitudeDegrees><LongitudeDegrees>13</LongitudeDegrees></Position><AltitudeMeters>3</AltitudeMeters></Trackpoint>
+                <Trackpoint><Position><LatitudeDegrees>45.01</LatitudeDegrees><LongitudeDegrees>13</LongitudeDegrees></Position></Trackpoint>
+            </Track>
+            <CoursePoint><Name>Climb</Name><Position><LatitudeDegrees>45.005</LatitudeDegrees><LongitudeDegrees>13</LongitudeDegrees></Position></CoursePoint>
+        </Course></Courses></TrainingCenterDatabase>`);
+        assert.equal(points.length, 2);
+        assert.equal(points[0].ele, 3);
+        assert.equal(waypoints[0].name, 'Climb');
+    });
+});
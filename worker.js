@@ -0,0 +1,32 @@
+/**
+ * Cycling Power Optimizer - Worker
+ *
+ * Runs the core solvers off the page thread so the UI stays responsive.
+ * Request: { type: 'optimize' | 'recommend' | 'montecarlo' | 'triathlon', segments, params, options }
+ * Replies: { type: 'progress', done, total }, then { type: 'result', result } or { type: 'error', message }
+ * A job is cancelled by terminating the worker.
+ */
+
+import { PowerOptimizer, MonteCarlo, Triathlon } from './core.js';
+
+const JOBS = {
+    optimize: ({ segments, params }, onProgress) => PowerOptimizer.optimize(segments, params, onProgress),
+    recommend: ({ segments, params }, onProgress) => PowerOptimizer.recommendIntensity(segments, params, onProgress),
+    montecarlo: ({ segments, params, options }, onProgress) => MonteCarlo.run(segments, params, options, onProgress),
+    triathlon: ({ segments, params, options }, onProgress) => Triathlon.sweep(segments, params, options, onProgress)
+};
+
+self.onmessage = e => {
+    const job = JOBS[e.data.type];
+
+    try {
+        if (!job) throw new Error(`Unknown job type "${e.data.type}"`);
+
+        const result = job(e.data, (done, total) => {
+            self.postMessage({ type: 'progress', done, total });
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};